@@ -0,0 +1,108 @@
+// server/config/oidc.js
+
+import dotenv from "dotenv";
+import { logger } from "../middleware/logger.js";
+
+dotenv.config();
+
+/* ------------------------------ OIDC providers ------------------------------ */
+
+/**
+ * OpenID Connect sign-in providers, configured entirely from the environment:
+ *
+ *   OIDC_PROVIDERS=google,discord
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...
+ *   OIDC_GOOGLE_SCOPES=openid email profile      (optional)
+ *   OIDC_GOOGLE_NAME=Google                      (optional display name)
+ *
+ * The provider id is used in the URL: /api/v1/auth/oidc/google
+ * Plain http issuers are only accepted on loopback hosts (local mock issuers).
+ */
+const DEFAULT_SCOPES = "openid email profile";
+const PROVIDER_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+const isAllowedIssuer = (issuer) => {
+  try {
+    const url = new URL(issuer);
+    return (
+      url.protocol === "https:" ||
+      (url.protocol === "http:" && LOOPBACK_HOSTS.includes(url.hostname))
+    );
+  } catch {
+    return false;
+  }
+};
+
+const loadProviders = () => {
+  const providers = new Map();
+  const ids = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const id of ids) {
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, "_")}_`;
+    const env = (key) => process.env[prefix + key]?.trim();
+
+    const issuer = env("ISSUER")?.replace(/\/+$/, "");
+    const clientId = env("CLIENT_ID");
+    const clientSecret = env("CLIENT_SECRET");
+
+    if (!PROVIDER_ID_PATTERN.test(id)) {
+      logger.warn("OIDC provider skipped: invalid id", { provider: id });
+      continue;
+    }
+    if (!issuer || !clientId || !clientSecret) {
+      logger.warn("OIDC provider skipped: incomplete configuration", {
+        provider: id,
+        missing: [
+          !issuer && `${prefix}ISSUER`,
+          !clientId && `${prefix}CLIENT_ID`,
+          !clientSecret && `${prefix}CLIENT_SECRET`,
+        ].filter(Boolean),
+      });
+      continue;
+    }
+    if (!isAllowedIssuer(issuer)) {
+      logger.warn("OIDC provider skipped: issuer must use https", {
+        provider: id,
+        issuer,
+      });
+      continue;
+    }
+
+    const scopes = (env("SCOPES") || DEFAULT_SCOPES).split(/[\s,]+/);
+    if (!scopes.includes("openid")) scopes.unshift("openid");
+
+    providers.set(id, {
+      id,
+      name: env("NAME") || id.charAt(0).toUpperCase() + id.slice(1),
+      issuer,
+      clientId,
+      clientSecret,
+      scopes,
+    });
+  }
+
+  return providers;
+};
+
+export const OIDC_PROVIDERS = loadProviders();
+
+/**
+ * @param {string} id  provider id from the URL
+ * @returns {object|null}
+ */
+export const getOidcProvider = (id) =>
+  OIDC_PROVIDERS.get(String(id || "").toLowerCase()) || null;
+
+/**
+ * Public view of the configured providers (no secrets)
+ */
+export const listOidcProviders = () =>
+  [...OIDC_PROVIDERS.values()].map(({ id, name }) => ({ id, name }));
+
+export default OIDC_PROVIDERS;
@@ -0,0 +1,41 @@
+// server/config/passwordPolicy.js
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/* ----------------------------- Password policy ------------------------------ */
+
+const envInt = (key, fallback) => {
+  const value = parseInt(process.env[key], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const envBool = (key, fallback) =>
+  process.env[key] === undefined ? fallback : process.env[key] === "true";
+
+/**
+ * Enforced by utils/passwordPolicy.js on signup, password reset, password
+ * update and admin-created users. Every value can be overridden from the env.
+ */
+export const PASSWORD_POLICY = {
+  // Never below the User schema's own floor of 8
+  minLength: Math.max(envInt("PASSWORD_MIN_LENGTH", 8), 8),
+  // bcrypt ignores everything after 72 bytes
+  maxLength: Math.min(envInt("PASSWORD_MAX_LENGTH", 72), 72),
+
+  requireLowercase: envBool("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireUppercase: envBool("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireNumber: envBool("PASSWORD_REQUIRE_NUMBER", true),
+  requireSymbol: envBool("PASSWORD_REQUIRE_SYMBOL", false),
+
+  // Cannot reuse any of the last N passwords (the current one included); 0 = off
+  historySize: envInt("PASSWORD_HISTORY_SIZE", 5),
+
+  // Offline breached-password list (SHA-1, k-anonymity layout); see utils/passwordPolicy.js
+  breachedListPath: process.env.BREACHED_PASSWORDS_PATH || null,
+  // Passwords seen at least this often in breaches are rejected
+  breachedMinCount: Math.max(1, envInt("BREACHED_PASSWORDS_MIN_COUNT", 1)),
+};
+
+export default PASSWORD_POLICY;
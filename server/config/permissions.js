@@ -0,0 +1,151 @@
+// server/config/permissions.js
+
+/* ------------------------------- Permissions -------------------------------- */
+
+// Every permission the admin API checks, as "<resource>:<action>"
+export const PERMISSIONS = {
+  ANALYTICS_READ: "analytics:read",
+
+  USERS_READ: "users:read",
+  USERS_CREATE: "users:create",
+  USERS_UPDATE: "users:update",
+  USERS_DELETE: "users:delete",
+  USERS_UNLOCK: "users:unlock",
+  USERS_2FA_RESET: "users:2fa-reset",
+  USERS_IMPERSONATE: "users:impersonate",
+
+  PRODUCTS_READ: "products:read",
+  PRODUCTS_WRITE: "products:write",
+  PRODUCTS_DELETE: "products:delete",
+
+  REVIEWS_READ: "reviews:read",
+  REVIEWS_DELETE: "reviews:delete",
+
+  ORDERS_READ: "orders:read",
+  ORDERS_UPDATE: "orders:update",
+  ORDERS_MARK_PAID: "orders:mark-paid",
+  ORDERS_REFUND: "orders:refund",
+
+  COUPONS_READ: "coupons:read",
+  COUPONS_WRITE: "coupons:write",
+  COUPONS_DELETE: "coupons:delete",
+
+  LOGS_READ: "logs:read",
+  AUDIT_READ: "audit:read",
+
+  ROLES_READ: "roles:read",
+  ROLES_MANAGE: "roles:manage",
+
+  API_KEYS_READ: "api-keys:read",
+  API_KEYS_MANAGE: "api-keys:manage",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Grants everything, including permissions added later
+export const WILDCARD = "*";
+
+// Access management stays with humans: API keys can never carry these
+const NON_DELEGABLE_RESOURCES = ["roles", "api-keys"];
+const NON_DELEGABLE_PERMISSIONS = ["users:impersonate"];
+
+/* ------------------------------ Built-in Roles ------------------------------ */
+
+const P = PERMISSIONS;
+
+// Synced to the roles collection on startup; cannot be edited or deleted via API
+export const BUILT_IN_ROLES = [
+  {
+    name: "support",
+    description: "Customer support: look up users and orders, unlock accounts",
+    permissions: [
+      P.USERS_READ,
+      P.USERS_UNLOCK,
+      P.USERS_2FA_RESET,
+      P.ORDERS_READ,
+      P.ORDERS_UPDATE,
+      P.PRODUCTS_READ,
+      P.REVIEWS_READ,
+      P.REVIEWS_DELETE,
+    ],
+  },
+  {
+    name: "catalog-manager",
+    description: "Manage products, stock and product reviews",
+    permissions: [
+      P.PRODUCTS_READ,
+      P.PRODUCTS_WRITE,
+      P.PRODUCTS_DELETE,
+      P.REVIEWS_READ,
+      P.REVIEWS_DELETE,
+      P.ANALYTICS_READ,
+    ],
+  },
+  {
+    name: "marketing",
+    description: "Manage coupons and read sales analytics",
+    permissions: [
+      P.COUPONS_READ,
+      P.COUPONS_WRITE,
+      P.COUPONS_DELETE,
+      P.PRODUCTS_READ,
+      P.ANALYTICS_READ,
+    ],
+  },
+  {
+    name: "finance",
+    description: "Payments, refunds and returns",
+    permissions: [
+      P.ORDERS_READ,
+      P.ORDERS_MARK_PAID,
+      P.ORDERS_REFUND,
+      P.COUPONS_READ,
+      P.ANALYTICS_READ,
+    ],
+  },
+  {
+    name: "super-admin",
+    description: "Full access to every admin capability",
+    permissions: [WILDCARD],
+  },
+];
+
+/* --------------------------------- Helpers ---------------------------------- */
+
+/**
+ * Check a granted permission list against a required permission.
+ * Supports "*" (everything) and "<resource>:*" (every action on a resource).
+ */
+export const hasPermission = (granted = [], required) => {
+  if (!Array.isArray(granted) || !required) return false;
+  if (granted.includes(WILDCARD) || granted.includes(required)) return true;
+
+  const [resource] = required.split(":");
+  return granted.includes(`${resource}:*`);
+};
+
+/**
+ * Validate a permission string ("users:read", "users:*" or "*")
+ */
+export const isValidPermission = (permission) => {
+  if (permission === WILDCARD) return true;
+  if (ALL_PERMISSIONS.includes(permission)) return true;
+
+  const [resource, action] = String(permission).split(":");
+  return (
+    action === "*" && ALL_PERMISSIONS.some((p) => p.startsWith(`${resource}:`))
+  );
+};
+
+/**
+ * Whether a permission may be granted to an API key as a scope
+ */
+export const isDelegablePermission = (permission) => {
+  if (permission === WILDCARD || !isValidPermission(permission)) return false;
+
+  const [resource] = permission.split(":");
+  return (
+    !NON_DELEGABLE_RESOURCES.includes(resource) &&
+    !NON_DELEGABLE_PERMISSIONS.includes(permission)
+  );
+};
@@ -36,23 +36,40 @@ const MAX_PUBLIC_REQ = parseEnvInt("RATE_PUBLIC_MAX", 300);
 const WINDOW_MS_LOG = parseEnvInt("RATE_LOG_WINDOW_MS", 15 * 60 * 1000);
 const MAX_LOG_REQ = parseEnvInt("RATE_LOG_MAX", 100);
 
+// Personal data exports (per user)
+const WINDOW_MS_EXPORT = parseEnvInt("RATE_EXPORT_WINDOW_MS", 24 * 60 * 60 * 1000);
+const MAX_EXPORT_REQ = parseEnvInt("RATE_EXPORT_MAX", 3);
+
+// Typeahead fires on every keystroke, so it gets its own, shorter window
+const WINDOW_MS_SUGGEST = parseEnvInt("RATE_SUGGEST_WINDOW_MS", 60 * 1000);
+const MAX_SUGGEST_REQ = parseEnvInt("RATE_SUGGEST_MAX", 120);
+
+// Per API key; a key's own `rateLimit` overrides the default
+const WINDOW_MS_API_KEY = parseEnvInt("RATE_API_KEY_WINDOW_MS", WINDOW_MS_API);
+const MAX_API_KEY_REQ = parseEnvInt("RATE_API_KEY_MAX", 1000);
+
 /* ---------------------------- Limiter Constructor --------------------------- */
 
 // Generic builder with logging + Retry-After header
-const buildLimiter = ({ windowMs, max, message, tag }) =>
+// `refund(req, res)`: the request is taken off the count once it has finished
+const buildLimiter = ({ windowMs, max, message, tag, keyGenerator, skip, refund }) =>
   rateLimit({
     windowMs,
     max,
     message,
     standardHeaders: true,
     legacyHeaders: false,
+    ...(keyGenerator && { keyGenerator }),
+    ...(skip && { skip }),
+    ...(refund && { skipSuccessfulRequests: true, requestWasSuccessful: refund }),
     handler: (req, res, _next, options) => {
       const retryAfterSec = Math.ceil(windowMs / 1000);
 
       logger.warn(`[RATE:${tag}] Rate limit exceeded`, {
         ip: req.ip,
         path: req.originalUrl,
-        limit: max,
+        limit: req.rateLimit?.limit ?? max,
+        apiKeyId: req.apiKey?.id,
         windowMs,
         retryAfterSec,
         method: req.method,
@@ -70,11 +87,22 @@ const buildLimiter = ({ windowMs, max, message, tag }) =>
 
 /* -------------------------------- Limiters --------------------------------- */
 
+// Typeahead requests are limited by suggestLimiter instead of the global limiters
+const isSuggestRequest = (req) =>
+  req.method === "GET" && req.originalUrl.split("?")[0] === "/api/v1/products/suggest";
+
+// Requests authenticated by an API key are limited per key by apiKeyLimiter.
+// The per-IP limiters still count them until `protect` has accepted the key,
+// so a made-up X-API-Key header does not get around them.
+const isApiKeyRequest = (req) => Boolean(req.apiKey);
+
 export const apiLimiter = buildLimiter({
   windowMs: WINDOW_MS_API,
   max: MAX_API_REQ,
   message: "Too many requests; please try again later.",
   tag: "API",
+  skip: isSuggestRequest,
+  refund: isApiKeyRequest,
 });
 
 export const authLimiter = buildLimiter({
@@ -96,6 +124,8 @@ export const adminLimiter = buildLimiter({
   max: MAX_ADMIN_REQ,
   message: "Too many admin requests; please try again later.",
   tag: "ADMIN",
+  // API-key traffic is limited per key by apiKeyLimiter instead
+  skip: (req) => Boolean(req.apiKey),
 });
 
 export const publicLimiter = buildLimiter({
@@ -103,6 +133,15 @@ export const publicLimiter = buildLimiter({
   max: MAX_PUBLIC_REQ,
   message: "Too many requests; please try again later.",
   tag: "PUBLIC",
+  skip: isSuggestRequest,
+  refund: isApiKeyRequest,
+});
+
+export const suggestLimiter = buildLimiter({
+  windowMs: WINDOW_MS_SUGGEST,
+  max: MAX_SUGGEST_REQ,
+  message: "Too many search suggestions requested; please slow down.",
+  tag: "SUGGEST",
 });
 
 export const logRateLimiter = buildLimiter({
@@ -111,3 +150,22 @@ export const logRateLimiter = buildLimiter({
   message: "Too many log requests from this IP, please try again later.",
   tag: "LOG",
 });
+
+// Must run after `protect` so req.apiKey is set; user requests are skipped
+export const apiKeyLimiter = buildLimiter({
+  windowMs: WINDOW_MS_API_KEY,
+  max: (req) => req.apiKey?.rateLimit || MAX_API_KEY_REQ,
+  message: "API key rate limit exceeded; please slow down.",
+  tag: "API_KEY",
+  keyGenerator: (req) => `apikey:${req.apiKey.id}`,
+  skip: (req) => !req.apiKey,
+});
+
+// Must run after `protect`; keyed by user so it follows the account across IPs
+export const dataExportLimiter = buildLimiter({
+  windowMs: WINDOW_MS_EXPORT,
+  max: MAX_EXPORT_REQ,
+  message: "You have requested too many data exports; please try again tomorrow.",
+  tag: "EXPORT",
+  keyGenerator: (req) => `export:${req.user.id}`,
+});
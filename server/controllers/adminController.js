@@ -6,9 +6,18 @@ import Order from "../models/Order.js";
 import Product from "../models/Product.js";
 import Review from "../models/Review.js";
 import Coupon from "../models/Coupon.js";
+import LoginEvent from "../models/LoginEvent.js";
+import Session from "../models/Session.js";
 import AppError from "../utils/appError.js";
 import asyncHandler from "express-async-handler";
-import { logger } from "../middleware/logger.js";
+import { logger, securityLogger } from "../middleware/logger.js";
+import Email from "../utils/email.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { enforcePasswordPolicy } from "../utils/passwordPolicy.js";
+import { generateImpersonationToken } from "../utils/generateToken.js";
+import { invalidateSuggestionIndex } from "../utils/productSuggest.js";
+import { normalizeSpecifications } from "../utils/specTemplates.js";
 import cloudinary from "../utils/cloudinary.js";
 import streamifier from "streamifier";
 
@@ -70,6 +79,15 @@ const buildSortObject = (
   return sort;
 };
 
+/**
+ * SKUs are unique across products and their variants
+ */
+const isSkuTaken = async (sku, exceptProductId = null) => {
+  const filter = { $or: [{ sku }, { "variants.sku": sku }] };
+  if (exceptProductId) filter._id = { $ne: exceptProductId };
+  return Boolean(await Product.exists(filter));
+};
+
 /**
  * Validate date range
  */
@@ -108,10 +126,6 @@ const validateDateRange = (startDate, endDate, maxDays = 365) => {
  * @access  Private/Admin
  */
 export const getSalesAnalytics = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const validPeriods = ["daily", "weekly", "monthly"];
   const requestedPeriod = req.query.period;
   const period = validPeriods.includes(requestedPeriod)
@@ -239,10 +253,6 @@ export const getSalesAnalytics = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getProductStats = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const stats = await Product.aggregate([
     {
       $group: {
@@ -265,10 +275,6 @@ export const getProductStats = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getDashboardOverview = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const { period = "30d" } = req.query;
 
   // Calculate date range based on period
@@ -479,10 +485,6 @@ export const getDashboardOverview = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getInventoryAnalytics = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const [stockLevels, categoryStock, lowStockProducts, topSellingProducts] =
     await Promise.all([
       // Stock level distribution
@@ -581,10 +583,6 @@ export const getInventoryAnalytics = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const createUser = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Admin create user start", {
     adminId: req.user?.id,
     bodyKeys: Object.keys(req.body || {}),
@@ -613,11 +611,6 @@ export const createUser = asyncHandler(async (req, res, next) => {
     validationErrors.push("Invalid email format");
   }
 
-  // Password validation (User model enforces min 8, but we show early)
-  if (password && password.length < 8) {
-    validationErrors.push("Password must be at least 8 characters long");
-  }
-
   // Role validation
   const validRoles = ["user", "admin"];
   if (role && !validRoles.includes(role)) {
@@ -629,6 +622,16 @@ export const createUser = asyncHandler(async (req, res, next) => {
     return next(new AppError(validationErrors.join("; "), 400));
   }
 
+  // Same password policy as self-service signup
+  await enforcePasswordPolicy(password);
+
+  // Granting admin is a privilege escalation
+  if (role === "admin" && !hasPermission(req.permissions, PERMISSIONS.ROLES_MANAGE)) {
+    return next(
+      new AppError("You do not have permission to create admin users", 403)
+    );
+  }
+
   // Check if user already exists
   const existingUser = await User.findOne({ email: email.toLowerCase() });
   if (existingUser) {
@@ -652,6 +655,13 @@ export const createUser = asyncHandler(async (req, res, next) => {
     isEmailVerified: false, // Admin-created users still need to verify email
   });
 
+  await recordAudit(req, {
+    action: "user.create",
+    targetModel: "User",
+    targetId: user._id,
+    after: user,
+  });
+
   // Remove sensitive data from response
   const userResponse = {
     _id: user._id,
@@ -684,10 +694,6 @@ export const createUser = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getAllUsers = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Admin fetch users", {
     route: req.originalUrl,
     method: req.method,
@@ -758,12 +764,8 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getUserById = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const user = await User.findById(req.params.id).select(
-    "-password -twoFactorSecret"
+    "-password -twoFactorSecret +failedLoginAttempts +lockoutCount +lockUntil +lastFailedLoginAt"
   );
 
   if (!user) {
@@ -771,7 +773,20 @@ export const getUserById = asyncHandler(async (req, res, next) => {
     return next(new AppError("User not found", 404));
   }
 
-  res.json({ success: true, data: user });
+  const flaggedLogins = await LoginEvent.find({ user: user._id, flagged: true })
+    .select("browser os ipPrefix country flagReasons method alertSentAt reportedAt createdAt")
+    .sort({ createdAt: -1 })
+    .limit(20)
+    .lean();
+
+  res.json({
+    success: true,
+    data: {
+      ...user.toJSON(),
+      lockout: user.getLockoutState(),
+      flaggedLogins,
+    },
+  });
   logger.info("Admin fetched user", { id: req.params.id });
 });
 
@@ -781,10 +796,6 @@ export const getUserById = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const updateUser = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Update user start", {
     id: req.params.id,
     bodyKeys: Object.keys(req.body || {}),
@@ -804,16 +815,35 @@ export const updateUser = asyncHandler(async (req, res, next) => {
     }
   });
 
-  const updatedUser = await User.findByIdAndUpdate(req.params.id, updateData, {
-    new: true,
-    runValidators: true,
-  }).select("-password -twoFactorSecret");
+  if (
+    updateData.role !== undefined &&
+    !hasPermission(req.permissions, PERMISSIONS.ROLES_MANAGE)
+  ) {
+    return next(
+      new AppError("You do not have permission to change user roles", 403)
+    );
+  }
+
+  const existingUser = await User.findById(req.params.id).select("+active");
 
-  if (!updatedUser) {
+  if (!existingUser) {
     logger.warn("User not found for update", { id: req.params.id });
     return next(new AppError("User not found", 404));
   }
 
+  const updatedUser = await User.findByIdAndUpdate(req.params.id, updateData, {
+    new: true,
+    runValidators: true,
+  }).select("-password -twoFactorSecret +active");
+
+  await recordAudit(req, {
+    action: "user.update",
+    targetModel: "User",
+    targetId: updatedUser._id,
+    before: existingUser,
+    after: updatedUser,
+  });
+
   res.status(200).json({
     success: true,
     data: updatedUser,
@@ -827,10 +857,6 @@ export const updateUser = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const deleteUser = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Admin delete user start", {
     id: req.params.id,
     adminId: req.user?.id,
@@ -849,9 +875,18 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
   }
 
   // Soft delete by marking inactive
+  const before = user.toObject();
   user.active = false;
   await user.save({ validateBeforeSave: false });
 
+  await recordAudit(req, {
+    action: "user.delete",
+    targetModel: "User",
+    targetId: user._id,
+    before,
+    after: user,
+  });
+
   res.json({ success: true, message: "User deactivated successfully" });
   logger.info("Admin deactivated user", {
     id: req.params.id,
@@ -859,6 +894,203 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Unlock a user locked out by failed logins
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private/Admin
+ */
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select(
+    "+failedLoginAttempts +lockoutCount +lockUntil +lastFailedLoginAt"
+  );
+
+  if (!user) {
+    logger.warn("Admin user not found for unlock", { id: req.params.id });
+    return next(new AppError("User not found", 404));
+  }
+
+  const previousState = user.getLockoutState();
+  await user.resetLoginFailures();
+
+  await recordAudit(req, {
+    action: "user.unlock",
+    targetModel: "User",
+    targetId: user._id,
+    before: previousState,
+    after: user.getLockoutState(),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "User account unlocked",
+    data: { lockout: user.getLockoutState() },
+  });
+  logger.info("Admin unlocked user", {
+    id: req.params.id,
+    adminId: req.user?.id,
+    wasLocked: previousState.isLocked,
+    lockoutCount: previousState.lockoutCount,
+  });
+});
+
+/**
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @route   POST /api/admin/users/:id/2fa/reset
+ * @access  Private/Admin
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res, next) => {
+  const reason = req.body?.reason?.trim();
+
+  if (!reason) {
+    return next(
+      new AppError("A reason is required to reset two-factor authentication", 400)
+    );
+  }
+
+  if (req.params.id === req.user.id) {
+    return next(
+      new AppError("You cannot reset two-factor authentication on your own account", 400)
+    );
+  }
+
+  const user = await User.findById(req.params.id).select(
+    "+twoFactorSecret +twoFactorRecoveryCodes"
+  );
+
+  if (!user) {
+    logger.warn("Admin user not found for 2FA reset", { id: req.params.id });
+    return next(new AppError("User not found", 404));
+  }
+
+  // Stripping 2FA from staff is a privilege escalation path
+  if (user.isStaff() && !hasPermission(req.permissions, PERMISSIONS.ROLES_MANAGE)) {
+    return next(
+      new AppError(
+        "You do not have permission to reset two-factor authentication for staff accounts",
+        403
+      )
+    );
+  }
+
+  if (!user.twoFactorEnabled && !user.twoFactorSecret) {
+    return next(
+      new AppError("Two-factor authentication is not enabled for this user", 400)
+    );
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorRecoveryCodesGeneratedAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  securityLogger.twoFactorReset(req.user.id, user._id.toString(), req.ip, reason);
+
+  await recordAudit(req, {
+    action: "user.2fa_reset",
+    targetModel: "User",
+    targetId: user._id,
+    before: { twoFactorEnabled: true },
+    after: { twoFactorEnabled: false },
+    metadata: { reason },
+  });
+
+  // Notify the account owner (best-effort)
+  try {
+    await new Email(
+      user,
+      `${process.env.CLIENT_URL}/account/security`
+    ).sendTwoFactorReset();
+  } catch (err) {
+    logger.error("2FA reset notification email failed", {
+      userId: user._id.toString(),
+      message: err.message,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication reset successfully",
+  });
+});
+
+/**
+ * @desc    Act as a customer to see what they see. Issues a short-lived,
+ *          non-refreshable token tagged with both the admin and the user;
+ *          payment, password and security endpoints stay blocked, and every
+ *          request made with it is audited.
+ * @route   POST /api/admin/users/:id/impersonate
+ * @access  Private/Admin
+ */
+export const impersonateUser = asyncHandler(async (req, res, next) => {
+  // Only a person may do this – never a service integration (even with users:*)
+  if (req.apiKey) {
+    return next(new AppError("API keys cannot impersonate users", 403));
+  }
+
+  const reason = req.body?.reason?.trim();
+
+  if (!reason) {
+    return next(new AppError("A reason is required to impersonate a user", 400));
+  }
+
+  if (req.params.id === req.user.id) {
+    return next(new AppError("You cannot impersonate yourself", 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    logger.warn("Admin user not found for impersonation", { id: req.params.id });
+    return next(new AppError("User not found", 404));
+  }
+
+  // Staff accounts are never impersonated – that would be privilege hopping
+  if (user.isStaff()) {
+    return next(new AppError("Staff accounts cannot be impersonated", 403));
+  }
+
+  const session = new Session({
+    user: user._id,
+    impersonatedBy: req.user._id,
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+  });
+
+  const { accessToken, expiresAt } = generateImpersonationToken(
+    user._id,
+    user.role,
+    session._id,
+    req.user._id
+  );
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  securityLogger.impersonationStarted(
+    req.user.id,
+    user._id.toString(),
+    req.ip,
+    reason
+  );
+
+  await recordAudit(req, {
+    action: "user.impersonate",
+    targetModel: "User",
+    targetId: user._id,
+    metadata: { reason, sessionId: session._id.toString(), expiresAt },
+  });
+
+  // Returned in the body only – the admin's own cookies stay untouched
+  res.status(201).json({
+    success: true,
+    data: {
+      accessToken,
+      expiresAt,
+      user: { id: user._id, name: user.name, email: user.email },
+    },
+  });
+});
+
 // ============================================================================
 // PRODUCT MANAGEMENT
 // ============================================================================
@@ -869,10 +1101,6 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getAllProducts = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Admin fetch products", {
     route: req.originalUrl,
     method: req.method,
@@ -998,10 +1226,6 @@ export const getAllProducts = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const createProduct = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Create product start", {
     userId: req.user?.id,
     bodyKeys: Object.keys(req.body || {}),
@@ -1057,11 +1281,8 @@ export const createProduct = asyncHandler(async (req, res, next) => {
   }
 
   // SKU uniqueness check
-  if (sku) {
-    const existingProduct = await Product.findOne({ sku: sku.trim() });
-    if (existingProduct) {
-      validationErrors.push("SKU must be unique");
-    }
+  if (sku && (await isSkuTaken(sku.trim()))) {
+    validationErrors.push("SKU must be unique");
   }
 
   // Specifications validation
@@ -1080,6 +1301,16 @@ export const createProduct = asyncHandler(async (req, res, next) => {
     return next(new AppError(validationErrors.join("; "), 400));
   }
 
+  // Category specification template (canonical keys, typed values)
+  const specResult = await normalizeSpecifications(category, specifications || []);
+  if (specResult.errors.length > 0) {
+    return next(
+      new AppError(`Invalid specifications: ${specResult.errors.join("; ")}`, 400, {
+        errors: specResult.errors,
+      })
+    );
+  }
+
   // ======================================================
   // IMAGE HANDLING (FILES OR URLS, BUT NOT BOTH)
   // ======================================================
@@ -1148,7 +1379,7 @@ export const createProduct = asyncHandler(async (req, res, next) => {
     name: name.trim(),
     category: category.trim(),
     brand: brand.trim(),
-    specifications: specifications || [],
+    specifications: specResult.specifications,
     originalPrice,
     discountPercentage,
     finalPrice,
@@ -1166,6 +1397,14 @@ export const createProduct = asyncHandler(async (req, res, next) => {
     isFeatured: false,
     salesCount: 0,
   });
+  invalidateSuggestionIndex();
+
+  await recordAudit(req, {
+    action: "product.create",
+    targetModel: "Product",
+    targetId: product._id,
+    after: product,
+  });
 
   res.status(201).json({
     success: true,
@@ -1181,10 +1420,6 @@ export const createProduct = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const updateProduct = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Update product start", {
     id: req.params.id,
     userId: req.user?.id,
@@ -1224,6 +1459,21 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
     }
   });
 
+  // Stock and price of a variant group live on its variants
+  if (product.hasVariants) {
+    const variantManaged = ["stock", "originalPrice", "discountPercentage"].filter(
+      (field) => updateData[field] !== undefined
+    );
+    if (variantManaged.length > 0) {
+      return next(
+        new AppError(
+          `${variantManaged.join(", ")} must be updated on the product's variants`,
+          400
+        )
+      );
+    }
+  }
+
   // ======================================================
   // CATEGORY VALIDATION (DYNAMIC FROM MODEL ENUM)
   // ======================================================
@@ -1286,6 +1536,9 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
   // ======================================================
   // SPECIFICATIONS VALIDATION
   // ======================================================
+  const category = updateData.category || product.category;
+  const categoryChanged = category !== product.category;
+
   if (updateData.specifications) {
     for (const spec of updateData.specifications) {
       if (!spec.key || !spec.value) {
@@ -1296,6 +1549,23 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // A new category means a new template: the current specifications are re-checked too
+  if (updateData.specifications || categoryChanged) {
+    const specResult = await normalizeSpecifications(
+      category,
+      updateData.specifications ||
+        product.specifications.map(({ key, value }) => ({ key, value }))
+    );
+    if (specResult.errors.length > 0) {
+      return next(
+        new AppError(`Invalid specifications: ${specResult.errors.join("; ")}`, 400, {
+          errors: specResult.errors,
+        })
+      );
+    }
+    updateData.specifications = specResult.specifications;
+  }
+
   // ======================================================
   // PRICE & DISCOUNT HANDLING
   // ======================================================
@@ -1317,10 +1587,12 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
       return next(new AppError("Discount must be between 0 and 100%", 400));
     }
 
+    // A live sale keeps applying if it is bigger than the new discount
+    const effectiveDiscount = product.effectiveDiscount(discount);
     updateData.finalPrice = parseFloat(
       (
         original -
-        (original * discount) / 100
+        (original * effectiveDiscount) / 100
       ).toFixed(2)
     );
   }
@@ -1341,8 +1613,8 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
   // SKU UNIQUENESS CHECK
   // ======================================================
   if (updateData.sku) {
-    const existingProduct = await Product.findOne({ sku: updateData.sku });
-    if (existingProduct && existingProduct._id.toString() !== req.params.id) {
+    const usedByVariant = product.variants.some((v) => v.sku === updateData.sku);
+    if (usedByVariant || (await isSkuTaken(updateData.sku, product._id))) {
       return next(new AppError("SKU must be unique", 400));
     }
   }
@@ -1356,6 +1628,14 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
     }
   );
 
+  await recordAudit(req, {
+    action: "product.update",
+    targetModel: "Product",
+    targetId: updatedProduct._id,
+    before: product,
+    after: updatedProduct,
+  });
+
   // Extra consistency/logging when category changes
   if (
     updateData.category &&
@@ -1366,8 +1646,8 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
       from: previousCategory,
       to: updateData.category,
     });
-    // Here you could also trigger cache invalidation / analytics refresh if needed
   }
+  invalidateSuggestionIndex();
 
   res.status(200).json({
     success: true,
@@ -1386,10 +1666,6 @@ export const updateProduct = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const deleteProduct = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Delete product start", {
     id: req.params.id,
     userId: req.user?.id,
@@ -1401,6 +1677,14 @@ export const deleteProduct = asyncHandler(async (req, res, next) => {
   }
 
   await product.deleteOne();
+  invalidateSuggestionIndex();
+
+  await recordAudit(req, {
+    action: "product.delete",
+    targetModel: "Product",
+    targetId: product._id,
+    before: product,
+  });
 
   res.status(204).json({
     success: true,
@@ -1409,6 +1693,219 @@ export const deleteProduct = asyncHandler(async (req, res, next) => {
   logger.info("Product deleted", { id: req.params.id, userId: req.user?.id });
 });
 
+// ============================================================================
+// PRODUCT VARIANTS
+// ============================================================================
+
+const VARIANT_FIELDS = [
+  "sku",
+  "options",
+  "originalPrice",
+  "discountPercentage",
+  "stock",
+  "availability",
+  "images",
+  "isActive",
+];
+
+const pickVariantFields = (body = {}) => {
+  const data = {};
+  VARIANT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (typeof data.sku === "string") data.sku = data.sku.trim().toUpperCase();
+  return data;
+};
+
+const findProductForVariants = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError("Invalid product ID", 400);
+  }
+  const product = await Product.findById(id);
+  if (!product) {
+    throw new AppError("No product found with that ID", 404);
+  }
+  return product;
+};
+
+/**
+ * @desc    Set the option axes of a product's variant group
+ *          (e.g. [{ name: "Color", values: ["Black", "White"] }])
+ * @route   PUT /api/admin/products/:id/variant-options
+ * @access  Private/Admin
+ */
+export const updateVariantOptions = asyncHandler(async (req, res, next) => {
+  const { options } = req.body;
+
+  if (!Array.isArray(options)) {
+    return next(new AppError("options must be an array", 400));
+  }
+
+  const product = await findProductForVariants(req.params.id);
+  const before = product.toObject();
+
+  product.variantOptions = options.map((o) => ({
+    name: typeof o?.name === "string" ? o.name.trim() : o?.name,
+    values: Array.isArray(o?.values) ? o.values : [],
+  }));
+
+  // Existing variants must still fit the new axes
+  const error = product.validateVariants();
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  await product.save();
+  invalidateSuggestionIndex();
+
+  await recordAudit(req, {
+    action: "product.variant_options_update",
+    targetModel: "Product",
+    targetId: product._id,
+    before: { variantOptions: before.variantOptions },
+    after: { variantOptions: product.variantOptions },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: product,
+  });
+
+  logger.info("Product variant options updated", {
+    productId: product._id,
+    userId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Add a variant (own SKU, price, stock, images) to a product
+ * @route   POST /api/admin/products/:id/variants
+ * @access  Private/Admin
+ */
+export const addProductVariant = asyncHandler(async (req, res, next) => {
+  const data = pickVariantFields(req.body);
+
+  if (!data.sku) return next(new AppError("Variant SKU is required", 400));
+  if (!data.options || typeof data.options !== "object") {
+    return next(new AppError("Variant options are required", 400));
+  }
+
+  const product = await findProductForVariants(req.params.id);
+
+  if (data.sku === product.sku || (await isSkuTaken(data.sku, product._id))) {
+    return next(new AppError("SKU must be unique", 400));
+  }
+
+  product.variants.push(data);
+  await product.save();
+  invalidateSuggestionIndex();
+
+  const variant = product.variants[product.variants.length - 1];
+
+  await recordAudit(req, {
+    action: "product.variant_create",
+    targetModel: "Product",
+    targetId: product._id,
+    after: variant.toObject(),
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { product, variant },
+  });
+
+  logger.info("Product variant created", {
+    productId: product._id,
+    variantId: variant._id,
+    userId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Update a product variant
+ * @route   PATCH /api/admin/products/:id/variants/:variantId
+ * @access  Private/Admin
+ */
+export const updateProductVariant = asyncHandler(async (req, res, next) => {
+  const data = pickVariantFields(req.body);
+  const product = await findProductForVariants(req.params.id);
+
+  const variant = product.variants.id(req.params.variantId);
+  if (!variant) {
+    return next(new AppError("No variant found with that ID", 404));
+  }
+
+  if (
+    data.sku &&
+    data.sku !== variant.sku &&
+    (data.sku === product.sku || (await isSkuTaken(data.sku, product._id)))
+  ) {
+    return next(new AppError("SKU must be unique", 400));
+  }
+
+  const before = variant.toObject();
+  variant.set(data);
+  await product.save();
+  invalidateSuggestionIndex();
+
+  await recordAudit(req, {
+    action: "product.variant_update",
+    targetModel: "Product",
+    targetId: product._id,
+    before,
+    after: variant.toObject(),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { product, variant },
+  });
+
+  logger.info("Product variant updated", {
+    productId: product._id,
+    variantId: variant._id,
+    userId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Remove a product variant (past orders keep their snapshot;
+ *          carts holding it show it as unavailable)
+ * @route   DELETE /api/admin/products/:id/variants/:variantId
+ * @access  Private/Admin
+ */
+export const deleteProductVariant = asyncHandler(async (req, res, next) => {
+  const product = await findProductForVariants(req.params.id);
+
+  const variant = product.variants.id(req.params.variantId);
+  if (!variant) {
+    return next(new AppError("No variant found with that ID", 404));
+  }
+
+  const before = variant.toObject();
+  variant.deleteOne();
+  await product.save();
+  invalidateSuggestionIndex();
+
+  await recordAudit(req, {
+    action: "product.variant_delete",
+    targetModel: "Product",
+    targetId: product._id,
+    before,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: product,
+  });
+
+  logger.info("Product variant deleted", {
+    productId: product._id,
+    variantId: req.params.variantId,
+    userId: req.user?.id,
+  });
+});
+
 // ============================================================================
 // PRODUCT REVIEW MANAGEMENT
 // ============================================================================
@@ -1419,10 +1916,6 @@ export const deleteProduct = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getProductReviews = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const reviews = await Review.find({ product: req.params.id }).sort({
     createdAt: -1,
   });
@@ -1444,10 +1937,6 @@ export const getProductReviews = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const deleteProductReview = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const { productId, reviewId } = req.params;
 
   const review = await Review.findOne({ _id: reviewId, product: productId });
@@ -1458,8 +1947,18 @@ export const deleteProductReview = asyncHandler(async (req, res, next) => {
   }
 
   // Soft delete review (so history is preserved)
+  const before = review.toObject();
   await review.softDelete();
 
+  await recordAudit(req, {
+    action: "review.delete",
+    targetModel: "Review",
+    targetId: review._id,
+    before,
+    after: review,
+    metadata: { productId },
+  });
+
   // Recalculate product ratings
   await Review.calculateAverageRatings(productId, null);
 
@@ -1480,10 +1979,6 @@ export const deleteProductReview = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getOrders = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Admin fetch orders", { userId: req.user._id, query: req.query });
 
   const { page, limit, skip } = validatePagination(req.query);
@@ -1528,10 +2023,6 @@ export const getOrders = asyncHandler(async (req, res, next) => {
  */
 export const updateOrderToDelivered = asyncHandler(
   async (req, res, next) => {
-    if (!req.user || req.user.role !== "admin") {
-      return next(new AppError("Admin access only", 403));
-    }
-
     const order = await Order.findById(req.params.id);
 
     if (!order) {
@@ -1547,12 +2038,21 @@ export const updateOrderToDelivered = asyncHandler(
       return next(new AppError("Order is already marked as delivered", 400));
     }
 
+    const before = order.toObject();
     order.isDelivered = true;
     order.deliveredAt = new Date();
     order.status = "delivered";
 
     const updatedOrder = await order.save();
 
+    await recordAudit(req, {
+      action: "order.deliver",
+      targetModel: "Order",
+      targetId: order._id,
+      before,
+      after: updatedOrder,
+    });
+
     res.json({
       success: true,
       data: updatedOrder,
@@ -1570,10 +2070,6 @@ export const updateOrderToDelivered = asyncHandler(
  * @access  Private/Admin
  */
 export const markOrderAsPaid = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Mark order paid start", {
     id: req.params.id,
     userId: req.user._id,
@@ -1596,8 +2092,17 @@ export const markOrderAsPaid = asyncHandler(async (req, res, next) => {
     method: "manual",
   };
 
+  const before = order.toObject();
   await order.markAsPaid(paymentResult);
 
+  await recordAudit(req, {
+    action: "order.mark_paid",
+    targetModel: "Order",
+    targetId: order._id,
+    before,
+    after: order,
+  });
+
   res.status(200).json({
     success: true,
     data: order,
@@ -1615,10 +2120,6 @@ export const markOrderAsPaid = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const updateOrderStatus = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Update order status start", {
     id: req.params.id,
     userId: req.user._id,
@@ -1655,9 +2156,18 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     return next(new AppError("Order not found", 404));
   }
 
+  const before = order.toObject();
   order.status = status;
   const updatedOrder = await order.save();
 
+  await recordAudit(req, {
+    action: "order.status_update",
+    targetModel: "Order",
+    targetId: order._id,
+    before,
+    after: updatedOrder,
+  });
+
   res.status(200).json({
     success: true,
     data: updatedOrder,
@@ -1680,10 +2190,6 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const processRefund = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -1717,6 +2223,7 @@ export const processRefund = asyncHandler(async (req, res, next) => {
     }
 
     // Update fields to reflect refund
+    const before = order.toObject();
     order.status = "refunded";
     order.isPaid = false;
 
@@ -1728,6 +2235,16 @@ export const processRefund = asyncHandler(async (req, res, next) => {
 
     await order.save({ session });
 
+    await recordAudit(req, {
+      action: "order.refund",
+      targetModel: "Order",
+      targetId: order._id,
+      before,
+      after: order,
+      metadata: { amount: order.totalPrice },
+      session,
+    });
+
     await session.commitTransaction();
     session.endSession();
 
@@ -1753,10 +2270,6 @@ export const processRefund = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const processReturn = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Process return start", {
     id: req.params.id,
     userId: req.user._id,
@@ -1789,6 +2302,8 @@ export const processReturn = asyncHandler(async (req, res, next) => {
       );
     }
 
+    const before = order.toObject();
+
     if (action === "approve") {
       order.returnStatus = "approved";
       order.status = "refunded";
@@ -1816,6 +2331,16 @@ export const processReturn = asyncHandler(async (req, res, next) => {
 
     await order.save({ session });
 
+    await recordAudit(req, {
+      action: action === "approve" ? "order.return_approve" : "order.return_reject",
+      targetModel: "Order",
+      targetId: order._id,
+      before,
+      after: order,
+      metadata: action === "reject" ? { rejectionReason } : undefined,
+      session,
+    });
+
     await session.commitTransaction();
     session.endSession();
 
@@ -1846,10 +2371,6 @@ export const processReturn = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const createCoupon = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Create coupon start", { bodyKeys: Object.keys(req.body || {}), userId: req.user?.id });
 
   const {
@@ -1901,6 +2422,13 @@ export const createCoupon = asyncHandler(async (req, res, next) => {
     isActive: true,
   });
 
+  await recordAudit(req, {
+    action: "coupon.create",
+    targetModel: "Coupon",
+    targetId: coupon._id,
+    after: coupon,
+  });
+
   res.status(201).json({
     success: true,
     data: coupon,
@@ -1918,10 +2446,6 @@ export const createCoupon = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getCoupons = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Fetch coupons", {
     route: req.originalUrl,
     method: req.method,
@@ -1942,10 +2466,6 @@ export const getCoupons = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const getCoupon = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   const coupon = await Coupon.findById(req.params.id);
 
   if (!coupon) {
@@ -1966,10 +2486,6 @@ export const getCoupon = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const updateCoupon = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Update coupon start", {
     id: req.params.id,
     bodyKeys: Object.keys(req.body || {}),
@@ -1981,15 +2497,25 @@ export const updateCoupon = asyncHandler(async (req, res, next) => {
     updates.code = updates.code.toUpperCase();
   }
 
+  const existingCoupon = await Coupon.findById(req.params.id);
+
+  if (!existingCoupon) {
+    logger.warn("Coupon not found for update", { id: req.params.id });
+    return next(new AppError("Coupon not found", 404));
+  }
+
   const coupon = await Coupon.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true,
   });
 
-  if (!coupon) {
-    logger.warn("Coupon not found for update", { id: req.params.id });
-    return next(new AppError("Coupon not found", 404));
-  }
+  await recordAudit(req, {
+    action: "coupon.update",
+    targetModel: "Coupon",
+    targetId: coupon._id,
+    before: existingCoupon,
+    after: coupon,
+  });
 
   res.status(200).json({
     success: true,
@@ -2004,10 +2530,6 @@ export const updateCoupon = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin
  */
 export const deleteCoupon = asyncHandler(async (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return next(new AppError("Admin access only", 403));
-  }
-
   logger.info("Delete coupon start", {
     id: req.params.id,
     userId: req.user?.id,
@@ -2019,6 +2541,13 @@ export const deleteCoupon = asyncHandler(async (req, res, next) => {
     return next(new AppError("Coupon not found", 404));
   }
 
+  await recordAudit(req, {
+    action: "coupon.delete",
+    targetModel: "Coupon",
+    targetId: coupon._id,
+    before: coupon,
+  });
+
   res.status(204).json({
     success: true,
     data: null,
@@ -0,0 +1,213 @@
+// server/controllers/apiKeyController.js
+
+import ApiKey from "../models/ApiKey.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import { generateApiKey } from "../utils/generateToken.js";
+import { hasPermission } from "../config/permissions.js";
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    List API keys (optionally filtered by status)
+ * @route   GET /api/admin/api-keys?status=active|expired|revoked
+ * @access  Private/Staff (api-keys:read)
+ */
+export const getApiKeys = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+  const now = new Date();
+  const filter = {};
+
+  if (status === "active") {
+    filter.revokedAt = null;
+    filter.expiresAt = { $gt: now };
+  } else if (status === "expired") {
+    filter.revokedAt = null;
+    filter.expiresAt = { $lte: now };
+  } else if (status === "revoked") {
+    filter.revokedAt = { $ne: null };
+  } else if (status) {
+    return next(
+      new AppError("Invalid status. Must be active, expired or revoked", 400)
+    );
+  }
+
+  const apiKeys = await ApiKey.find(filter)
+    .populate("createdBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys,
+  });
+});
+
+/**
+ * @desc    Get single API key by ID
+ * @route   GET /api/admin/api-keys/:id
+ * @access  Private/Staff (api-keys:read)
+ */
+export const getApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id)
+    .populate("createdBy", "name email")
+    .populate("revokedBy", "name email");
+
+  if (!apiKey) {
+    logger.warn("API key not found", { id: req.params.id });
+    return next(new AppError("API key not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: apiKey,
+  });
+});
+
+/**
+ * @desc    Create an API key. The raw key is returned ONCE and never stored.
+ * @route   POST /api/admin/api-keys
+ * @access  Private/Staff (api-keys:manage)
+ */
+export const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, rateLimit } = req.body || {};
+  const expiresInDays = Number(req.body?.expiresInDays ?? DEFAULT_EXPIRY_DAYS);
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return next(new AppError("scopes must be a non-empty array", 400));
+  }
+
+  if (
+    !Number.isInteger(expiresInDays) ||
+    expiresInDays < 1 ||
+    expiresInDays > MAX_EXPIRY_DAYS
+  ) {
+    return next(
+      new AppError(
+        `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`,
+        400
+      )
+    );
+  }
+
+  // Admins cannot hand out more than they hold themselves
+  const notHeld = scopes.filter((scope) => !hasPermission(req.permissions, scope));
+  if (notHeld.length > 0) {
+    return next(
+      new AppError("You cannot grant scopes you do not hold", 403, {
+        scopes: notHeld,
+      })
+    );
+  }
+
+  const { key, prefix, hashedKey } = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    scopes: [...new Set(scopes)],
+    rateLimit,
+    prefix,
+    keyHash: hashedKey,
+    createdBy: req.user._id,
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+  });
+
+  await recordAudit(req, {
+    action: "api_key.create",
+    targetModel: "ApiKey",
+    targetId: apiKey._id,
+    after: apiKey,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Store this key now – it will not be shown again",
+    data: { ...apiKey.toJSON(), key },
+  });
+  logger.info("API key created", {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    adminId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Rename an API key or change its rate limit
+ * @route   PATCH /api/admin/api-keys/:id
+ * @access  Private/Staff (api-keys:manage)
+ */
+export const updateApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    logger.warn("API key not found for update", { id: req.params.id });
+    return next(new AppError("API key not found", 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new AppError("Revoked API keys cannot be modified", 400));
+  }
+
+  // Scopes are fixed at creation – issue a new key to change them
+  const before = apiKey.toObject();
+  ["name", "rateLimit"].forEach((field) => {
+    if (req.body?.[field] !== undefined) apiKey[field] = req.body[field];
+  });
+  await apiKey.save();
+
+  await recordAudit(req, {
+    action: "api_key.update",
+    targetModel: "ApiKey",
+    targetId: apiKey._id,
+    before,
+    after: apiKey,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: apiKey,
+  });
+  logger.info("API key updated", { id: apiKey.id, adminId: req.user?.id });
+});
+
+/**
+ * @desc    Revoke an API key (takes effect immediately)
+ * @route   DELETE /api/admin/api-keys/:id
+ * @access  Private/Staff (api-keys:manage)
+ */
+export const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    logger.warn("API key not found or already revoked", { id: req.params.id });
+    return next(new AppError("API key not found or already revoked", 404));
+  }
+
+  await recordAudit(req, {
+    action: "api_key.revoke",
+    targetModel: "ApiKey",
+    targetId: apiKey._id,
+    before: { revokedAt: null },
+    after: { revokedAt: apiKey.revokedAt },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked",
+    data: apiKey,
+  });
+  logger.info("API key revoked", {
+    id: apiKey.id,
+    name: apiKey.name,
+    adminId: req.user?.id,
+  });
+});
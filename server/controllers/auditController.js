@@ -0,0 +1,130 @@
+// server/controllers/auditController.js
+
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @desc    Query the audit trail
+ * @route   GET /api/admin/audit
+ *          ?actor=<userId|email>&targetModel=Order&targetId=<id>
+ *          &action=order.refund&apiKey=<id>&from=2024-01-01&to=2024-01-31
+ *          &page=1&limit=50
+ * @access  Private/Staff (audit:read)
+ */
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { actor, targetModel, targetId, action, apiKey, from, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const query = {};
+
+  if (actor) {
+    if (isValidId(actor)) {
+      query.actor = actor;
+    } else {
+      query.actorEmail = String(actor).toLowerCase().trim();
+    }
+  }
+
+  if (targetModel) {
+    const models = AuditLog.schema.path("targetModel").enumValues;
+    if (!models.includes(targetModel)) {
+      return next(
+        new AppError(`Invalid targetModel. Must be one of: ${models.join(", ")}`, 400)
+      );
+    }
+    query.targetModel = targetModel;
+  }
+
+  if (targetId) {
+    if (!isValidId(targetId)) {
+      return next(new AppError("Invalid targetId", 400));
+    }
+    query.targetId = targetId;
+  }
+
+  if (apiKey) {
+    if (!isValidId(apiKey)) {
+      return next(new AppError("Invalid apiKey", 400));
+    }
+    query.apiKey = apiKey;
+  }
+
+  if (action) {
+    query.action = String(action);
+  }
+
+  if (from || to) {
+    const fromDate = from ? parseDate(from) : null;
+    const toDate = to ? parseDate(to) : null;
+
+    if ((from && !fromDate) || (to && !toDate)) {
+      return next(new AppError("from/to must be valid dates", 400));
+    }
+    if (fromDate && toDate && fromDate > toDate) {
+      return next(new AppError("from must be before to", 400));
+    }
+
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  const [entries, count] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count,
+    page,
+    pages: Math.ceil(count / limit),
+    data: entries,
+  });
+  logger.info("Fetched audit logs", {
+    count,
+    page,
+    filters: req.query,
+    adminId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Get single audit entry
+ * @route   GET /api/admin/audit/:id
+ * @access  Private/Staff (audit:read)
+ */
+export const getAuditLog = asyncHandler(async (req, res, next) => {
+  if (!isValidId(req.params.id)) {
+    return next(new AppError("Invalid audit entry ID", 400));
+  }
+
+  const entry = await AuditLog.findById(req.params.id)
+    .populate("actor", "name email role")
+    .populate("apiKey", "name prefix");
+
+  if (!entry) {
+    logger.warn("Audit entry not found", { id: req.params.id });
+    return next(new AppError("Audit entry not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
@@ -1,24 +1,51 @@
 // server/controllers/authController.js
 
+import crypto from "crypto";
 import rateLimit from "express-rate-limit";
 import asyncHandler from "express-async-handler";
 
 import {
-  signToken,
+  generateTokenPair,
+  hashToken,
+  verifyJWT,
   assignEmailVerificationToUser,
   assignPasswordResetToUser,
   generate2FASecret,
   verify2FAToken,
+  verifySecondFactor,
+  assignRecoveryCodesToUser,
   verifyEmailToken,
   verifyPasswordResetToken,
+  assignAccountUnlockToUser,
+  verifyAccountUnlockToken,
+  assignMagicLinkToUser,
+  verifyMagicLinkToken,
+  consumeMagicLinkToken,
+  assignEmailChangeToUser,
+  verifyEmailChangeToken,
+  verifyEmailChangeRevertToken,
 } from "../utils/generateToken.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import LoginEvent from "../models/LoginEvent.js";
 import Email from "../utils/email.js";
+import { recordLogin } from "../utils/loginAlerts.js";
+import { enforcePasswordPolicy } from "../utils/passwordPolicy.js";
+import {
+  OIDC_STATE_TTL_MS,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  sealAuthorizationRequest,
+  openAuthorizationRequest,
+  completeAuthorization,
+} from "../utils/oidc.js";
+import { getOidcProvider, listOidcProviders } from "../config/oidc.js";
 import AppError from "../utils/appError.js";
-import { logger } from "../middleware/logger.js";
+import { renderPage } from "../utils/renderPage.js";
+import { logger, securityLogger } from "../middleware/logger.js";
 
 /**
- * Rate limiting for login
+ * Rate limiting for login (per IP, in-memory – per-account lockout lives on the User)
  */
 export const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -39,6 +66,19 @@ const cookieOptions = {
   sameSite: "strict",
 };
 
+/**
+ * Refresh token cookie – only ever sent to the auth routes
+ */
+const REFRESH_COOKIE_PATH = "/api/v1/auth";
+
+const refreshCookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: REFRESH_COOKIE_PATH,
+});
+
 // ---------- Shared Helpers ----------
 
 const validatePasswordConfirm = (password, passwordConfirm) => {
@@ -50,9 +90,105 @@ const validatePasswordConfirm = (password, passwordConfirm) => {
   }
 };
 
-const getUserWithPassword = async (email) => {
-  // Include password & 2FA secret for login flow
-  return await User.findOne({ email }).select("+password +twoFactorSecret");
+const findLoginUser = async (filter) => {
+  // Include password, 2FA secret & lockout state for login flow
+  const fields =
+    "+password +twoFactorSecret +failedLoginAttempts +lockoutCount +lockUntil +active";
+
+  // Accounts inside their deletion grace period may still log in (which cancels it)
+  return (
+    (await User.findOne(filter).select(fields)) ||
+    (await User.findOne({
+      ...filter,
+      active: false,
+      deletionScheduledFor: { $gt: new Date() },
+    }).select(fields))
+  );
+};
+
+const getUserWithPassword = (email) => findLoginUser({ email });
+
+const lockedAccountError = (lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil - Date.now()) / 60000));
+  return new AppError(
+    `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s) or use the unlock link sent to your email.`,
+    423,
+    { lockedUntil: lockUntil }
+  );
+};
+
+/**
+ * Record a failed login; on lockout email the owner an unlock link.
+ * Returns the AppError to send back to the client.
+ */
+const handleFailedLogin = async (user, req, reason, failureError) => {
+  securityLogger.loginFailed(user.email, req.ip, reason, req.get("User-Agent"));
+
+  const result = await user.registerFailedLogin();
+
+  if (!result.locked) return failureError;
+
+  logger.warn("Account locked after failed logins", {
+    userId: user._id.toString(),
+    lockUntil: result.lockUntil,
+    lockoutCount: user.lockoutCount,
+  });
+
+  try {
+    const unlockToken = await assignAccountUnlockToUser(user);
+    const unlockURL = `${req.protocol}://${req.get(
+      "host"
+    )}/api/v1/auth/unlock-account/${unlockToken}`;
+
+    await new Email(user, unlockURL, {
+      lockedUntil: result.lockUntil,
+    }).sendAccountLocked();
+  } catch (err) {
+    logger.error("Account lock email failed", {
+      userId: user._id.toString(),
+      message: err.message,
+    });
+  }
+
+  return lockedAccountError(result.lockUntil);
+};
+
+/**
+ * Second factor for any interactive sign-in (password or magic link).
+ * Returns an AppError to reject the attempt, or null to let it through.
+ */
+const checkLoginSecondFactor = async (user, req) => {
+  if (!user.twoFactorEnabled) return null;
+
+  const twoFactorToken =
+    req.body?.twoFactorToken || req.headers["x-2fa-token"];
+
+  if (!twoFactorToken) {
+    return new AppError(
+      "Two-factor authentication token is required for this account",
+      401
+    );
+  }
+
+  // Accepts a TOTP code or a one-time recovery code
+  const method = await verifySecondFactor(user, twoFactorToken);
+  if (!method) {
+    return await handleFailedLogin(
+      user,
+      req,
+      "bad_2fa_token",
+      new AppError("Invalid two-factor authentication token", 401)
+    );
+  }
+
+  if (method === "recovery_code") {
+    logger.warn("Login with 2FA recovery code", {
+      userId: user._id.toString(),
+      ip: req.ip,
+    });
+  }
+
+  return null;
 };
 
 const handleEmailError = async (user, tokenFields, error, next, logContext) => {
@@ -71,12 +207,30 @@ const handleEmailError = async (user, tokenFields, error, next, logContext) => {
   return next(new AppError("Error sending email", 500));
 };
 
+const extractRefreshToken = (req) =>
+  req.cookies?.refreshToken || req.body?.refreshToken;
+
+const clearAuthCookies = (res) => {
+  res.cookie("jwt", "loggedout", {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+};
+
 /**
- * Utility: Create and send token with cookie
+ * Utility: Send an access/refresh token pair as cookies + JSON
  */
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id, user.role);
-  res.cookie("jwt", token, cookieOptions);
+const sendTokenPair = (user, tokens, statusCode, res, { redirectTo } = {}) => {
+  res.cookie("jwt", tokens.accessToken, cookieOptions);
+  res.cookie(
+    "refreshToken",
+    tokens.refreshToken,
+    refreshCookieOptions(tokens.refreshExpiresAt)
+  );
+
+  // Browser form posts (emailed links) continue in the client app
+  if (redirectTo) return res.redirect(303, redirectTo);
 
   // Never send password to client, even if somehow selected
   if (user.password) {
@@ -85,13 +239,89 @@ const createSendToken = (user, statusCode, res) => {
 
   res.status(statusCode).json({
     status: "success",
-    token,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
     data: { user },
   });
+};
+
+/**
+ * Utility: Start a new server-side session and send its tokens
+ */
+const createSendToken = async (user, statusCode, req, res, options) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+  });
+
+  const tokens = generateTokenPair(user._id, user.role, session._id);
+  session.refreshTokenHash = tokens.refreshTokenHash;
+  session.expiresAt = tokens.refreshExpiresAt;
+  await session.save();
+
+  sendTokenPair(user, tokens, statusCode, res, options);
+
+  logger.info("Auth token issued", {
+    userId: user._id.toString(),
+    role: user.role,
+    sessionId: session._id.toString(),
+  });
+};
+
+/**
+ * Last step of every sign-in method, once all checks have passed
+ */
+const finishLogin = async (user, req, res, { method = "password", redirectTo } = {}) => {
+  if (user.failedLoginAttempts || user.lockoutCount) {
+    await user.resetLoginFailures();
+  }
 
-  logger.info("Auth token issued", { userId: user._id.toString(), role: user.role });
+  // Logging in during the grace period cancels a pending account deletion
+  if (user.isPendingDeletion()) {
+    await user.cancelDeletion();
+    logger.info("Account deletion cancelled by login", {
+      userId: user._id.toString(),
+    });
+  }
+
+  // Fingerprint the login; unknown devices trigger an alert email
+  await recordLogin(user, req, { method });
+
+  await createSendToken(user, 200, req, res, { redirectTo });
+  logger.info("Login success", { userId: user._id.toString(), method });
 };
 
+/**
+ * GET handler for an emailed link that changes account state: it only shows
+ * a confirmation page whose form POSTs back to the same URL, so link
+ * scanners and prefetchers cannot act on (or use up) the token.
+ * `verify(token)` throws an AppError for a bad token; `locals(result)` adds
+ * to the page.
+ */
+const showLinkPage = (page, verify, locals = () => ({})) =>
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await verify(req.params.token);
+    } catch (err) {
+      if (!(err instanceof AppError)) throw err;
+      return renderPage(res, page, { state: "invalid" }, 400);
+    }
+
+    renderPage(res, page, { state: "confirm", ...locals(result) });
+  });
+
+/**
+ * Answer the POST of an emailed link: a result page for the browser form,
+ * JSON for API clients
+ */
+const sendLinkResult = (res, page, message) =>
+  res.format({
+    json: () => res.status(200).json({ status: "success", message }),
+    html: () => renderPage(res, page, { state: "done", message }),
+  });
+
 // ---------- Controllers ----------
 
 /**
@@ -104,6 +334,7 @@ export const signup = asyncHandler(async (req, res, next) => {
   const { name, email, password, passwordConfirm } = req.body;
 
   validatePasswordConfirm(password, passwordConfirm);
+  await enforcePasswordPolicy(password);
 
   const newUser = await User.create({
     name,
@@ -160,7 +391,7 @@ export const verifyEmail = asyncHandler(async (req, res, next) => {
   user.emailVerificationExpires = undefined;
   await user.save();
 
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
   logger.info("Email verified", { userId: user._id.toString() });
 });
 
@@ -179,59 +410,579 @@ export const login = asyncHandler(async (req, res, next) => {
 
   const user = await getUserWithPassword(email);
 
+  // Locked accounts are rejected before the password is even checked
+  if (user?.isLocked()) {
+    return next(lockedAccountError(user.lockUntil));
+  }
+
   if (!user || !(await user.comparePassword(password))) {
-    return next(new AppError("Incorrect email or password", 401));
+    const error = new AppError("Incorrect email or password", 401);
+    return next(
+      user ? await handleFailedLogin(user, req, "bad_password", error) : error
+    );
   }
 
   if (!user.isEmailVerified) {
     return next(new AppError("Please verify your email first", 401));
   }
 
+  // A login was reported as "not me" – the password must be replaced first
+  if (user.passwordResetRequired) {
+    return next(
+      new AppError(
+        "For your security, please reset your password before logging in. Check your email for a reset link or use Forgot Password.",
+        403
+      )
+    );
+  }
+
   // If 2FA is enabled, require a valid TOTP token at login
-  if (user.twoFactorEnabled) {
-    const twoFactorToken =
-      req.body.twoFactorToken || req.headers["x-2fa-token"];
-
-    if (!twoFactorToken) {
-      return next(
-        new AppError(
-          "Two-factor authentication token is required for this account",
-          401
-        )
+  const twoFactorError = await checkLoginSecondFactor(user, req);
+  if (twoFactorError) return next(twoFactorError);
+
+  await finishLogin(user, req, res);
+});
+
+/**
+ * @desc    Email a single-use passwordless sign-in link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+export const requestMagicLink = asyncHandler(async (req, res, next) => {
+  const email = req.body?.email?.toLowerCase().trim();
+
+  if (!email) {
+    return next(new AppError("Please provide your email", 400));
+  }
+
+  // Same answer whether or not the account exists (no user enumeration)
+  const genericResponse = {
+    status: "success",
+    message: "If an account exists for that email, a sign-in link is on its way.",
+  };
+
+  const user = await User.findOne({ email }).select("+lockUntil");
+
+  if (!user || !user.isEmailVerified || user.isLocked()) {
+    logger.info("Magic link not sent", {
+      email,
+      reason: !user ? "no_user" : user.isLocked() ? "locked" : "unverified",
+    });
+    return res.status(200).json(genericResponse);
+  }
+
+  const magicToken = await assignMagicLinkToUser(user);
+
+  try {
+    const magicURL = `${req.protocol}://${req.get(
+      "host"
+    )}/api/v1/auth/magic-link/${magicToken}`;
+
+    await new Email(user, magicURL).sendMagicLink();
+
+    res.status(200).json(genericResponse);
+    logger.info("Magic link sent", { userId: user._id.toString() });
+  } catch (err) {
+    await handleEmailError(
+      user,
+      ["magicLinkToken", "magicLinkExpires"],
+      err,
+      next,
+      "magic link"
+    );
+  }
+});
+
+/**
+ * @desc    Sign-in page for the emailed magic link (asks for the 2FA code
+ *          when enabled)
+ * @route   GET /api/auth/magic-link/:token
+ * @access  Public
+ */
+export const showMagicLink = showLinkPage("magicLink", verifyMagicLinkToken, (user) => ({
+  twoFactorEnabled: user.twoFactorEnabled,
+}));
+
+/**
+ * @desc    Sign in with a magic link. With 2FA enabled, send the code as
+ *          `twoFactorToken` (body) or `x-2fa-token` (header) – the link is
+ *          only used up once sign-in succeeds. The sign-in page's form is
+ *          redirected to the client app; API clients get the tokens.
+ * @route   POST /api/auth/magic-link/:token
+ * @access  Public
+ */
+export const redeemMagicLink = asyncHandler(async (req, res, next) => {
+  const user = await verifyMagicLinkToken(req.params.token);
+
+  if (user.isLocked()) {
+    return next(lockedAccountError(user.lockUntil));
+  }
+
+  if (user.passwordResetRequired) {
+    return next(
+      new AppError(
+        "For your security, please reset your password before logging in. Check your email for a reset link or use Forgot Password.",
+        403
+      )
+    );
+  }
+
+  const twoFactorError = await checkLoginSecondFactor(user, req);
+  if (twoFactorError) return next(twoFactorError);
+
+  if (!(await consumeMagicLinkToken(user._id, req.params.token))) {
+    return next(new AppError("Token is invalid or has expired", 400));
+  }
+
+  const fromSignInPage = req.accepts(["json", "html"]) === "html";
+  await finishLogin(user, req, res, {
+    method: "magic_link",
+    redirectTo: fromSignInPage ? process.env.CLIENT_URL || "/" : undefined,
+  });
+});
+
+/* ---------- OpenID Connect (social sign-in) ---------- */
+
+const OIDC_COOKIE = "oidc_login";
+const OIDC_COOKIE_PATH = "/api/v1/auth/oidc";
+
+const oidcCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // The issuer redirects back cross-site, so "strict" would drop the cookie
+  sameSite: "lax",
+  path: OIDC_COOKIE_PATH,
+};
+
+// Must match the redirect URI registered with the issuer exactly
+const oidcCallbackUrl = (req, providerId) =>
+  `${
+    process.env.OIDC_CALLBACK_BASE_URL || `${req.protocol}://${req.get("host")}`
+  }/api/v1/auth/oidc/${providerId}/callback`;
+
+/**
+ * Find the account for a verified OIDC identity: by linked identity first,
+ * then by verified email (linking it), otherwise create a new account.
+ */
+const findOrCreateOidcUser = async (provider, identity) => {
+  const linked = await findLoginUser({
+    identities: {
+      $elemMatch: { provider: provider.id, subject: identity.subject },
+    },
+  });
+  if (linked) return linked;
+
+  // Only an email the issuer has verified may link to or create an account
+  if (!identity.email || !identity.emailVerified) {
+    throw new AppError(
+      `Your ${provider.name} account has no verified email address`,
+      403
+    );
+  }
+
+  const existing = await findLoginUser({ email: identity.email });
+
+  if (existing) {
+    if (existing.identities.some((i) => i.provider === provider.id)) {
+      throw new AppError(
+        `This account is already linked to a different ${provider.name} account`,
+        409
       );
     }
 
-    const verified = verify2FAToken(user.twoFactorSecret, twoFactorToken);
-    if (!verified) {
-      return next(
-        new AppError("Invalid two-factor authentication token", 401)
-      );
+    existing.identities.push({
+      provider: provider.id,
+      subject: identity.subject,
+      email: identity.email,
+    });
+
+    // Whoever registered an unverified account never proved they own the
+    // address – drop that password so only the verified owner gets in
+    if (!existing.isEmailVerified) {
+      existing.isEmailVerified = true;
+      existing.password = crypto.randomBytes(32).toString("hex");
+      existing.emailVerificationToken = undefined;
+      existing.emailVerificationExpires = undefined;
     }
+
+    await existing.save({ validateBeforeSave: false });
+    logger.info("OIDC identity linked", {
+      userId: existing._id.toString(),
+      provider: provider.id,
+    });
+    return existing;
   }
 
-  createSendToken(user, 200, res);
-  logger.info("Login success", { userId: user._id.toString() });
+  const created = await User.create({
+    name: (identity.name || identity.email.split("@")[0]).slice(0, 50),
+    email: identity.email,
+    // Random password: the account signs in via the provider, magic link or
+    // after a password reset
+    password: crypto.randomBytes(32).toString("hex"),
+    isEmailVerified: true,
+    identities: [
+      {
+        provider: provider.id,
+        subject: identity.subject,
+        email: identity.email,
+      },
+    ],
+  });
+
+  logger.info("Account created via OIDC", {
+    userId: created._id.toString(),
+    provider: provider.id,
+  });
+  return created;
+};
+
+/**
+ * @desc    List the configured social sign-in providers
+ * @route   GET /api/auth/oidc
+ * @access  Public
+ */
+export const getOidcProviders = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: { providers: listOidcProviders() },
+  });
 });
 
 /**
- * @desc    Logout user
- * @route   GET /api/auth/logout
- * @access  Private
+ * @desc    Start an OIDC sign-in: redirect to the issuer (authorization
+ *          code + PKCE). State, nonce and verifier ride in a signed cookie.
+ * @route   GET /api/auth/oidc/:provider
+ * @access  Public
  */
-export const logout = (req, res) => {
-  res.cookie("jwt", "loggedout", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
+export const startOidcLogin = asyncHandler(async (req, res, next) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new AppError("Unknown sign-in provider", 404));
+  }
+
+  const { state, nonce, codeVerifier, codeChallenge } =
+    createAuthorizationRequest();
+
+  const authorizationUrl = await buildAuthorizationUrl(provider, {
+    redirectUri: oidcCallbackUrl(req, provider.id),
+    state,
+    nonce,
+    codeChallenge,
+  });
+
+  res.cookie(
+    OIDC_COOKIE,
+    sealAuthorizationRequest({
+      provider: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+    }),
+    { ...oidcCookieOptions, maxAge: OIDC_STATE_TTL_MS }
+  );
+
+  logger.info("OIDC login start", { provider: provider.id });
+  res.redirect(302, authorizationUrl);
+});
+
+/**
+ * @desc    OIDC redirect target: exchange the code, verify the ID token and
+ *          sign in. With 2FA enabled the response carries a one-time link
+ *          to finish with POST /api/auth/magic-link/:token + the code.
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @access  Public
+ */
+export const oidcCallback = asyncHandler(async (req, res, next) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new AppError("Unknown sign-in provider", 404));
+  }
+
+  // Single use: whatever happens next, this login attempt is over
+  const pending = openAuthorizationRequest(req.cookies?.[OIDC_COOKIE]);
+  res.clearCookie(OIDC_COOKIE, oidcCookieOptions);
+
+  const { code, state, error } = req.query;
+
+  if (error) {
+    logger.warn("OIDC login denied by provider", {
+      provider: provider.id,
+      error: String(error),
+    });
+    return next(new AppError("Sign-in was cancelled or denied", 401));
+  }
+
+  // The state must return to the same browser that started the flow
+  if (
+    !pending ||
+    pending.provider !== provider.id ||
+    typeof code !== "string" ||
+    state !== pending.state
+  ) {
+    return next(
+      new AppError("Sign-in session is invalid or has expired. Please try again.", 400)
+    );
+  }
+
+  const identity = await completeAuthorization(provider, {
+    code,
+    redirectUri: oidcCallbackUrl(req, provider.id),
+    codeVerifier: pending.codeVerifier,
+    nonce: pending.nonce,
   });
 
+  const user = await findOrCreateOidcUser(provider, identity);
+
+  if (user.isLocked()) {
+    return next(lockedAccountError(user.lockUntil));
+  }
+
+  if (user.passwordResetRequired) {
+    return next(
+      new AppError(
+        "For your security, please reset your password before logging in. Check your email for a reset link or use Forgot Password.",
+        403
+      )
+    );
+  }
+
+  // The redirect cannot carry a 2FA code – hand over to the magic-link redeem
+  if (user.twoFactorEnabled) {
+    const loginToken = await assignMagicLinkToUser(user);
+
+    return res.status(401).json({
+      status: "fail",
+      message: "Two-factor authentication token is required for this account",
+      data: {
+        twoFactorRequired: true,
+        completeUrl: `/api/v1/auth/magic-link/${loginToken}`,
+      },
+    });
+  }
+
+  await finishLogin(user, req, res, { method: `oidc:${provider.id}` });
+});
+
+/**
+ * @desc    Logout user (revokes the current session)
+ * @route   GET /api/auth/logout
+ * @access  Public
+ */
+export const logout = asyncHandler(async (req, res) => {
+  let accessToken;
+  if (req.headers.authorization?.startsWith("Bearer ")) {
+    accessToken = req.headers.authorization.split(" ")[1];
+  } else if (req.cookies?.jwt) {
+    accessToken = req.cookies.jwt;
+  }
+
+  let sessionId = null;
+  for (const token of [extractRefreshToken(req), accessToken]) {
+    if (!token || sessionId) continue;
+    try {
+      sessionId = verifyJWT(token).sid || null;
+    } catch {
+      /* expired or invalid token – nothing to revoke */
+    }
+  }
+
+  if (sessionId) {
+    const session = await Session.findById(sessionId);
+    if (session) await session.revoke("logout");
+  }
+
+  clearAuthCookies(res);
+
   res.status(200).json({ status: "success" });
+  logger.info("Logout", { sessionId });
+});
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ */
+export const refreshAccessToken = asyncHandler(async (req, res, next) => {
+  const token = extractRefreshToken(req);
+
+  if (!token) {
+    return next(new AppError("Refresh token is required", 401));
+  }
+
+  let decoded;
   try {
-    logger.info("Logout", { userId: req.user?.id });
-  } catch {
-    /* ignore logging errors */
+    decoded = verifyJWT(token);
+  } catch (err) {
+    clearAuthCookies(res);
+    return next(
+      new AppError("Invalid or expired refresh token. Please log in again.", 401)
+    );
+  }
+
+  if (decoded.type !== "refresh" || !decoded.sid) {
+    return next(new AppError("Invalid refresh token", 401));
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (
+    !session ||
+    !session.isActive() ||
+    String(session.user) !== String(decoded.userId)
+  ) {
+    clearAuthCookies(res);
+    return next(
+      new AppError("Your session has ended. Please log in again.", 401)
+    );
+  }
+
+  const user = await User.findById(decoded.userId).select("+passwordChangedAt");
+
+  if (!user || user.changedPasswordAfter(decoded.iat)) {
+    await session.revoke(user ? "password_change" : "user_revoked");
+    clearAuthCookies(res);
+    return next(
+      new AppError("Your session has ended. Please log in again.", 401)
+    );
+  }
+
+  // Rotate atomically: only the holder of the CURRENT refresh token wins.
+  const tokens = generateTokenPair(user._id, user.role, session._id);
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashToken(token),
+      revokedAt: null,
+    },
+    {
+      $set: {
+        refreshTokenHash: tokens.refreshTokenHash,
+        expiresAt: tokens.refreshExpiresAt,
+        lastSeenAt: new Date(),
+        ip: req.ip,
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // A previously rotated token was replayed – kill the whole family
+    await session.revoke("reuse_detected");
+    clearAuthCookies(res);
+
+    logger.warn("Refresh token reuse detected – session revoked", {
+      userId: user._id.toString(),
+      sessionId: session._id.toString(),
+      ip: req.ip,
+    });
+
+    return next(
+      new AppError("Refresh token reuse detected. Please log in again.", 401)
+    );
   }
+
+  sendTokenPair(user, tokens, 200, res);
+  logger.info("Refresh token rotated", {
+    userId: user._id.toString(),
+    sessionId: session._id.toString(),
+  });
+});
+
+/**
+ * Login event of a "This wasn't me" link
+ */
+const findReportableLogin = async (token) => {
+  const event = await LoginEvent.findOne({
+    reportToken: hashToken(token),
+    reportTokenExpires: { $gt: Date.now() },
+  });
+  if (!event) throw new AppError("This link is invalid or has expired", 400);
+  return event;
 };
 
+/**
+ * @desc    Confirmation page for the "This wasn't me" link
+ * @route   GET /api/auth/not-me/:token
+ * @access  Public
+ */
+export const showReportSuspiciousLogin = showLinkPage("reportLogin", findReportableLogin);
+
+/**
+ * @desc    "This wasn't me" link from a new-device alert: revoke every
+ *          session and force a password reset
+ * @route   POST /api/auth/not-me/:token
+ * @access  Public
+ */
+export const reportSuspiciousLogin = asyncHandler(async (req, res, next) => {
+  const event = await findReportableLogin(req.params.token);
+
+  const user = await User.findById(event.user);
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  event.reportedAt = new Date();
+  event.reportToken = undefined;
+  event.reportTokenExpires = undefined;
+  await event.save();
+
+  // Lock the intruder out: end every session and require a new password
+  const revoked = await Session.revokeAllForUser(user._id, {
+    reason: "login_reported",
+  });
+  user.passwordResetRequired = true;
+  const resetToken = await assignPasswordResetToUser(user);
+
+  securityLogger.loginReported(user._id.toString(), req.ip, revoked);
+
+  try {
+    const resetURL = `${req.protocol}://${req.get(
+      "host"
+    )}/api/auth/reset-password/${resetToken}`;
+
+    await new Email(user, resetURL).sendPasswordReset();
+  } catch (err) {
+    logger.error("Reset email after login report failed", {
+      userId: user._id.toString(),
+      message: err.message,
+    });
+  }
+
+  sendLinkResult(
+    res,
+    "reportLogin",
+    "Thanks for letting us know. All devices have been signed out and we emailed you a link to set a new password."
+  );
+});
+
+/**
+ * @desc    Confirmation page for the emailed unlock link
+ * @route   GET /api/auth/unlock-account/:token
+ * @access  Public
+ */
+export const showUnlockAccount = showLinkPage("unlockAccount", verifyAccountUnlockToken);
+
+/**
+ * @desc    Unlock a locked account via emailed link (the confirmation page
+ *          posts here; browsers get a result page, API clients JSON)
+ * @route   POST /api/auth/unlock-account/:token
+ * @access  Public
+ */
+export const unlockAccount = asyncHandler(async (req, res, next) => {
+  logger.info("Unlock account start");
+
+  const user = await verifyAccountUnlockToken(req.params.token);
+
+  await user.resetLoginFailures();
+
+  sendLinkResult(res, "unlockAccount", "Your account has been unlocked. You can log in again.");
+
+  logger.info("Account unlocked via email", { userId: user._id.toString() });
+});
+
 /**
  * @desc    Forgot password
  * @route   POST /api/auth/forgot-password
@@ -281,15 +1032,22 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
   const user = await verifyPasswordResetToken(req.params.token);
 
   validatePasswordConfirm(req.body.password, req.body.passwordConfirm);
+  await enforcePasswordPolicy(req.body.password, { userId: user._id });
 
   user.password = req.body.password;
   user.passwordChangedAt = Date.now();
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
   await user.save();
 
-  createSendToken(user, 200, res);
-  logger.info("Password reset", { userId: user._id.toString() });
+  // A reset means the old password may be compromised: end every session
+  const revoked = await Session.revokeAllForUser(user._id, {
+    reason: "password_change",
+  });
+
+  await createSendToken(user, 200, req, res);
+  logger.info("Password reset", { userId: user._id.toString(), revoked });
 });
 
 /**
@@ -322,13 +1080,274 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
   }
 
   validatePasswordConfirm(password, passwordConfirm);
+  await enforcePasswordPolicy(password, { userId: user._id });
 
   user.password = password;
   user.passwordChangedAt = Date.now();
   await user.save();
 
-  createSendToken(user, 200, res);
-  logger.info("Password updated", { userId: user._id.toString() });
+  const revoked = await Session.revokeAllForUser(user._id, {
+    reason: "password_change",
+  });
+
+  await createSendToken(user, 200, req, res);
+  logger.info("Password updated", { userId: user._id.toString(), revoked });
+});
+
+/**
+ * Utility: Is an email held by another account? Includes deactivated
+ * accounts still in their deletion grace period.
+ */
+const emailInUse = (email, exceptUserId) =>
+  User.exists({
+    email,
+    _id: { $ne: exceptUserId },
+    active: { $in: [true, false] },
+  });
+
+/**
+ * @desc    Start an email change (current password + 2FA if enabled).
+ *          The new address gets a confirmation link, the current one a
+ *          notice with a revert link. Nothing changes until confirmed.
+ * @route   POST /api/auth/change-email
+ * @access  Private
+ */
+export const requestEmailChange = asyncHandler(async (req, res, next) => {
+  logger.info("Email change request start", { userId: req.user.id });
+
+  const { password } = req.body;
+  const newEmail = req.body?.newEmail?.toLowerCase().trim();
+
+  if (!newEmail || !password) {
+    return next(
+      new AppError("Please provide newEmail and your current password", 400)
+    );
+  }
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+    return next(new AppError("Please provide a valid email address", 400));
+  }
+
+  const user = await User.findById(req.user.id).select(
+    "+password +previousEmail +emailChangeRevertExpires"
+  );
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError("Your current password is wrong.", 401));
+  }
+
+  if (newEmail === user.email) {
+    return next(new AppError("That is already your email address", 400));
+  }
+
+  // Keep the previous owner's revert link alive: a fresh change would replace it
+  if (user.previousEmail && user.emailChangeRevertExpires > Date.now()) {
+    return next(
+      new AppError(
+        `Your email was changed recently. You can change it again after ${user.emailChangeRevertExpires.toUTCString()}.`,
+        429
+      )
+    );
+  }
+
+  if (await emailInUse(newEmail, user._id)) {
+    return next(new AppError("That email address is already in use", 409));
+  }
+
+  const { confirmToken, revertToken } = await assignEmailChangeToUser(
+    user,
+    newEmail
+  );
+
+  try {
+    const baseURL = `${req.protocol}://${req.get("host")}/api/v1/auth`;
+
+    await new Email(user, `${baseURL}/revert-email-change/${revertToken}`, {
+      newEmail,
+    }).sendEmailChangeNotice();
+
+    await new Email(
+      { name: user.name, email: newEmail },
+      `${baseURL}/confirm-email-change/${confirmToken}`
+    ).sendEmailChangeConfirmation();
+
+    res.status(200).json({
+      status: "success",
+      message: `We sent a confirmation link to ${newEmail}. Your email stays the same until you confirm.`,
+    });
+
+    logger.info("Email change requested", { userId: user._id.toString() });
+  } catch (err) {
+    await handleEmailError(
+      user,
+      [
+        "pendingEmail",
+        "emailChangeToken",
+        "emailChangeExpires",
+        "emailChangeRevertToken",
+        "emailChangeRevertExpires",
+      ],
+      err,
+      next,
+      "email change"
+    );
+  }
+});
+
+/**
+ * @desc    Confirmation page for the link sent to the new address
+ * @route   GET /api/auth/confirm-email-change/:token
+ * @access  Public
+ */
+export const showConfirmEmailChange = showLinkPage(
+  "confirmEmailChange",
+  verifyEmailChangeToken,
+  (user) => ({ email: user.pendingEmail })
+);
+
+/**
+ * @desc    Confirm an email change from the link sent to the new address
+ * @route   POST /api/auth/confirm-email-change/:token
+ * @access  Public
+ */
+export const confirmEmailChange = asyncHandler(async (req, res, next) => {
+  const user = await verifyEmailChangeToken(req.params.token);
+
+  if (await emailInUse(user.pendingEmail, user._id)) {
+    return next(new AppError("That email address is already in use", 409));
+  }
+
+  const oldEmail = user.email;
+
+  user.previousEmail = oldEmail;
+  user.email = user.pendingEmail;
+  user.isEmailVerified = true;
+  user.pendingEmail = undefined;
+  user.emailChangeToken = undefined;
+  user.emailChangeExpires = undefined;
+  // Links already mailed to the old address must not sign anyone in
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.magicLinkToken = undefined;
+  user.magicLinkExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  sendLinkResult(res, "confirmEmailChange", "Your email address has been changed.");
+
+  logger.info("Email changed", { userId: user._id.toString() });
+});
+
+/**
+ * @desc    Confirmation page for the link sent to the old address
+ * @route   GET /api/auth/revert-email-change/:token
+ * @access  Public
+ */
+export const showRevertEmailChange = showLinkPage(
+  "revertEmailChange",
+  verifyEmailChangeRevertToken,
+  (user) => ({ previousEmail: user.previousEmail })
+);
+
+/**
+ * @desc    Undo an email change from the link sent to the old address.
+ *          Before confirmation this just cancels it; afterwards the old
+ *          address is restored, every device is signed out and a new
+ *          password is required.
+ * @route   POST /api/auth/revert-email-change/:token
+ * @access  Public
+ */
+export const revertEmailChange = asyncHandler(async (req, res, next) => {
+  const user = await verifyEmailChangeRevertToken(req.params.token);
+
+  const clearEmailChange = () => {
+    user.pendingEmail = undefined;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    user.emailChangeRevertToken = undefined;
+    user.emailChangeRevertExpires = undefined;
+    user.previousEmail = undefined;
+  };
+
+  if (!user.previousEmail) {
+    clearEmailChange();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info("Email change cancelled", { userId: user._id.toString() });
+    return sendLinkResult(
+      res,
+      "revertEmailChange",
+      "The email change has been cancelled. Your email is unchanged."
+    );
+  }
+
+  if (await emailInUse(user.previousEmail, user._id)) {
+    return next(
+      new AppError(
+        "Your previous email address is now used by another account. Please contact support.",
+        409
+      )
+    );
+  }
+
+  user.email = user.previousEmail;
+  user.isEmailVerified = true;
+  clearEmailChange();
+
+  // Treat it as a takeover: end every session and require a new password
+  const revoked = await Session.revokeAllForUser(user._id, {
+    reason: "email_change_reverted",
+  });
+  user.passwordResetRequired = true;
+  const resetToken = await assignPasswordResetToUser(user);
+
+  securityLogger.emailChangeReverted(user._id.toString(), req.ip, revoked);
+
+  try {
+    const resetURL = `${req.protocol}://${req.get(
+      "host"
+    )}/api/auth/reset-password/${resetToken}`;
+
+    await new Email(user, resetURL).sendPasswordReset();
+  } catch (err) {
+    logger.error("Reset email after email change revert failed", {
+      userId: user._id.toString(),
+      message: err.message,
+    });
+  }
+
+  sendLinkResult(
+    res,
+    "revertEmailChange",
+    "Your email address has been restored. All devices have been signed out and we emailed you a link to set a new password."
+  );
+});
+
+/**
+ * @desc    End an impersonation session (called with the impersonation token)
+ * @route   DELETE /api/auth/impersonation
+ * @access  Private (impersonation token)
+ */
+export const endImpersonation = asyncHandler(async (req, res, next) => {
+  if (!req.impersonator) {
+    return next(new AppError("You are not impersonating anyone", 400));
+  }
+
+  await req.authSession.revoke("impersonation_ended");
+
+  logger.info("Impersonation ended", {
+    impersonatorId: req.impersonator.id,
+    userId: req.user.id,
+    sessionId: req.authSession._id.toString(),
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Impersonation ended",
+  });
 });
 
 /**
@@ -408,14 +1427,16 @@ export const disableTwoFactor = asyncHandler(async (req, res, next) => {
     return next(new AppError("Incorrect password", 401));
   }
 
-  const verified = verify2FAToken(user.twoFactorSecret, token);
+  const method = await verifySecondFactor(user, token);
 
-  if (!verified) {
+  if (!method) {
     return next(new AppError("Invalid verification code", 400));
   }
 
   user.twoFactorEnabled = false;
   user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorRecoveryCodesGeneratedAt = undefined;
   await user.save({ validateBeforeSave: false });
 
   res.status(200).json({
@@ -453,12 +1474,60 @@ export const verifyTwoFactor = asyncHandler(async (req, res, next) => {
   }
 
   user.twoFactorEnabled = true;
-  await user.save({ validateBeforeSave: false });
+
+  // Recovery codes are returned ONCE – only their hashes are stored
+  const recoveryCodes = await assignRecoveryCodesToUser(user);
 
   res.status(200).json({
     status: "success",
-    message: "Two-factor authentication enabled successfully",
+    message:
+      "Two-factor authentication enabled successfully. Store these recovery codes somewhere safe – they will not be shown again.",
+    data: { recoveryCodes },
   });
 
   logger.info("2FA enabled", { userId: req.user.id });
 });
+
+/**
+ * @desc    Regenerate 2FA recovery codes (invalidates all previous codes)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private (requires password + 2FA)
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  logger.info("Regenerate recovery codes start", { userId: req.user.id });
+
+  const { password } = req.body;
+
+  if (!password) {
+    return next(
+      new AppError("Password is required to regenerate recovery codes", 400)
+    );
+  }
+
+  const user = await User.findById(req.user.id).select("+password");
+
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new AppError("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError("Incorrect password", 401));
+  }
+
+  const recoveryCodes = await assignRecoveryCodesToUser(user);
+
+  res.status(200).json({
+    status: "success",
+    message:
+      "New recovery codes generated. Previous codes no longer work.",
+    data: { recoveryCodes },
+  });
+
+  logger.info("2FA recovery codes regenerated", { userId: req.user.id });
+});
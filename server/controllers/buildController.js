@@ -0,0 +1,96 @@
+// File: server/controllers/buildController.js
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import {
+  validateBuild as runCompatibilityChecks,
+  MAX_BUILD_COMPONENTS,
+} from "../utils/buildCompatibility.js";
+
+const MAX_COMPONENT_QUANTITY = 8;
+
+/**
+ * Body components → [{ productId, quantity }] merged by product.
+ * Accepts { components: [{ product, quantity }] } or { productIds: [...] }.
+ */
+const parseComponents = (body = {}) => {
+  const raw = Array.isArray(body.components)
+    ? body.components
+    : Array.isArray(body.productIds)
+      ? body.productIds.map((product) => ({ product }))
+      : null;
+  if (!raw) return { error: "Provide components: [{ product, quantity }]" };
+
+  const quantities = new Map();
+  for (const item of raw) {
+    const productId = String(item?.product || item?.productId || "");
+    const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return { error: `Invalid product ID: ${productId || "(empty)"}` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_COMPONENT_QUANTITY) {
+      return { error: `Quantity must be an integer between 1 and ${MAX_COMPONENT_QUANTITY}` };
+    }
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+  }
+
+  if (quantities.size === 0) return { error: "A build needs at least one component" };
+  if (quantities.size > MAX_BUILD_COMPONENTS) {
+    return { error: `A build can have at most ${MAX_BUILD_COMPONENTS} different components` };
+  }
+
+  return {
+    components: [...quantities].map(([productId, quantity]) => ({ productId, quantity })),
+  };
+};
+
+/**
+ * @desc    Check whether a set of components work together: CPU socket,
+ *          memory type and slots, motherboard form factor vs case, estimated
+ *          power draw vs PSU and GPU length vs case clearance
+ * @route   POST /api/builds/validate
+ * @access  Public
+ */
+export const validateBuild = asyncHandler(async (req, res, next) => {
+  const { components, error } = parseComponents(req.body);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  const products = await Product.find({
+    _id: { $in: components.map((c) => c.productId) },
+    isActive: true,
+  })
+    .select("name category brand finalPrice images specifications")
+    .lean();
+
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+  const missing = components.filter((c) => !byId.has(c.productId)).map((c) => c.productId);
+  if (missing.length > 0) {
+    return next(new AppError("Some components were not found", 404, { missing }));
+  }
+
+  const parts = components.map(({ productId, quantity }) => ({
+    product: byId.get(productId),
+    quantity,
+  }));
+  const report = runCompatibilityChecks(parts);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...report,
+      components: parts.map(({ product, quantity }) => ({
+        _id: product._id,
+        name: product.name,
+        category: product.category,
+        brand: product.brand,
+        finalPrice: product.finalPrice,
+        image: product.images?.[0] || null,
+        quantity,
+      })),
+    },
+  });
+});
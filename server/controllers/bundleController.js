@@ -0,0 +1,241 @@
+// File: server/controllers/bundleController.js
+import mongoose from "mongoose";
+import Bundle from "../models/Bundle.js";
+import Product from "../models/Product.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+import { recordAudit } from "../utils/audit.js";
+
+/* ----------------------- Helper Functions ----------------------- */
+
+const BUNDLE_FIELDS = ["name", "sku", "description", "images", "components", "pricing", "isActive"];
+
+const pickBundleFields = (body = {}) => {
+  const data = {};
+  BUNDLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (typeof data.sku === "string") data.sku = data.sku.trim().toUpperCase();
+  if (Array.isArray(data.components)) {
+    data.components = data.components.map((c) => ({
+      product: c?.product || c?.productId,
+      variant: c?.variant || c?.variantId || null,
+      quantity: c?.quantity ?? 1,
+    }));
+  }
+  return data;
+};
+
+// Bundle with its price, stock and component details for API responses
+const presentBundle = (bundle) => {
+  const { problems, ...summary } = bundle.summarize();
+  const data = bundle.toJSON();
+  delete data.components;
+  return { ...data, ...summary, ...(problems.length && { problems }) };
+};
+
+const findBundle = async (id, filter = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError("Invalid bundle ID", 400);
+  }
+  return Bundle.findOne({ _id: id, ...filter }).populate(Bundle.componentPopulate());
+};
+
+/**
+ * Components must exist and be purchasable (variant products need a variant)
+ */
+const assertComponentsSellable = async (bundle) => {
+  const ids = bundle.components.map((c) => c.product).filter(mongoose.Types.ObjectId.isValid);
+  const found = await Product.countDocuments({ _id: { $in: ids } });
+  if (found !== new Set(ids.map(String)).size || ids.length !== bundle.components.length) {
+    throw new AppError("Every bundle component must reference an existing product", 400);
+  }
+
+  await bundle.populate(Bundle.componentPopulate());
+  const { problems } = bundle.summarize();
+  if (problems.length > 0) {
+    throw new AppError(
+      `Invalid bundle components: ${problems.map((p) => `${p.productId}: ${p.message}`).join("; ")}`,
+      400,
+      { problems }
+    );
+  }
+};
+
+/* ----------------------- Public Controllers ----------------------- */
+
+/**
+ * @desc    List active bundles with their current price and availability
+ * @route   GET /api/bundles
+ * @access  Public
+ */
+export const getBundles = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 12));
+
+  const [bundles, total] = await Promise.all([
+    Bundle.find({ isActive: true })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(Bundle.componentPopulate()),
+    Bundle.countDocuments({ isActive: true }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: total,
+    results: bundles.length,
+    page,
+    pages: Math.ceil(total / limit),
+    data: bundles.map(presentBundle),
+  });
+});
+
+/**
+ * @desc    Get a single active bundle
+ * @route   GET /api/bundles/:id
+ * @access  Public
+ */
+export const getBundle = asyncHandler(async (req, res, next) => {
+  const bundle = await findBundle(req.params.id, { isActive: true });
+  if (!bundle) {
+    return next(new AppError("No bundle found with that ID", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: presentBundle(bundle),
+  });
+});
+
+/* ----------------------- Admin Controllers ----------------------- */
+
+/**
+ * @desc    List all bundles (inactive included)
+ * @route   GET /api/admin/bundles
+ * @access  Private/Admin
+ */
+export const getAllBundles = asyncHandler(async (req, res) => {
+  const bundles = await Bundle.find()
+    .sort({ createdAt: -1 })
+    .populate(Bundle.componentPopulate());
+
+  res.status(200).json({
+    success: true,
+    count: bundles.length,
+    data: bundles.map(presentBundle),
+  });
+});
+
+/**
+ * @desc    Create a bundle
+ * @route   POST /api/admin/bundles
+ * @access  Private/Admin
+ */
+export const createBundle = asyncHandler(async (req, res, next) => {
+  const data = pickBundleFields(req.body);
+
+  if (data.sku && (await Bundle.exists({ sku: data.sku }))) {
+    return next(new AppError("SKU must be unique", 400));
+  }
+
+  const bundle = new Bundle(data);
+  await bundle.validate();
+  await assertComponentsSellable(bundle);
+  await bundle.save();
+
+  await recordAudit(req, {
+    action: "bundle.create",
+    targetModel: "Bundle",
+    targetId: bundle._id,
+    after: bundle.depopulate().toObject(),
+  });
+
+  const saved = await findBundle(bundle._id);
+  res.status(201).json({
+    success: true,
+    data: presentBundle(saved),
+  });
+
+  logger.info("Bundle created", { id: bundle._id, userId: req.user?.id });
+});
+
+/**
+ * @desc    Update a bundle
+ * @route   PATCH /api/admin/bundles/:id
+ * @access  Private/Admin
+ */
+export const updateBundle = asyncHandler(async (req, res, next) => {
+  const data = pickBundleFields(req.body);
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Invalid bundle ID", 400));
+  }
+  const bundle = await Bundle.findById(req.params.id);
+  if (!bundle) {
+    return next(new AppError("No bundle found with that ID", 404));
+  }
+
+  if (
+    data.sku &&
+    data.sku !== bundle.sku &&
+    (await Bundle.exists({ sku: data.sku }))
+  ) {
+    return next(new AppError("SKU must be unique", 400));
+  }
+
+  const before = bundle.toObject();
+  bundle.set(data);
+  await bundle.validate();
+  if (data.components) await assertComponentsSellable(bundle);
+  await bundle.save();
+
+  await recordAudit(req, {
+    action: "bundle.update",
+    targetModel: "Bundle",
+    targetId: bundle._id,
+    before,
+    after: bundle.depopulate().toObject(),
+  });
+
+  const saved = await findBundle(bundle._id);
+  res.status(200).json({
+    success: true,
+    data: presentBundle(saved),
+  });
+
+  logger.info("Bundle updated", { id: bundle._id, userId: req.user?.id });
+});
+
+/**
+ * @desc    Delete a bundle (past orders keep their snapshot)
+ * @route   DELETE /api/admin/bundles/:id
+ * @access  Private/Admin
+ */
+export const deleteBundle = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Invalid bundle ID", 400));
+  }
+  const bundle = await Bundle.findById(req.params.id);
+  if (!bundle) {
+    return next(new AppError("No bundle found with that ID", 404));
+  }
+
+  await bundle.deleteOne();
+
+  await recordAudit(req, {
+    action: "bundle.delete",
+    targetModel: "Bundle",
+    targetId: bundle._id,
+    before: bundle.toObject(),
+  });
+
+  res.status(204).json({
+    success: true,
+    data: null,
+  });
+
+  logger.info("Bundle deleted", { id: req.params.id, userId: req.user?.id });
+});
@@ -3,6 +3,7 @@
 import mongoose from "mongoose";
 import Cart from "../models/Cart.js";
 import Product from "../models/Product.js";
+import Bundle from "../models/Bundle.js";
 import Coupon from "../models/Coupon.js";
 import AppError from "../utils/appError.js";
 import asyncHandler from "express-async-handler";
@@ -14,6 +15,14 @@ const CART_CONFIG = {
   MAX_QUANTITY: 10,
 };
 
+// Product fields needed to price a cart line (variants included)
+const CART_PRODUCT_FIELDS =
+  "name sku finalPrice image images stock variants variantOptions activeSale";
+const CART_BUNDLE_POPULATE = {
+  path: "bundles.bundle",
+  populate: Bundle.componentPopulate(),
+};
+
 /* ----------------------- Helper Functions ----------------------- */
 
 function normalizeObjectId(value) {
@@ -42,6 +51,25 @@ function validateQuantity(quantity, fieldName = "quantity") {
   return qty;
 }
 
+// Variant id from the route, body or query (null when absent)
+function getVariantId(req) {
+  const raw = req.params.variantId || req.body.variantId || req.body.variant || req.query.variantId;
+  if (raw === undefined || raw === null || raw === "") return null;
+
+  const variantId = normalizeObjectId(raw);
+  if (!variantId) {
+    throw new AppError("Invalid variant ID", 400);
+  }
+  return variantId;
+}
+
+function isSameLine(item, productId, variantId) {
+  return (
+    normalizeObjectId(item.product) === productId &&
+    String(item.variant || "") === String(variantId || "")
+  );
+}
+
 async function getOrCreateCart(userId, session = null) {
   if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
     throw new AppError("Valid user ID is required", 400);
@@ -50,7 +78,8 @@ async function getOrCreateCart(userId, session = null) {
   const options = session ? { session } : {};
 
   let cart = await Cart.findOne({ user: userId }, null, options)
-    .populate("items.product", "name finalPrice image stock")
+    .populate("items.product", CART_PRODUCT_FIELDS)
+    .populate(CART_BUNDLE_POPULATE)
     .populate("coupon", "code discountType discountValue minPurchase maxDiscount validFrom validTo isActive usageLimit timesUsed applicableProducts excludedProducts");
 
   if (!cart) {
@@ -59,7 +88,8 @@ async function getOrCreateCart(userId, session = null) {
     
     // After creating a new cart, we need to refetch it with population
     cart = await Cart.findById(cart._id, null, options)
-      .populate("items.product", "name finalPrice image stock")
+      .populate("items.product", CART_PRODUCT_FIELDS)
+      .populate(CART_BUNDLE_POPULATE)
       .populate("coupon", "code discountType discountValue minPurchase maxDiscount validFrom validTo isActive usageLimit timesUsed applicableProducts excludedProducts");
   }
 
@@ -79,6 +109,7 @@ function computeCartTotals(cart) {
   }
 
   const items = [];
+  const couponProductIds = [];
   let subtotal = 0;
   const warnings = [];
 
@@ -95,30 +126,105 @@ function computeCartTotals(cart) {
       continue;
     }
 
-    const unitPrice = Number(product.finalPrice || 0);
+    const details = product.purchaseDetails(cartItem.variant);
+    if (details.error) {
+      warnings.push({
+        type: "variant",
+        productId: String(product._id),
+        variantId: cartItem.variant ? String(cartItem.variant) : null,
+        message: details.error,
+      });
+      continue;
+    }
+
+    const unitPrice = details.unitPrice;
     const lineTotal = unitPrice * qty;
 
     items.push({
       product: {
         _id: normalizeObjectId(product._id),
-        name: product.name,
-        image: product.image,
+        name: details.name,
+        image: details.image,
       },
+      variant: details.variant
+        ? {
+            _id: normalizeObjectId(details.variant._id),
+            sku: details.sku,
+            label: details.variantLabel,
+            options: details.options,
+          }
+        : null,
       quantity: qty,
       unitPrice,
       lineTotal,
-      availableStock: product.stock,
+      availableStock: details.stock,
     });
 
     subtotal += lineTotal;
+    couponProductIds.push(product._id);
 
-    if (product.stock != null && product.stock < qty) {
+    if (details.stock != null && details.stock < qty) {
       warnings.push({
         type: "stock",
         productId: String(product._id),
-        message: `Only ${product.stock} units available`,
+        variantId: details.variant ? String(details.variant._id) : undefined,
+        message: `Only ${details.stock} units available`,
         requestedQty: qty,
-        availableQty: product.stock,
+        availableQty: details.stock,
+      });
+    }
+  }
+
+  for (const cartBundle of cart.bundles || []) {
+    const bundle = cartBundle.bundle;
+    const qty = Number(cartBundle.quantity) || 0;
+
+    if (!bundle || !bundle.summarize || !bundle.isActive) {
+      warnings.push({
+        type: "bundle",
+        bundleId: String(bundle?._id || bundle),
+        message: "Bundle no longer available",
+      });
+      continue;
+    }
+
+    const summary = bundle.summarize();
+    if (summary.problems.length > 0) {
+      warnings.push({
+        type: "bundle",
+        bundleId: String(bundle._id),
+        message: "Some products in this bundle are no longer available",
+        problems: summary.problems,
+      });
+      continue;
+    }
+
+    const lineTotal = summary.price * qty;
+
+    items.push({
+      bundle: {
+        _id: normalizeObjectId(bundle._id),
+        name: bundle.name,
+        image: summary.image,
+        components: summary.components,
+        savings: summary.savings,
+      },
+      quantity: qty,
+      unitPrice: summary.price,
+      lineTotal,
+      availableStock: summary.stock,
+    });
+
+    subtotal += lineTotal;
+    couponProductIds.push(...summary.components.map((c) => c.product));
+
+    if (summary.stock < qty) {
+      warnings.push({
+        type: "stock",
+        bundleId: String(bundle._id),
+        message: `Only ${summary.stock} bundles available`,
+        requestedQty: qty,
+        availableQty: summary.stock,
       });
     }
   }
@@ -140,8 +246,7 @@ function computeCartTotals(cart) {
       )}`;
     } else {
       // product-level applicability
-      const productIds = items.map((it) => it.product._id);
-      const applicability = coupon.isApplicableToProducts(productIds);
+      const applicability = coupon.isApplicableToProducts(couponProductIds);
 
       if (!applicability.valid) {
         couponError = applicability.reason;
@@ -194,8 +299,8 @@ export const getCart = asyncHandler(async (req, res) => {
 
 /**
  * POST /api/cart
- * Add product to cart or increment quantity
- * body: { productId, quantity }
+ * Add product (or one of its variants) to cart or increment quantity
+ * body: { productId, variantId?, quantity }
  */
 export const addToCart = asyncHandler(async (req, res) => {
   logger.info("Add to cart", { userId: req.user._id });
@@ -206,6 +311,7 @@ export const addToCart = asyncHandler(async (req, res) => {
     throw new AppError("Valid product ID is required", 400);
   }
 
+  const variantId = getVariantId(req);
   const quantity = validateQuantity(req.body.quantity ?? 1);
 
   const session = await mongoose.startSession();
@@ -213,26 +319,32 @@ export const addToCart = asyncHandler(async (req, res) => {
 
   try {
     const product = await Product.findById(productId)
-      .select("name finalPrice image stock")
+      .select(CART_PRODUCT_FIELDS)
       .session(session);
 
     if (!product) {
       throw new AppError("Product not found", 404);
     }
 
-    if (product.stock != null && product.stock < quantity) {
+    const details = product.purchaseDetails(variantId);
+    if (details.error) {
+      throw new AppError(details.error, 400);
+    }
+
+    if (details.stock != null && details.stock < quantity) {
       throw new AppError("Requested quantity exceeds available stock", 400);
     }
 
     const cart = await getOrCreateCart(req.user._id, session);
 
-    let existing = cart.items.find(
-      (item) => normalizeObjectId(item.product) === productId
+    let existing = cart.items.find((item) =>
+      isSameLine(item, productId, variantId)
     );
 
     if (!existing) {
       cart.items.push({
         product: product._id,
+        variant: variantId,
         quantity,
       });
     } else {
@@ -265,7 +377,7 @@ export const addToCart = asyncHandler(async (req, res) => {
 });
 
 /**
- * PATCH /api/cart/:productId
+ * PATCH /api/cart/:productId[/:variantId]
  * Update cart item quantity
  * body: { quantity }
  */
@@ -278,6 +390,7 @@ export const updateCartItem = asyncHandler(async (req, res) => {
     throw new AppError("Valid product ID is required", 400);
   }
 
+  const variantId = getVariantId(req);
   const quantity = validateQuantity(req.body.quantity);
 
   const session = await mongoose.startSession();
@@ -286,9 +399,7 @@ export const updateCartItem = asyncHandler(async (req, res) => {
   try {
     const cart = await getOrCreateCart(req.user._id, session);
 
-    const item = cart.items.find(
-      (it) => normalizeObjectId(it.product) === productId
-    );
+    const item = cart.items.find((it) => isSameLine(it, productId, variantId));
 
     if (!item) {
       throw new AppError("Product not found in cart", 404);
@@ -319,7 +430,7 @@ export const updateCartItem = asyncHandler(async (req, res) => {
 });
 
 /**
- * DELETE /api/cart/:productId
+ * DELETE /api/cart/:productId[/:variantId]
  * Remove item from cart
  */
 export const removeFromCart = asyncHandler(async (req, res) => {
@@ -331,6 +442,8 @@ export const removeFromCart = asyncHandler(async (req, res) => {
     throw new AppError("Valid product ID is required", 400);
   }
 
+  const variantId = getVariantId(req);
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -339,7 +452,7 @@ export const removeFromCart = asyncHandler(async (req, res) => {
 
     const originalLength = cart.items.length;
     cart.items = cart.items.filter(
-      (it) => normalizeObjectId(it.product) !== productId
+      (it) => !isSameLine(it, productId, variantId)
     );
 
     if (cart.items.length === originalLength) {
@@ -382,6 +495,7 @@ export const clearCart = asyncHandler(async (req, res) => {
     const cart = await getOrCreateCart(req.user._id, session);
 
     cart.items = [];
+    cart.bundles = [];
     cart.coupon = null;
 
     await cart.save({ session });
@@ -409,6 +523,184 @@ export const clearCart = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cart/bundles
+ * Add a bundle to cart or increment its quantity
+ * body: { bundleId, quantity }
+ */
+export const addBundleToCart = asyncHandler(async (req, res) => {
+  logger.info("Add bundle to cart", { userId: req.user._id });
+
+  const bundleId = normalizeObjectId(req.body.bundleId || req.body.bundle);
+  if (!bundleId) {
+    throw new AppError("Valid bundle ID is required", 400);
+  }
+
+  const quantity = validateQuantity(req.body.quantity ?? 1);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const bundle = await Bundle.findOne({ _id: bundleId, isActive: true })
+      .populate(Bundle.componentPopulate())
+      .session(session);
+
+    if (!bundle) {
+      throw new AppError("Bundle not found", 404);
+    }
+
+    const summary = bundle.summarize();
+    if (summary.problems.length > 0) {
+      throw new AppError("This bundle is currently unavailable", 400, {
+        problems: summary.problems,
+      });
+    }
+
+    const cart = await getOrCreateCart(req.user._id, session);
+
+    const existing = cart.bundles.find(
+      (b) => normalizeObjectId(b.bundle) === bundleId
+    );
+    const newQty = Math.min(
+      CART_CONFIG.MAX_QUANTITY,
+      (existing?.quantity || 0) + quantity
+    );
+
+    if (summary.stock < newQty) {
+      throw new AppError("Requested quantity exceeds available stock", 400);
+    }
+
+    if (existing) {
+      existing.quantity = newQty;
+    } else {
+      cart.bundles.push({ bundle: bundle._id, quantity });
+    }
+
+    await cart.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    const populatedCart = await getOrCreateCart(req.user._id);
+    const totals = computeCartTotals(populatedCart);
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle added to cart",
+      data: {
+        cart: populatedCart,
+        totals,
+      },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+});
+
+/**
+ * PATCH /api/cart/bundles/:bundleId
+ * Update bundle quantity
+ * body: { quantity }
+ */
+export const updateCartBundle = asyncHandler(async (req, res) => {
+  logger.info("Update cart bundle", { userId: req.user._id });
+
+  const bundleId = normalizeObjectId(req.params.bundleId);
+  if (!bundleId) {
+    throw new AppError("Valid bundle ID is required", 400);
+  }
+
+  const quantity = validateQuantity(req.body.quantity);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const cart = await getOrCreateCart(req.user._id, session);
+
+    const line = cart.bundles.find(
+      (b) => normalizeObjectId(b.bundle) === bundleId
+    );
+
+    if (!line) {
+      throw new AppError("Bundle not found in cart", 404);
+    }
+
+    line.quantity = quantity;
+
+    await cart.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    const populatedCart = await getOrCreateCart(req.user._id);
+    const totals = computeCartTotals(populatedCart);
+
+    res.status(200).json({
+      success: true,
+      message: "Cart bundle updated",
+      data: {
+        cart: populatedCart,
+        totals,
+      },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+});
+
+/**
+ * DELETE /api/cart/bundles/:bundleId
+ * Remove bundle from cart
+ */
+export const removeBundleFromCart = asyncHandler(async (req, res) => {
+  logger.info("Remove bundle from cart", { userId: req.user._id });
+
+  const bundleId = normalizeObjectId(req.params.bundleId);
+  if (!bundleId) {
+    throw new AppError("Valid bundle ID is required", 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const cart = await getOrCreateCart(req.user._id, session);
+
+    const originalLength = cart.bundles.length;
+    cart.bundles = cart.bundles.filter(
+      (b) => normalizeObjectId(b.bundle) !== bundleId
+    );
+
+    if (cart.bundles.length === originalLength) {
+      throw new AppError("Bundle not found in cart", 404);
+    }
+
+    await cart.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    const populatedCart = await getOrCreateCart(req.user._id);
+    const totals = computeCartTotals(populatedCart);
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle removed from cart",
+      data: {
+        cart: populatedCart,
+        totals,
+      },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+});
+
 /**
  * POST /api/cart/coupon
  * Apply coupon to cart (preview only; final validation at checkout)
@@ -430,7 +722,7 @@ export const applyCoupon = asyncHandler(async (req, res) => {
   try {
     const cart = await getOrCreateCart(req.user._id, session);
 
-    if (!cart.items.length) {
+    if (!cart.items.length && !cart.bundles.length) {
       throw new AppError("Cart is empty. Add items before applying a coupon.", 400);
     }
 
@@ -441,12 +733,13 @@ export const applyCoupon = asyncHandler(async (req, res) => {
 
     // Preview totals with this coupon (minPurchase/product restrictions)
     await cart
-      .populate("items.product", "name finalPrice image stock")
+      .populate("items.product", CART_PRODUCT_FIELDS)
       .execPopulate?.();
 
     // manual ensure populate in older mongoose
     const populatedCart = await Cart.findById(cart._id)
-      .populate("items.product", "name finalPrice image stock")
+      .populate("items.product", CART_PRODUCT_FIELDS)
+      .populate(CART_BUNDLE_POPULATE)
       .session(session);
 
     const tempCart = populatedCart || cart;
@@ -0,0 +1,322 @@
+// File: server/controllers/catalogController.js
+import { once } from "events";
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import { invalidateSuggestionIndex } from "../utils/productSuggest.js";
+import { normalizeSpecifications } from "../utils/specTemplates.js";
+import {
+  CATALOG_SELECT,
+  parseCsv,
+  csvHeader,
+  csvToRecords,
+  jsonToRecords,
+  productToRecord,
+  recordToCsvLine,
+  recordToProductData,
+} from "../utils/productCatalog.js";
+
+/* ----------------------- Helper Functions ----------------------- */
+
+const MAX_IMPORT_ROWS = Number(process.env.CATALOG_IMPORT_MAX_ROWS) || 1000;
+const FORMATS = ["csv", "json"];
+
+const isTrue = (value) => value === true || value === "true" || value === "1";
+
+const detectFormat = (req) => {
+  const requested = String(req.query.format || req.body?.format || "").toLowerCase();
+  if (requested) return requested;
+  return req.file?.originalname?.toLowerCase().endsWith(".json") ? "json" : "csv";
+};
+
+const validationMessages = (err) =>
+  err instanceof mongoose.Error.ValidationError
+    ? Object.entries(err.errors).map(([path, e]) => `${path}: ${e.message}`)
+    : [err.message];
+
+const variantSkus = (data) =>
+  Array.isArray(data.variants)
+    ? data.variants
+        .map((v) => (typeof v?.sku === "string" ? v.sku.trim() : v?.sku))
+        .filter(Boolean)
+    : [];
+
+/**
+ * Products owning any of the given SKUs (as product or variant SKU)
+ */
+const loadSkuOwners = async (skus) => {
+  const products = await Product.find({
+    $or: [{ sku: { $in: skus } }, { "variants.sku": { $in: skus } }],
+  });
+
+  const bySku = new Map();
+  const owners = new Map();
+  for (const product of products) {
+    bySku.set(product.sku, product);
+    owners.set(product.sku, String(product._id));
+    product.variants.forEach((v) => owners.set(v.sku, String(product._id)));
+  }
+  return { bySku, owners };
+};
+
+/**
+ * Validate one row and build its (unsaved) document
+ */
+const prepareRow = async ({ data, existing, upsert, owners, seenSkus }) => {
+  const errors = [];
+  const skus = [data.sku, ...variantSkus(data)];
+
+  for (const sku of skus) {
+    if (seenSkus.has(sku)) errors.push(`SKU ${sku} appears more than once in the file`);
+    seenSkus.add(sku);
+
+    const owner = owners.get(sku);
+    if (owner && owner !== String(existing?._id)) {
+      errors.push(`SKU ${sku} is already used by another product`);
+    }
+  }
+
+  if (existing && !upsert) {
+    errors.push("SKU already exists (enable upsert to update it)");
+  }
+  if (existing && data.category && data.category !== existing.category) {
+    errors.push("category: Category cannot be changed");
+  }
+  if (!existing && !data.images?.length) {
+    errors.push("images: At least one image is required");
+  }
+
+  // New products are checked against the category template even without specifications
+  const category = existing?.category || data.category;
+  if (category && (!existing || data.specifications)) {
+    if (data.specifications !== undefined && !Array.isArray(data.specifications)) {
+      errors.push("specifications: must be a list of { key, value }");
+    } else {
+      const specResult = await normalizeSpecifications(category, data.specifications);
+      errors.push(...specResult.errors.map((e) => `specifications: ${e}`));
+      data.specifications = specResult.specifications;
+    }
+  }
+  if (errors.length > 0) return { errors };
+
+  let doc = existing;
+  if (doc) {
+    // Variants keep their IDs (carts and orders reference them) when the SKU matches
+    if (Array.isArray(data.variants)) {
+      const idsBySku = new Map(doc.variants.map((v) => [v.sku, v._id]));
+      data.variants = data.variants.map((v) =>
+        idsBySku.has(v?.sku) ? { ...v, _id: idsBySku.get(v.sku) } : v
+      );
+    }
+    doc.set(data);
+  } else {
+    doc = new Product(data);
+  }
+
+  try {
+    await doc.validate();
+  } catch (err) {
+    return { errors: validationMessages(err) };
+  }
+
+  return { doc };
+};
+
+/* ----------------------- Admin Controllers ----------------------- */
+
+/**
+ * @desc    Import products from a CSV or JSON file (multipart field "file").
+ *          Every row is validated against the Product schema; valid rows are
+ *          saved and invalid ones reported.
+ *          Options (query or form fields): format=csv|json, dryRun=true
+ *          (validate only), upsert=true (update products whose SKU exists)
+ * @route   POST /api/admin/products/import
+ * @access  Private/Admin
+ */
+export const importProducts = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError("Upload a CSV or JSON file in the 'file' field", 400));
+  }
+
+  const format = detectFormat(req);
+  if (!FORMATS.includes(format)) {
+    return next(new AppError("Format must be csv or json", 400));
+  }
+
+  const dryRun = isTrue(req.query.dryRun ?? req.body?.dryRun);
+  const upsert = isTrue(req.query.upsert ?? req.body?.upsert);
+
+  let rows;
+  try {
+    const text = req.file.buffer.toString("utf8");
+    rows = format === "csv" ? csvToRecords(parseCsv(text)) : jsonToRecords(text);
+  } catch (err) {
+    return next(new AppError(`Could not parse ${format.toUpperCase()} file: ${err.message}`, 400));
+  }
+
+  if (rows.length === 0) {
+    return next(new AppError("The file contains no products", 400));
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return next(new AppError(`An import is limited to ${MAX_IMPORT_ROWS} products`, 400));
+  }
+
+  for (const row of rows) {
+    if (row.record) row.data = recordToProductData(row.record);
+    if (row.data && typeof row.data.sku !== "string") {
+      row.errors = ["sku: SKU is required"];
+    }
+  }
+
+  const fileSkus = rows.flatMap((row) =>
+    row.errors ? [] : [row.data.sku, ...variantSkus(row.data)]
+  );
+  const { bySku, owners } = await loadSkuOwners(fileSkus);
+  const seenSkus = new Set();
+
+  const report = [];
+  const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+
+  for (const row of rows) {
+    const sku = row.data?.sku;
+    const fail = (errors) => {
+      counts.failed++;
+      report.push({ row: row.row, sku, status: "failed", errors });
+    };
+
+    if (row.errors) {
+      fail(row.errors);
+      continue;
+    }
+
+    const existing = bySku.get(sku);
+    // Snapshot for the audit log, before prepareRow applies the row
+    const before = existing?.toObject();
+    const { doc, errors } = await prepareRow({
+      data: row.data,
+      existing,
+      upsert,
+      owners,
+      seenSkus,
+    });
+    if (errors) {
+      fail(errors);
+      continue;
+    }
+
+    const status = !existing ? "created" : doc.isModified() ? "updated" : "unchanged";
+    if (!dryRun && status !== "unchanged") {
+      try {
+        await doc.save();
+      } catch (err) {
+        fail(err.code === 11000 ? ["SKU already exists"] : validationMessages(err));
+        continue;
+      }
+
+      await recordAudit(req, {
+        action: existing ? "product.update" : "product.create",
+        targetModel: "Product",
+        targetId: doc._id,
+        before,
+        after: doc,
+        metadata: { source: "import", row: row.row },
+      });
+    }
+
+    counts[status]++;
+    report.push({
+      row: row.row,
+      sku,
+      status,
+      productId: dryRun && !existing ? null : doc._id,
+    });
+  }
+
+  if (!dryRun && (counts.created || counts.updated)) invalidateSuggestionIndex();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      dryRun,
+      upsert,
+      format,
+      total: rows.length,
+      ...counts,
+      rows: report,
+    },
+  });
+
+  logger.info("Product import finished", {
+    dryRun,
+    format,
+    total: rows.length,
+    ...counts,
+    userId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Stream the catalog as CSV or JSON (the import format).
+ *          Query: format=csv|json (default csv), category, includeInactive=true
+ * @route   GET /api/admin/products/export
+ * @access  Private/Admin
+ */
+export const exportProducts = asyncHandler(async (req, res, next) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return next(new AppError("Format must be csv or json", 400));
+  }
+
+  const filter = {};
+  if (!isTrue(req.query.includeInactive)) filter.isActive = true;
+  if (typeof req.query.category === "string") filter.category = req.query.category;
+
+  const cursor = Product.find(filter)
+    .select(CATALOG_SELECT)
+    .sort({ sku: 1 })
+    .lean()
+    .cursor();
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200);
+  res.setHeader(
+    "Content-Type",
+    format === "csv" ? "text/csv; charset=utf-8" : "application/json; charset=utf-8"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="products-${date}.${format}"`);
+
+  // Respect backpressure; stop waiting if the client goes away
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  let count = 0;
+  try {
+    await write(format === "csv" ? csvHeader() : "[");
+    for await (const product of cursor) {
+      if (res.destroyed) break;
+      const record = productToRecord(product);
+      await write(
+        format === "csv"
+          ? recordToCsvLine(record)
+          : `${count > 0 ? "," : ""}\n${JSON.stringify(record)}`
+      );
+      count++;
+    }
+    if (format === "json") await write("\n]\n");
+    res.end();
+  } catch (err) {
+    // Headers are already sent, so the download is cut short instead
+    logger.error("Product export failed", { message: err.message, exported: count });
+    await cursor.close().catch(() => {});
+    res.destroy(err);
+    return;
+  }
+
+  logger.info("Products exported", { format, count, userId: req.user?.id });
+});
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import Order from "../models/Order.js";
 import Product from "../models/Product.js";
 import Cart from "../models/Cart.js";
+import Bundle from "../models/Bundle.js";
 import Coupon from "../models/Coupon.js";
 import AppError from "../utils/appError.js";
 import asyncHandler from "express-async-handler";
@@ -97,8 +98,10 @@ async function validateCouponAtCheckout({ couponDoc, userId, itemsPrice, orderIt
     );
   }
 
-  // 3. Product restrictions
-  const productIds = orderItems.map((item) => item.product);
+  // 3. Product restrictions (bundles count as their components)
+  const productIds = orderItems.flatMap((item) =>
+    item.bundle ? item.components.map((c) => c.product) : [item.product]
+  );
   const applicability = couponDoc.isApplicableToProducts(productIds);
   if (!applicability.valid) {
     throw new AppError(applicability.reason, 400);
@@ -173,18 +176,24 @@ export const createOrder = asyncHandler(async (req, res) => {
   try {
     // 1. Load cart with products and coupon document
     const cart = await Cart.findOne({ user: req.user._id })
-      .populate("items.product", "name images finalPrice stock")
+      .populate(
+        "items.product",
+        "name sku images finalPrice stock variants variantOptions activeSale"
+      )
+      .populate({ path: "bundles.bundle", populate: Bundle.componentPopulate() })
       .populate(
         "coupon",
         "code discountType discountValue minPurchase maxDiscount validFrom validTo isActive usageLimit timesUsed perUserLimit applicableProducts excludedProducts"
       )
       .session(session);
 
-    if (!cart || !cart.items || cart.items.length === 0) {
+    const cartBundles = cart?.bundles || [];
+
+    if (!cart || ((cart.items?.length || 0) === 0 && cartBundles.length === 0)) {
       throw new AppError("Cart is empty. Please add items before checkout.", 400);
     }
 
-    if (cart.items.length > ORDER_CONFIG.MAX_ORDER_ITEMS) {
+    if (cart.items.length + cartBundles.length > ORDER_CONFIG.MAX_ORDER_ITEMS) {
       throw new AppError(
         `Cannot create order with more than ${ORDER_CONFIG.MAX_ORDER_ITEMS} items`,
         400
@@ -207,14 +216,20 @@ export const createOrder = asyncHandler(async (req, res) => {
         );
       }
 
+      const details = product.purchaseDetails(cartItem.variant);
+      if (details.error) {
+        throw new AppError(`${product.name}: ${details.error}`, 400);
+      }
+
       const quantity = Number(cartItem.quantity) || 0;
-      const unitPrice = Number(product.finalPrice || 0);
+      const unitPrice = details.unitPrice;
 
-      if (product.stock != null && product.stock < quantity) {
+      if (details.stock != null && details.stock < quantity) {
         outOfStock.push({
           productId: String(product._id),
+          variantId: details.variant ? String(details.variant._id) : undefined,
           name: product.name,
-          available: product.stock,
+          available: details.stock,
           requested: quantity,
         });
         continue;
@@ -222,8 +237,12 @@ export const createOrder = asyncHandler(async (req, res) => {
 
       orderItems.push({
         product: product._id,
+        variant: details.variant?._id || null,
+        sku: details.sku,
+        variantLabel: details.variantLabel || undefined,
+        sale: details.sale,
         name: product.name,
-        image: product.images?.[0] || product.image || "default-product.jpg",
+        image: details.image || "default-product.jpg",
         price: unitPrice,
         priceSnapshot: unitPrice,
         quantity,
@@ -233,8 +252,68 @@ export const createOrder = asyncHandler(async (req, res) => {
 
       stockUpdates.push({
         productId: product._id,
+        variantId: details.variant?._id || null,
+        quantity,
+      });
+    }
+
+    // Bundles: priced as a unit, stock taken from every component
+    for (const cartBundle of cartBundles) {
+      const bundle = cartBundle.bundle;
+
+      if (!bundle || !bundle.summarize || !bundle.isActive) {
+        throw new AppError(
+          `Bundle ${bundle?._id || bundle} not found or has been removed`,
+          404
+        );
+      }
+
+      const summary = bundle.summarize();
+      if (summary.problems.length > 0) {
+        throw new AppError(`${bundle.name} is currently unavailable`, 400, {
+          problems: summary.problems,
+        });
+      }
+
+      const quantity = Number(cartBundle.quantity) || 0;
+
+      if (summary.stock < quantity) {
+        outOfStock.push({
+          bundleId: String(bundle._id),
+          name: bundle.name,
+          available: summary.stock,
+          requested: quantity,
+        });
+        continue;
+      }
+
+      orderItems.push({
+        bundle: bundle._id,
+        sku: bundle.sku,
+        name: bundle.name,
+        image: summary.image || "default-product.jpg",
+        price: summary.price,
+        priceSnapshot: summary.price,
         quantity,
+        components: summary.components.map((c) => ({
+          product: c.product,
+          variant: c.variant,
+          sku: c.sku,
+          name: c.name,
+          variantLabel: c.variantLabel || undefined,
+          quantity: c.quantity,
+        })),
       });
+
+      itemsPrice += summary.price * quantity;
+
+      for (const component of summary.components) {
+        stockUpdates.push({
+          productId: component.product,
+          variantId: component.variant,
+          quantity: component.quantity * quantity,
+        });
+      }
     }
 
     if (outOfStock.length > 0) {
@@ -268,15 +347,34 @@ export const createOrder = asyncHandler(async (req, res) => {
     // 4. Calculate final prices
     const prices = calculateOrderPrices(itemsPrice, discountAmount);
 
-    // 5. Decrement stock atomically
-    const bulkOps = stockUpdates.map(({ productId, quantity }) => ({
-      updateOne: {
-        filter: {
-          _id: productId,
-          stock: { $gte: quantity },
-        },
-        update: { $inc: { stock: -quantity } },
-      },
+    // 5. Decrement stock atomically (the variant's, and the product total with it).
+    // A product bought on its own and inside a bundle is checked against its combined quantity.
+    const stockByLine = new Map();
+    for (const update of stockUpdates) {
+      const key = `${update.productId}:${update.variantId || ""}`;
+      const existing = stockByLine.get(key);
+      if (existing) existing.quantity += update.quantity;
+      else stockByLine.set(key, { ...update });
+    }
+
+    const bulkOps = [...stockByLine.values()].map(({ productId, variantId, quantity }) => ({
+      updateOne: variantId
+        ? {
+            filter: {
+              _id: productId,
+              variants: {
+                $elemMatch: { _id: variantId, stock: { $gte: quantity } },
+              },
+            },
+            update: { $inc: { "variants.$.stock": -quantity, stock: -quantity } },
+          }
+        : {
+            filter: {
+              _id: productId,
+              stock: { $gte: quantity },
+            },
+            update: { $inc: { stock: -quantity } },
+          },
     }));
 
     if (bulkOps.length > 0) {
@@ -326,6 +424,7 @@ export const createOrder = asyncHandler(async (req, res) => {
 
     // 8. Clear cart
     cart.items = [];
+    cart.bundles = [];
     cart.coupon = null;
     await cart.save({ session });
 
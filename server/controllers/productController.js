@@ -1,11 +1,26 @@
 // File: server/controllers/productController.js
 import Product from "../models/Product.js";
 import APIFeatures from "../utils/apiFeatures.js";
+import {
+  buildFacetedSearchPipeline,
+  formatFacetedSearchResult,
+} from "../utils/productSearch.js";
+import {
+  suggest,
+  DEFAULT_SUGGEST_LIMIT,
+  MAX_SUGGEST_LIMIT,
+} from "../utils/productSuggest.js";
+import {
+  buildComparison,
+  MAX_COMPARE_PRODUCTS,
+  MIN_COMPARE_PRODUCTS,
+} from "../utils/productCompare.js";
 import AppError from "../utils/appError.js";
 import asyncHandler from "express-async-handler";
 import User from "../models/User.js";
 import Review from "../models/Review.js";
 import Order from "../models/Order.js";
+import PriceHistory from "../models/PriceHistory.js";
 import { logger } from "../middleware/logger.js";
 import mongoose from "mongoose";
 import validator from 'validator';
@@ -55,6 +70,10 @@ const sanitizeQuery = (query) => {
   return sanitized;
 };
 
+const LOWEST_PRICE_DAYS = 30;
+const DEFAULT_PRICE_HISTORY_DAYS = 90;
+const MAX_PRICE_HISTORY_DAYS = 365;
+
 /**
  * @desc    Public Product Controllers
  */
@@ -191,9 +210,26 @@ export const getProduct = asyncHandler(async (req, res, next) => {
       return next(new AppError("No product found with that ID", 404));
     }
 
+    // Lowest price in the 30 days before the current price took effect
+    // (price reduction disclosures). Falls back to the current price when
+    // there is no earlier price.
+    const data = product[0];
+    const lows = await PriceHistory.lowestPrices(data._id, {
+      days: LOWEST_PRICE_DAYS,
+    });
+    const lowestOf = (low, currentPrice) => low || { price: currentPrice, recordedAt: null };
+
+    data.lowestPrice30Days = lowestOf(lows.product, data.finalPrice);
+    for (const variant of data.variants || []) {
+      variant.lowestPrice30Days = lowestOf(
+        lows.variants[String(variant._id)],
+        variant.finalPrice
+      );
+    }
+
     res.status(200).json({
       success: true,
-      data: product[0],
+      data,
     });
     
     logger.info("Fetched product successfully", { id: req.params.id });
@@ -268,6 +304,124 @@ export const getRelatedProducts = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Compare 2-4 products of the same category side by side.
+ *          Query: ids=a,b,c (comma-separated, column order)
+ * @route   GET /api/products/compare
+ * @access  Public
+ */
+export const compareProducts = asyncHandler(async (req, res, next) => {
+  const ids = [
+    ...new Set(
+      String(req.query.ids || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (ids.length < MIN_COMPARE_PRODUCTS || ids.length > MAX_COMPARE_PRODUCTS) {
+    return next(
+      new AppError(
+        `Provide ${MIN_COMPARE_PRODUCTS}-${MAX_COMPARE_PRODUCTS} distinct product IDs to compare`,
+        400
+      )
+    );
+  }
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return next(new AppError("Invalid product ID format", 400));
+  }
+
+  const found = await Product.find({ _id: { $in: ids }, isActive: true })
+    .select(
+      "name category brand images originalPrice discountPercentage finalPrice ratings warranty availability stock specifications"
+    )
+    .lean();
+
+  if (found.length !== ids.length) {
+    return next(new AppError("One or more products were not found", 404));
+  }
+
+  const categories = new Set(found.map((p) => p.category));
+  if (categories.size > 1) {
+    return next(
+      new AppError("Only products from the same category can be compared", 400, {
+        categories: [...categories],
+      })
+    );
+  }
+
+  const byId = new Map(found.map((p) => [String(p._id), p]));
+  const products = ids.map((id) => byId.get(id));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      category: products[0].category,
+      products: products.map(({ specifications, images, ...product }) => ({
+        ...product,
+        image: images?.[0] || null,
+      })),
+      rows: buildComparison(products),
+    },
+  });
+});
+
+/**
+ * @desc    Price time series for charting.
+ *          Query: days (default 90, max 365), variant (variant ID)
+ * @route   GET /api/products/:id/price-history
+ * @access  Public
+ */
+export const getPriceHistory = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Invalid product ID format", 400));
+  }
+
+  const { variant } = req.query;
+  if (variant !== undefined && !mongoose.Types.ObjectId.isValid(variant)) {
+    return next(new AppError("Invalid variant ID", 400));
+  }
+
+  const product = await Product.findOne({ _id: req.params.id, isActive: true })
+    .select("finalPrice variants._id variants.finalPrice")
+    .lean();
+  if (!product) {
+    return next(new AppError("No product found with that ID", 404));
+  }
+
+  const current = variant
+    ? product.variants?.find((v) => String(v._id) === String(variant))
+    : product;
+  if (!current) {
+    return next(new AppError("No variant found with that ID", 404));
+  }
+
+  const days = Math.min(
+    MAX_PRICE_HISTORY_DAYS,
+    Math.max(1, parseInt(req.query.days, 10) || DEFAULT_PRICE_HISTORY_DAYS)
+  );
+  const now = new Date();
+
+  const [points, lows] = await Promise.all([
+    PriceHistory.series(product._id, { variant: variant || null, days, now }),
+    PriceHistory.lowestPrices(product._id, { days: LOWEST_PRICE_DAYS, now }),
+  ]);
+  const low = variant ? lows.variants[String(variant)] : lows.product;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      product: product._id,
+      variant: variant || null,
+      days,
+      currentPrice: current.finalPrice,
+      lowestPrice30Days: low || { price: current.finalPrice, recordedAt: null },
+      points,
+    },
+  });
+});
+
 /**
  * @desc    Search products by name/description
  * @route   GET /api/products/search
@@ -301,6 +455,60 @@ export const searchProducts = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Typeahead suggestions (products, games, brands, categories);
+ *          tolerant of prefixes and small typos ("rtx 407", "ryzn")
+ * @route   GET /api/products/suggest?q=&limit=
+ * @access  Public
+ */
+export const suggestProducts = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q : "";
+  const limit = Math.min(
+    MAX_SUGGEST_LIMIT,
+    Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_SUGGEST_LIMIT)
+  );
+
+  const suggestions = await suggest(q, { limit });
+
+  // Identical keystrokes from the same client can be answered by its cache
+  res.set("Cache-Control", "public, max-age=60");
+  res.status(200).json({
+    success: true,
+    results: suggestions.length,
+    data: { query: q, suggestions },
+  });
+});
+
+/**
+ * @desc    Faceted search: products plus brand, category, price, rating,
+ *          availability and specification facet counts (one aggregation).
+ *          Comma-separated values within a facet are OR-ed; specRange[key]
+ *          filters typed specifications numerically.
+ * @route   GET /api/products/search/faceted
+ * @access  Public
+ */
+export const facetedSearch = asyncHandler(async (req, res) => {
+  const search = buildFacetedSearchPipeline(req.query);
+
+  const [result] = await Product.aggregate(search.pipeline);
+  const { products, total, facets } = formatFacetedSearchResult(result, search);
+
+  res.status(200).json({
+    success: true,
+    count: total,
+    results: products.length,
+    page: search.page,
+    pages: Math.ceil(total / search.limit),
+    data: { products, facets },
+  });
+
+  logger.info("Faceted search", {
+    text: search.parsed.text || undefined,
+    filters: Object.keys(search.parsed.filters),
+    total,
+  });
+});
+
 /**
  * @desc    Get all unique product categories
  * @route   GET /api/products/categories
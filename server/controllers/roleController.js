@@ -0,0 +1,276 @@
+// server/controllers/roleController.js
+
+import mongoose from "mongoose";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  WILDCARD,
+} from "../config/permissions.js";
+
+// Only these fields may be set through the API
+const ROLE_FIELDS = ["name", "description", "permissions"];
+
+const pickRoleFields = (body = {}) =>
+  ROLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+/**
+ * @desc    List every permission and the built-in roles
+ * @route   GET /api/admin/permissions
+ * @access  Private/Staff (roles:read)
+ */
+export const getPermissionCatalog = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: Object.values(PERMISSIONS),
+      wildcard: WILDCARD,
+      builtInRoles: BUILT_IN_ROLES.map((r) => r.name),
+    },
+  });
+});
+
+/**
+ * @desc    Get all roles with the number of users holding each
+ * @route   GET /api/admin/roles
+ * @access  Private/Staff (roles:read)
+ */
+export const getRoles = asyncHandler(async (req, res) => {
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+    User.aggregate([
+      { $unwind: "$roles" },
+      { $group: { _id: "$roles", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles.map((role) => ({
+      ...role,
+      userCount: countById.get(role._id.toString()) || 0,
+    })),
+  });
+});
+
+/**
+ * @desc    Get single role by ID
+ * @route   GET /api/admin/roles/:id
+ * @access  Private/Staff (roles:read)
+ */
+export const getRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    logger.warn("Role not found", { id: req.params.id });
+    return next(new AppError("Role not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: role,
+  });
+});
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/admin/roles
+ * @access  Private/Staff (roles:manage)
+ */
+export const createRole = asyncHandler(async (req, res, next) => {
+  const data = pickRoleFields(req.body);
+
+  if (!data.name) {
+    return next(new AppError("Role name is required", 400));
+  }
+
+  if (await Role.exists({ name: String(data.name).toLowerCase().trim() })) {
+    return next(new AppError("A role with this name already exists", 409));
+  }
+
+  const role = await Role.create({ ...data, isSystem: false });
+
+  await recordAudit(req, {
+    action: "role.create",
+    targetModel: "Role",
+    targetId: role._id,
+    after: role,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: role,
+  });
+  logger.info("Role created", {
+    id: role._id,
+    name: role.name,
+    adminId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Update a custom role
+ * @route   PATCH /api/admin/roles/:id
+ * @access  Private/Staff (roles:manage)
+ */
+export const updateRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    logger.warn("Role not found for update", { id: req.params.id });
+    return next(new AppError("Role not found", 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError("Built-in roles cannot be modified", 400));
+  }
+
+  const before = role.toObject();
+  Object.assign(role, pickRoleFields(req.body));
+  await role.save();
+
+  await recordAudit(req, {
+    action: "role.update",
+    targetModel: "Role",
+    targetId: role._id,
+    before,
+    after: role,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: role,
+  });
+  logger.info("Role updated", {
+    id: role._id,
+    name: role.name,
+    adminId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Delete a custom role and remove it from every user
+ * @route   DELETE /api/admin/roles/:id
+ * @access  Private/Staff (roles:manage)
+ */
+export const deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    logger.warn("Role not found for delete", { id: req.params.id });
+    return next(new AppError("Role not found", 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError("Built-in roles cannot be deleted", 400));
+  }
+
+  const { modifiedCount } = await User.updateMany(
+    { roles: role._id },
+    { $pull: { roles: role._id } }
+  );
+  await role.deleteOne();
+
+  await recordAudit(req, {
+    action: "role.delete",
+    targetModel: "Role",
+    targetId: role._id,
+    before: role,
+    metadata: { usersAffected: modifiedCount },
+  });
+
+  res.status(204).json({
+    success: true,
+    data: null,
+  });
+  logger.info("Role deleted", {
+    id: req.params.id,
+    name: role.name,
+    usersAffected: modifiedCount,
+    adminId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Replace the roles assigned to a user (accepts role IDs or names)
+ * @route   PUT /api/admin/users/:id/roles
+ * @access  Private/Staff (roles:manage)
+ */
+export const assignUserRoles = asyncHandler(async (req, res, next) => {
+  const { roles } = req.body || {};
+
+  if (!Array.isArray(roles)) {
+    return next(new AppError("roles must be an array of role IDs or names", 400));
+  }
+
+  if (req.params.id === req.user.id) {
+    return next(new AppError("You cannot change your own roles", 400));
+  }
+
+  const ids = roles.filter((r) => mongoose.Types.ObjectId.isValid(r));
+  const names = roles
+    .filter((r) => !mongoose.Types.ObjectId.isValid(r))
+    .map((r) => String(r).toLowerCase().trim());
+
+  const found = await Role.find({
+    $or: [{ _id: { $in: ids } }, { name: { $in: names } }],
+  }).select("name");
+
+  const unknown = roles.filter(
+    (r) =>
+      !found.some(
+        (role) =>
+          role._id.toString() === String(r) ||
+          role.name === String(r).toLowerCase().trim()
+      )
+  );
+  if (unknown.length > 0) {
+    return next(new AppError("Unknown role(s)", 400, { unknown }));
+  }
+
+  const existingUser = await User.findById(req.params.id)
+    .select("roles")
+    .populate("roles", "name");
+
+  if (!existingUser) {
+    logger.warn("User not found for role assignment", { id: req.params.id });
+    return next(new AppError("User not found", 404));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { roles: found.map((r) => r._id) },
+    { new: true }
+  )
+    .select("-password -twoFactorSecret")
+    .populate("roles", "name permissions");
+
+  await recordAudit(req, {
+    action: "user.roles_update",
+    targetModel: "User",
+    targetId: user._id,
+    before: { roles: existingUser.roles.map((r) => r.name) },
+    after: { roles: found.map((r) => r.name) },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user,
+  });
+  logger.info("User roles updated", {
+    id: req.params.id,
+    roles: found.map((r) => r.name),
+    adminId: req.user?.id,
+  });
+});
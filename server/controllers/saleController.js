@@ -0,0 +1,248 @@
+// File: server/controllers/saleController.js
+import mongoose from "mongoose";
+import Sale from "../models/Sale.js";
+import Product from "../models/Product.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import { runSaleJob } from "../jobs/saleScheduler.js";
+
+/* ----------------------- Helper Functions ----------------------- */
+
+const SALE_FIELDS = [
+  "name",
+  "description",
+  "discountPercentage",
+  "startsAt",
+  "endsAt",
+  "products",
+  "categories",
+  "isActive",
+];
+
+const DEAL_PRODUCT_FIELDS = "name category brand originalPrice finalPrice images ratings availability";
+const MAX_DEAL_PRODUCTS = 12;
+const DEFAULT_UPCOMING_DAYS = 7;
+const MAX_UPCOMING_DAYS = 30;
+
+const pickSaleFields = (body = {}) => {
+  const data = {};
+  SALE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Apply the change right away instead of waiting for the next scheduler tick
+const applySalesNow = () =>
+  runSaleJob().catch((err) =>
+    logger.error("Sale scheduler run failed", { message: err.message })
+  );
+
+const secondsUntil = (date, now) => Math.max(0, Math.ceil((date - now) / 1000));
+
+/* ----------------------- Public Controllers ----------------------- */
+
+/**
+ * @desc    Live and upcoming deals with countdowns.
+ *          Query: type=flash (flash deals only), upcomingDays (default 7, max 30)
+ * @route   GET /api/deals
+ * @access  Public
+ */
+export const getDeals = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const upcomingDays = Math.min(
+    MAX_UPCOMING_DAYS,
+    Math.max(0, parseInt(req.query.upcomingDays, 10) || DEFAULT_UPCOMING_DAYS)
+  );
+  const horizon = new Date(now.getTime() + upcomingDays * 24 * 60 * 60 * 1000);
+
+  let sales = await Sale.find({
+    isActive: true,
+    endsAt: { $gt: now },
+    startsAt: { $lte: horizon },
+  }).sort({ startsAt: 1, endsAt: 1 });
+
+  if (req.query.type === "flash") {
+    sales = sales.filter((sale) => sale.isFlash);
+  }
+
+  // Product-targeted deals show their products (one query for all deals)
+  const productIds = [...new Set(sales.flatMap((s) => s.products.map(String)))];
+  const products = productIds.length
+    ? await Product.find({ _id: { $in: productIds }, isActive: true })
+        .select(DEAL_PRODUCT_FIELDS)
+        .lean()
+    : [];
+  const productsById = new Map(products.map((p) => [String(p._id), p]));
+
+  const live = [];
+  const upcoming = [];
+
+  for (const sale of sales) {
+    const isLive = sale.startsAt <= now;
+    const deal = {
+      _id: sale._id,
+      name: sale.name,
+      description: sale.description,
+      discountPercentage: sale.discountPercentage,
+      isFlash: sale.isFlash,
+      startsAt: sale.startsAt,
+      endsAt: sale.endsAt,
+      countdown: isLive
+        ? { endsInSeconds: secondsUntil(sale.endsAt, now) }
+        : { startsInSeconds: secondsUntil(sale.startsAt, now) },
+      categories: sale.categories,
+      products: sale.products
+        .map((id) => productsById.get(String(id)))
+        .filter(Boolean)
+        .slice(0, MAX_DEAL_PRODUCTS),
+    };
+
+    (isLive ? live : upcoming).push(deal);
+  }
+
+  // Deals ending soonest first
+  live.sort((a, b) => a.endsAt - b.endsAt);
+
+  res.status(200).json({
+    success: true,
+    serverTime: now,
+    data: { live, upcoming },
+  });
+});
+
+/* ----------------------- Admin Controllers ----------------------- */
+
+/**
+ * @desc    List sales (filter by status)
+ * @route   GET /api/admin/sales
+ * @access  Private/Admin
+ */
+export const getAllSales = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (typeof req.query.status === "string") filter.status = req.query.status;
+
+  const sales = await Sale.find(filter).sort({ startsAt: -1 }).limit(200);
+
+  res.status(200).json({
+    success: true,
+    count: sales.length,
+    data: sales,
+  });
+});
+
+/**
+ * @desc    Schedule a sale
+ * @route   POST /api/admin/sales
+ * @access  Private/Admin
+ */
+export const createSale = asyncHandler(async (req, res, next) => {
+  const data = pickSaleFields(req.body);
+
+  if (data.endsAt && new Date(data.endsAt) <= new Date()) {
+    return next(new AppError("End time must be in the future", 400));
+  }
+
+  const sale = await Sale.create({ ...data, createdBy: req.user._id });
+  applySalesNow();
+
+  await recordAudit(req, {
+    action: "sale.create",
+    targetModel: "Sale",
+    targetId: sale._id,
+    after: sale.toObject(),
+  });
+
+  res.status(201).json({
+    success: true,
+    data: sale,
+  });
+
+  logger.info("Sale scheduled", {
+    id: sale._id,
+    startsAt: sale.startsAt,
+    endsAt: sale.endsAt,
+    userId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Update a sale (ended sales cannot be changed)
+ * @route   PATCH /api/admin/sales/:id
+ * @access  Private/Admin
+ */
+export const updateSale = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Invalid sale ID", 400));
+  }
+
+  const sale = await Sale.findById(req.params.id);
+  if (!sale) {
+    return next(new AppError("No sale found with that ID", 404));
+  }
+  if (sale.endsAt <= new Date()) {
+    return next(new AppError("Ended sales cannot be changed", 400));
+  }
+
+  const before = sale.toObject();
+  sale.set(pickSaleFields(req.body));
+
+  // Re-activating a cancelled sale reschedules it
+  if (sale.isActive && sale.status === "cancelled") sale.status = "scheduled";
+
+  await sale.save();
+  applySalesNow();
+
+  await recordAudit(req, {
+    action: "sale.update",
+    targetModel: "Sale",
+    targetId: sale._id,
+    before,
+    after: sale.toObject(),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: sale,
+  });
+
+  logger.info("Sale updated", { id: sale._id, userId: req.user?.id });
+});
+
+/**
+ * @desc    Cancel a sale (prices are reverted; the record is kept)
+ * @route   DELETE /api/admin/sales/:id
+ * @access  Private/Admin
+ */
+export const cancelSale = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Invalid sale ID", 400));
+  }
+
+  const sale = await Sale.findById(req.params.id);
+  if (!sale) {
+    return next(new AppError("No sale found with that ID", 404));
+  }
+
+  sale.isActive = false;
+  sale.status = "cancelled";
+  await sale.save();
+  applySalesNow();
+
+  await recordAudit(req, {
+    action: "sale.cancel",
+    targetModel: "Sale",
+    targetId: sale._id,
+    before: { isActive: true },
+    after: { isActive: false },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: sale,
+  });
+
+  logger.info("Sale cancelled", { id: sale._id, userId: req.user?.id });
+});
@@ -0,0 +1,220 @@
+// server/controllers/specTemplateController.js
+
+import mongoose from "mongoose";
+import SpecTemplate, { NUMERIC_TYPES } from "../models/SpecTemplate.js";
+import Product from "../models/Product.js";
+import AppError from "../utils/appError.js";
+import asyncHandler from "express-async-handler";
+import { logger } from "../middleware/logger.js";
+import { recordAudit } from "../utils/audit.js";
+import { applySpecTemplate } from "../utils/specTemplates.js";
+
+// Only these fields may be set through the API
+const TEMPLATE_FIELDS = ["fields", "allowExtra"];
+
+const pickTemplateFields = (body = {}) =>
+  TEMPLATE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+const isTrue = (value) => value === true || value === "true";
+
+const validationMessages = (err) =>
+  err instanceof mongoose.Error.ValidationError
+    ? Object.entries(err.errors).map(([path, e]) => `${path}: ${e.message}`)
+    : [err.message];
+
+/**
+ * @desc    Specification template of a category, with the current value
+ *          range of each numeric field (for range filters)
+ * @route   GET /api/products/spec-templates/:category
+ * @access  Public
+ */
+export const getSpecTemplate = asyncHandler(async (req, res, next) => {
+  const template = await SpecTemplate.findOne({ category: req.params.category })
+    .select("category fields allowExtra")
+    .lean();
+  if (!template) {
+    return next(new AppError("No specification template for that category", 404));
+  }
+
+  const numericKeys = template.fields
+    .filter((field) => NUMERIC_TYPES.includes(field.type))
+    .map((field) => field.key);
+
+  const ranges = numericKeys.length
+    ? await Product.aggregate([
+        { $match: { isActive: true, category: template.category } },
+        { $unwind: "$specifications" },
+        {
+          $match: {
+            "specifications.key": { $in: numericKeys },
+            "specifications.numericValue": { $type: "number" },
+          },
+        },
+        {
+          $group: {
+            _id: "$specifications.key",
+            min: { $min: "$specifications.numericValue" },
+            max: { $max: "$specifications.numericValue" },
+          },
+        },
+      ])
+    : [];
+  const rangeByKey = new Map(ranges.map(({ _id, min, max }) => [_id, { min, max }]));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...template,
+      fields: template.fields.map((field) =>
+        NUMERIC_TYPES.includes(field.type)
+          ? { ...field, range: rangeByKey.get(field.key) || null }
+          : field
+      ),
+    },
+  });
+});
+
+/**
+ * @desc    List specification templates
+ * @route   GET /api/admin/spec-templates
+ * @access  Private/Admin
+ */
+export const getAllSpecTemplates = asyncHandler(async (req, res) => {
+  const templates = await SpecTemplate.find().sort({ category: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates,
+  });
+});
+
+/**
+ * @desc    Create or replace the specification template of a category
+ * @route   PUT /api/admin/spec-templates/:category
+ * @access  Private/Admin
+ */
+export const upsertSpecTemplate = asyncHandler(async (req, res) => {
+  const { category } = req.params;
+  const data = pickTemplateFields(req.body);
+
+  let template = await SpecTemplate.findOne({ category });
+  const before = template?.toObject() || null;
+
+  if (template) {
+    template.set(data);
+  } else {
+    template = new SpecTemplate({ ...data, category });
+  }
+  template.updatedBy = req.user._id;
+  await template.save();
+
+  await recordAudit(req, {
+    action: before ? "spec_template.update" : "spec_template.create",
+    targetModel: "SpecTemplate",
+    targetId: template._id,
+    before,
+    after: template,
+  });
+
+  res.status(before ? 200 : 201).json({
+    success: true,
+    data: template,
+  });
+
+  logger.info("Specification template saved", { category, userId: req.user?.id });
+});
+
+/**
+ * @desc    Delete the specification template of a category (product
+ *          specifications are kept; they become free-form again)
+ * @route   DELETE /api/admin/spec-templates/:category
+ * @access  Private/Admin
+ */
+export const deleteSpecTemplate = asyncHandler(async (req, res, next) => {
+  const template = await SpecTemplate.findOne({ category: req.params.category });
+  if (!template) {
+    return next(new AppError("No specification template for that category", 404));
+  }
+
+  await template.deleteOne();
+
+  await recordAudit(req, {
+    action: "spec_template.delete",
+    targetModel: "SpecTemplate",
+    targetId: template._id,
+    before: template,
+  });
+
+  res.status(204).json({
+    success: true,
+    data: null,
+  });
+
+  logger.info("Specification template deleted", {
+    category: req.params.category,
+    userId: req.user?.id,
+  });
+});
+
+/**
+ * @desc    Re-validate the existing products of a category against its
+ *          template and store their values typed. Products that fail are
+ *          left unchanged and reported. Query: dryRun=true (report only)
+ * @route   POST /api/admin/spec-templates/:category/apply
+ * @access  Private/Admin
+ */
+export const applySpecTemplateToProducts = asyncHandler(async (req, res, next) => {
+  const template = await SpecTemplate.findOne({ category: req.params.category });
+  if (!template) {
+    return next(new AppError("No specification template for that category", 404));
+  }
+
+  const dryRun = isTrue(req.query.dryRun ?? req.body?.dryRun);
+  const counts = { updated: 0, unchanged: 0, failed: 0 };
+  const failures = [];
+
+  const cursor = Product.find({ category: template.category }).cursor();
+  for await (const product of cursor) {
+    const current = product.specifications.map((s) => s.toObject());
+    const { specifications, errors } = applySpecTemplate(template, current);
+
+    if (errors.length > 0) {
+      counts.failed++;
+      failures.push({ productId: product._id, sku: product.sku, errors });
+      continue;
+    }
+
+    if (JSON.stringify(current) === JSON.stringify(specifications)) {
+      counts.unchanged++;
+      continue;
+    }
+
+    // Only the rewritten specifications are validated, not fields the template does not touch
+    product.specifications = specifications;
+    try {
+      if (dryRun) await product.validate({ validateModifiedOnly: true });
+      else await product.save({ validateModifiedOnly: true });
+    } catch (err) {
+      counts.failed++;
+      failures.push({ productId: product._id, sku: product.sku, errors: validationMessages(err) });
+      continue;
+    }
+    counts.updated++;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { dryRun, ...counts, failures },
+  });
+
+  logger.info("Specification template applied", {
+    category: template.category,
+    dryRun,
+    ...counts,
+    userId: req.user?.id,
+  });
+});
@@ -2,9 +2,15 @@
 
 import User from "../models/User.js";
 import Order from "../models/Order.js";
+import Session from "../models/Session.js";
+import DataExport from "../models/DataExport.js";
+import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import AppError from "../utils/appError.js";
-import { logger } from "../middleware/logger.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+import { processDataExport } from "../utils/dataExport.js";
+import { hashToken } from "../utils/generateToken.js";
+import { logger, maskIp } from "../middleware/logger.js";
 
 /**
  * Utility: Filter object fields for safe update
@@ -22,6 +28,27 @@ const filterObj = (obj, ...allowedFields) => {
   return newObj;
 };
 
+/**
+ * Utility: Shape a session for the "active devices" list
+ */
+const formatSession = (session, currentSessionId) => {
+  const device = parseUserAgent(session.userAgent);
+
+  return {
+    id: session._id,
+    device: {
+      label: device.label,
+      browser: device.browser,
+      os: device.os,
+      type: device.type,
+    },
+    ip: maskIp(session.ip || "unknown"),
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: String(session._id) === String(currentSessionId),
+  };
+};
+
 /**
  * @desc    Get logged-in user's profile
  * @route   GET /api/users/me
@@ -59,7 +86,7 @@ export const updateMe = asyncHandler(async (req, res, next) => {
     return next(new AppError("This route is not for password updates", 400));
   }
 
-  // Only allow safe profile fields here (email updates should be a dedicated, verified flow)
+  // Only allow safe profile fields here (email changes go through POST /api/auth/change-email)
   const filteredBody = filterObj(
     req.body,
     "name",
@@ -87,29 +114,36 @@ export const updateMe = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Deactivate (soft-delete) current user
- * @route   DELETE /api/users/me
+ * @desc    Request account deletion. The account is deactivated now and
+ *          anonymized after the grace period; logging in again cancels it.
+ * @route   DELETE /api/users/delete-me
  * @access  Private
  */
 export const deleteMe = asyncHandler(async (req, res, next) => {
-  logger.info("Deactivate self start", { userId: req.user.id });
+  logger.info("Account deletion request start", { userId: req.user.id });
 
-  const user = await User.findByIdAndUpdate(
-    req.user.id,
-    { active: false },
-    { new: true }
-  );
+  const user = await User.findById(req.user.id).select("+active");
 
   if (!user) {
     return next(new AppError("User not found", 404));
   }
 
-  res.status(204).json({
+  const scheduledFor = await user.scheduleDeletion();
+
+  // Sign out everywhere; logging back in is how deletion gets cancelled
+  await Session.revokeAllForUser(user._id, { reason: "user_revoked" });
+
+  res.status(200).json({
     success: true,
-    data: null,
+    message:
+      "Your account will be deleted. Log in again before the scheduled date to cancel.",
+    data: { deletionScheduledFor: scheduledFor },
   });
 
-  logger.info("Deactivated self", { userId: req.user.id });
+  logger.info("Account deletion scheduled", {
+    userId: req.user.id,
+    deletionScheduledFor: scheduledFor,
+  });
 });
 
 /**
@@ -160,3 +194,209 @@ export const getUserOrders = asyncHandler(async (req, res, next) => {
     results: orders.length,
   });
 });
+
+/**
+ * @desc    List active sessions (devices) of the logged-in user
+ * @route   GET /api/users/me/sessions
+ * @access  Private
+ */
+export const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort("-lastSeenAt")
+    .lean();
+
+  const data = sessions.map((s) => formatSession(s, req.authSession?._id));
+
+  res.status(200).json({
+    success: true,
+    results: data.length,
+    data,
+  });
+
+  logger.info("Fetched user sessions", {
+    userId: req.user.id,
+    results: data.length,
+  });
+});
+
+/**
+ * @desc    Revoke a single session (log out one device)
+ * @route   DELETE /api/users/me/sessions/:id
+ * @access  Private
+ */
+export const revokeMySession = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Invalid session ID", 400));
+  }
+
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return next(new AppError("Session not found", 404));
+  }
+
+  await session.revoke("user_revoked");
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked",
+    data: { current: String(session._id) === String(req.authSession?._id) },
+  });
+
+  logger.info("Revoked user session", {
+    userId: req.user.id,
+    sessionId: session._id.toString(),
+  });
+});
+
+/**
+ * @desc    Revoke every session except the current one
+ * @route   DELETE /api/users/me/sessions
+ * @access  Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await Session.revokeAllForUser(req.user.id, {
+    reason: "user_revoked",
+    except: req.authSession?._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out of all other sessions",
+    data: { revoked },
+  });
+
+  logger.info("Revoked other user sessions", {
+    userId: req.user.id,
+    revoked,
+  });
+});
+
+/**
+ * Utility: Public shape of a data export request
+ */
+const formatDataExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt || null,
+  expiresAt: dataExport.expiresAt || null,
+  fileSize: dataExport.fileSize || null,
+});
+
+/**
+ * @desc    Request a copy of all personal data (GDPR). The archive is built
+ *          in the background and a download link is emailed when ready.
+ * @route   POST /api/users/me/export
+ * @access  Private
+ */
+export const requestDataExport = asyncHandler(async (req, res, next) => {
+  await DataExport.purgeExpired();
+
+  const inProgress = await DataExport.findOne({
+    user: req.user.id,
+    status: { $in: ["pending", "processing"] },
+  });
+
+  if (inProgress) {
+    return next(
+      new AppError("A data export is already being prepared", 409, {
+        export: formatDataExport(inProgress),
+      })
+    );
+  }
+
+  const dataExport = await DataExport.create({ user: req.user.id });
+  const downloadBaseUrl = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/users/export/download`;
+
+  // Fire-and-forget: processDataExport records its own failures
+  setImmediate(() => {
+    processDataExport(dataExport._id, downloadBaseUrl);
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Your data export is being prepared. We will email you a download link.",
+    data: formatDataExport(dataExport),
+  });
+
+  logger.info("Data export requested", {
+    userId: req.user.id,
+    exportId: dataExport._id.toString(),
+  });
+});
+
+/**
+ * @desc    Get the status of recent data export requests
+ * @route   GET /api/users/me/export
+ * @access  Private
+ */
+export const getDataExports = asyncHandler(async (req, res) => {
+  const exports = await DataExport.find({ user: req.user.id })
+    .sort({ createdAt: -1 })
+    .limit(5);
+
+  res.status(200).json({
+    success: true,
+    data: exports.map(formatDataExport),
+  });
+});
+
+/**
+ * @desc    Download a data export archive using the emailed token
+ * @route   GET /api/users/export/download/:token
+ * @access  Public (token-protected)
+ */
+export const downloadDataExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await DataExport.findOne({
+    downloadToken: hashToken(req.params.token),
+  }).select("+filePath");
+
+  if (!dataExport || !dataExport.isDownloadable() || !dataExport.filePath) {
+    logger.warn("Invalid or expired data export link", { ip: req.ip });
+    return next(
+      new AppError(
+        "This download link is invalid or has expired. Please request a new export.",
+        410
+      )
+    );
+  }
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+  );
+
+  const fileName = `gameshop-data-${dataExport.completedAt
+    .toISOString()
+    .slice(0, 10)}.zip`;
+
+  res.set("Cache-Control", "no-store");
+  res.download(dataExport.filePath, fileName, (err) => {
+    if (err) {
+      logger.error("Data export download failed", {
+        exportId: dataExport._id.toString(),
+        message: err.message,
+      });
+      if (!res.headersSent) {
+        next(new AppError("Export file is no longer available", 410));
+      }
+      return;
+    }
+
+    logger.info("Data export downloaded", {
+      exportId: dataExport._id.toString(),
+      userId: dataExport.user.toString(),
+    });
+  });
+});
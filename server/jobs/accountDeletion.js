@@ -0,0 +1,163 @@
+// server/jobs/accountDeletion.js
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import User from "../models/User.js";
+import Order from "../models/Order.js";
+import Cart from "../models/Cart.js";
+import Session from "../models/Session.js";
+import DataExport from "../models/DataExport.js";
+import LoginEvent from "../models/LoginEvent.js";
+import { logger } from "../middleware/logger.js";
+
+const JOB_INTERVAL_MS =
+  Number(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MS) || 60 * 60 * 1000; // hourly
+const BATCH_SIZE = 100;
+
+const DELETED_NAME = "Deleted user";
+const REDACTED = "[deleted]";
+
+/**
+ * Irreversibly anonymize one account.
+ *
+ * - User: personal fields replaced, email freed for re-registration
+ * - Orders: shipping name/street/city/postcode scrubbed; amounts, items,
+ *   payment status and country/state kept for accounting
+ * - Reviews: stay attached to the anonymized record, so they show as
+ *   "Deleted user" without linking to any personal data
+ * - Cart, sessions, login history and data exports are deleted
+ *
+ * Safe to run more than once for the same user.
+ */
+export const anonymizeUser = async (userId) => {
+  const user = await User.findOne({ _id: userId, active: false }).select(
+    "+active"
+  );
+  if (!user || user.anonymizedAt) return false;
+
+  await Order.updateMany(
+    { user: user._id },
+    {
+      $set: {
+        "shippingAddress.fullName": DELETED_NAME,
+        "shippingAddress.address": REDACTED,
+        "shippingAddress.city": REDACTED,
+        "shippingAddress.postalCode": REDACTED,
+      },
+      $unset: { "paymentResult.email_address": "" },
+    }
+  );
+
+  await Cart.deleteOne({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await LoginEvent.deleteMany({ user: user._id });
+
+  const exports = await DataExport.find({ user: user._id }).select("+filePath");
+  for (const exp of exports) {
+    if (exp.filePath) await fs.unlink(exp.filePath).catch(() => {});
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  // Direct update: bypasses validators and the password hashing hook,
+  // and leaves an unusable random password behind
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_NAME,
+        email: `deleted-${user._id}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString("hex"),
+        avatar: "default.jpg",
+        role: "user",
+        roles: [],
+        addresses: [],
+        paymentMethods: [],
+        wishlist: [],
+        identities: [],
+        isEmailVerified: false,
+        twoFactorEnabled: false,
+        active: false,
+        deletionScheduledFor: null,
+        anonymizedAt: new Date(),
+      },
+      $unset: {
+        phone: "",
+        address: "",
+        twoFactorSecret: "",
+        passwordHistory: "",
+        twoFactorRecoveryCodes: "",
+        twoFactorRecoveryCodesGeneratedAt: "",
+        emailVerificationToken: "",
+        emailVerificationExpires: "",
+        passwordResetToken: "",
+        passwordResetExpires: "",
+        accountUnlockToken: "",
+        accountUnlockExpires: "",
+        magicLinkToken: "",
+        magicLinkExpires: "",
+        pendingEmail: "",
+        emailChangeToken: "",
+        emailChangeExpires: "",
+        emailChangeRevertToken: "",
+        emailChangeRevertExpires: "",
+        previousEmail: "",
+        lastFailedLoginAt: "",
+        lockUntil: "",
+      },
+    }
+  );
+
+  return true;
+};
+
+/**
+ * Anonymize every account whose deletion grace period has passed
+ */
+export const runAccountDeletionJob = async () => {
+  const due = await User.find({
+    active: false,
+    deletionScheduledFor: { $ne: null, $lte: new Date() },
+    anonymizedAt: null,
+  })
+    .select("_id")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let anonymized = 0;
+  for (const { _id } of due) {
+    try {
+      if (await anonymizeUser(_id)) anonymized++;
+    } catch (err) {
+      logger.error("Account anonymization failed", {
+        userId: _id.toString(),
+        message: err.message,
+      });
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info("Account deletion job finished", {
+      due: due.length,
+      anonymized,
+    });
+  }
+
+  return anonymized;
+};
+
+/**
+ * Run the job now and then on an interval (does not keep the process alive)
+ */
+export const startAccountDeletionJob = () => {
+  const run = () =>
+    runAccountDeletionJob().catch((err) =>
+      logger.error("Account deletion job crashed", { message: err.message })
+    );
+
+  run();
+  const timer = setInterval(run, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startAccountDeletionJob;
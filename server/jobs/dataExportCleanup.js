@@ -0,0 +1,37 @@
+// server/jobs/dataExportCleanup.js
+
+import DataExport from "../models/DataExport.js";
+import { logger } from "../middleware/logger.js";
+
+const JOB_INTERVAL_MS =
+  Number(process.env.DATA_EXPORT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000; // hourly
+
+/**
+ * Delete expired export archives (they hold a full copy of a user's
+ * personal data) and fail exports that were interrupted
+ */
+export const runDataExportCleanup = async () => {
+  const purged = await DataExport.purgeExpired();
+
+  if (purged > 0) {
+    logger.info("Data export cleanup finished", { purged });
+  }
+  return purged;
+};
+
+/**
+ * Run the job now and then on an interval (does not keep the process alive)
+ */
+export const startDataExportCleanup = () => {
+  const run = () =>
+    runDataExportCleanup().catch((err) =>
+      logger.error("Data export cleanup crashed", { message: err.message })
+    );
+
+  run();
+  const timer = setInterval(run, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startDataExportCleanup;
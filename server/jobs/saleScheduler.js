@@ -0,0 +1,146 @@
+// server/jobs/saleScheduler.js
+
+import Product from "../models/Product.js";
+import Sale from "../models/Sale.js";
+import { logger } from "../middleware/logger.js";
+
+const JOB_INTERVAL_MS = Number(process.env.SALE_JOB_INTERVAL_MS) || 60 * 1000; // every minute
+
+let running = null;
+
+const targets = (sale, product) =>
+  sale.products.some((id) => String(id) === String(product._id)) ||
+  sale.categories.includes(product.category);
+
+// Biggest discount wins; on a tie, the sale ending first (its countdown is the one shown)
+const bestSaleFor = (product, liveSales) =>
+  liveSales
+    .filter((sale) => targets(sale, product))
+    .reduce(
+      (best, sale) =>
+        !best ||
+        sale.discountPercentage > best.discountPercentage ||
+        (sale.discountPercentage === best.discountPercentage && sale.endsAt < best.endsAt)
+          ? sale
+          : best,
+      null
+    );
+
+const isCurrent = (activeSale, sale) =>
+  String(activeSale?.sale || "") === String(sale?._id || "") &&
+  (!sale ||
+    (activeSale.discountPercentage === sale.discountPercentage &&
+      activeSale.name === sale.name &&
+      activeSale.endsAt?.getTime() === sale.endsAt.getTime()));
+
+/**
+ * Bring every product in line with the sales live right now: apply new and
+ * changed sales, revert ended or cancelled ones. `finalPrice` (and variant
+ * prices) are recomputed by the Product save hook.
+ */
+const reconcileSales = async (now) => {
+  const liveSales = await Sale.findLive(now);
+
+  // Products currently on sale, plus everything a live sale targets
+  const filter = {
+    $or: [
+      { "activeSale.sale": { $ne: null } },
+      ...liveSales.flatMap((sale) => sale.targetFilter().$or),
+    ],
+  };
+
+  let applied = 0;
+  let reverted = 0;
+
+  for await (const product of Product.find(filter).cursor()) {
+    const best = bestSaleFor(product, liveSales);
+    if (isCurrent(product.activeSale, best)) continue;
+
+    product.activeSale = best
+      ? {
+          sale: best._id,
+          name: best.name,
+          discountPercentage: best.discountPercentage,
+          endsAt: best.endsAt,
+        }
+      : null;
+
+    try {
+      // Validates the sale being set, not unrelated fields of the product
+      await product.save({ validateModifiedOnly: true });
+      if (best) applied++;
+      else reverted++;
+    } catch (err) {
+      logger.error("Sale price update failed", {
+        productId: product._id.toString(),
+        saleId: best?._id?.toString(),
+        message: err.message,
+      });
+    }
+  }
+
+  return { live: liveSales.length, applied, reverted };
+};
+
+/**
+ * Record scheduled → live → ended (and cancelled) transitions
+ */
+const updateStatuses = async (now) => {
+  const [started, ended, cancelled] = await Promise.all([
+    Sale.updateMany(
+      { isActive: true, status: "scheduled", startsAt: { $lte: now }, endsAt: { $gt: now } },
+      { $set: { status: "live" } }
+    ),
+    Sale.updateMany(
+      { isActive: true, status: { $in: ["scheduled", "live"] }, endsAt: { $lte: now } },
+      { $set: { status: "ended" } }
+    ),
+    Sale.updateMany(
+      { isActive: false, status: { $ne: "cancelled" } },
+      { $set: { status: "cancelled" } }
+    ),
+  ]);
+
+  return {
+    started: started.modifiedCount,
+    ended: ended.modifiedCount,
+    cancelled: cancelled.modifiedCount,
+  };
+};
+
+/**
+ * Apply and revert scheduled sales. Concurrent calls share one run.
+ */
+export const runSaleJob = () => {
+  running ||= (async () => {
+    const now = new Date();
+    const prices = await reconcileSales(now);
+    const statuses = await updateStatuses(now);
+
+    if (prices.applied || prices.reverted || statuses.started || statuses.ended || statuses.cancelled) {
+      logger.info("Sale scheduler finished", { ...prices, ...statuses });
+    }
+    return { ...prices, ...statuses };
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+};
+
+/**
+ * Run the job now and then on an interval (does not keep the process alive)
+ */
+export const startSaleScheduler = () => {
+  const run = () =>
+    runSaleJob().catch((err) =>
+      logger.error("Sale scheduler crashed", { message: err.message })
+    );
+
+  run();
+  const timer = setInterval(run, JOB_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default startSaleScheduler;
@@ -3,8 +3,141 @@
 import asyncHandler from "express-async-handler";
 import AppError from "../utils/appError.js";
 import { logger } from "./logger.js";
-import { verify2FAToken, verifyJWT } from "../utils/generateToken.js";
+import {
+  verifySecondFactor,
+  verifyJWT,
+  hashToken,
+} from "../utils/generateToken.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+
+// Session / API key "last seen" is refreshed at most once per interval to avoid a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// API keys are for service integrations and only work against the admin API
+const API_KEY_ROUTE_PREFIXES = ["/api/v1/admin"];
+
+/**
+ * Authenticate a request carrying an `X-API-Key` header.
+ * The key acts on behalf of the admin who created it, limited to its scopes.
+ */
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  if (!API_KEY_ROUTE_PREFIXES.some((prefix) => req.originalUrl.startsWith(prefix))) {
+    return next(new AppError("API keys are not accepted on this route", 403));
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+
+  if (!apiKey || !apiKey.isActive()) {
+    logger.warn("API key rejected", {
+      keyId: apiKey?.id,
+      status: apiKey?.status || "unknown",
+      route: req.originalUrl,
+      ip: req.ip,
+    });
+    return next(new AppError("Invalid or expired API key", 401));
+  }
+
+  // The issuing admin must still be an active staff member
+  const owner = await User.findById(apiKey.createdBy).select("+active");
+
+  if (!owner || owner.active === false || !owner.isStaff()) {
+    logger.warn("API key rejected: owner no longer has access", {
+      keyId: apiKey.id,
+      ownerId: apiKey.createdBy?.toString(),
+    });
+    return next(
+      new AppError("The owner of this API key no longer has access", 401)
+    );
+  }
+
+  // A key never grants more than its owner currently holds
+  const ownerPermissions = await owner.getPermissions();
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS
+  ) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    ).catch((err) => {
+      logger.warn("Failed to update API key last-used", {
+        keyId: apiKey.id,
+        message: err.message,
+      });
+    });
+  }
+
+  req.user = owner;
+  req.apiKey = apiKey;
+  req.permissions = apiKey.scopes.filter((scope) =>
+    hasPermission(ownerPermissions, scope)
+  );
+  res.locals.user = owner;
+
+  logger.info("API key authenticated", {
+    keyId: apiKey.id,
+    name: apiKey.name,
+    route: req.originalUrl,
+  });
+
+  next();
+};
+
+/**
+ * Resolve the staff member behind an impersonation session. They must still
+ * be active staff allowed to impersonate; otherwise the session is ended.
+ */
+const resolveImpersonator = async (decoded, session) => {
+  if (
+    decoded.type !== "impersonation" ||
+    !session.impersonatedBy ||
+    decoded.imp !== String(session.impersonatedBy)
+  ) {
+    return null;
+  }
+
+  const impersonator = await User.findById(session.impersonatedBy).select(
+    "+active"
+  );
+
+  if (
+    !impersonator ||
+    impersonator.active === false ||
+    !hasPermission(
+      await impersonator.getPermissions(),
+      PERMISSIONS.USERS_IMPERSONATE
+    )
+  ) {
+    await session.revoke("admin");
+    return null;
+  }
+
+  return impersonator;
+};
+
+/**
+ * Every request made while impersonating lands in the audit log
+ */
+const auditImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    recordAudit(req, {
+      action: "user.impersonation_request",
+      targetModel: "User",
+      targetId: req.user._id,
+      metadata: {
+        method: req.method,
+        route: req.originalUrl,
+        statusCode: res.statusCode,
+        sessionId: req.authSession._id.toString(),
+      },
+    });
+  });
+};
 
 /* =======================================================================================
    PROTECT – Authenticates user using JWT (from Authorization header or cookies)
@@ -12,6 +145,12 @@ import User from "../models/User.js";
 export const protect = asyncHandler(async (req, res, next) => {
   let token;
 
+  // 0) Service integrations authenticate with an API key instead of a JWT
+  const apiKeyHeader = req.get("x-api-key");
+  if (apiKeyHeader && !req.headers.authorization) {
+    return authenticateApiKey(apiKeyHeader, req, res, next);
+  }
+
   // 1) Extract JWT safely (query parameters NOT allowed anymore)
   if (
     req.headers.authorization &&
@@ -44,7 +183,49 @@ export const protect = asyncHandler(async (req, res, next) => {
     return next(new AppError("Invalid or expired token. Please log in again.", 401));
   }
 
-  // 3) Check if the user still exists
+  // 3) Only access tokens bound to a live session are accepted
+  if (decoded.type === "refresh" || !decoded.sid) {
+    logger.warn("Token rejected: not a session access token", {
+      route: req.originalUrl,
+      ip: req.ip,
+    });
+    return next(new AppError("Invalid token. Please log in again.", 401));
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (
+    !session ||
+    !session.isActive() ||
+    String(session.user) !== String(decoded.userId)
+  ) {
+    logger.warn("Token rejected: session revoked or expired", {
+      sessionId: decoded.sid,
+      userId: decoded.userId,
+    });
+    return next(
+      new AppError("Your session has ended. Please log in again.", 401)
+    );
+  }
+
+  // 3b) Impersonation tokens and sessions only work together
+  let impersonator = null;
+  if (decoded.type === "impersonation" || session.impersonatedBy) {
+    impersonator = await resolveImpersonator(decoded, session);
+
+    if (!impersonator) {
+      logger.warn("Token rejected: invalid impersonation", {
+        sessionId: decoded.sid,
+        userId: decoded.userId,
+        impersonatorId: decoded.imp,
+      });
+      return next(
+        new AppError("Your session has ended. Please log in again.", 401)
+      );
+    }
+  }
+
+  // 4) Check if the user still exists
   const currentUser = await User.findById(decoded.userId).select(
     "+passwordChangedAt +active +twoFactorEnabled +twoFactorSecret"
   );
@@ -59,7 +240,7 @@ export const protect = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // 4) Block inactive accounts
+  // 5) Block inactive accounts
   if (currentUser.active === false) {
     logger.warn("Inactive user attempted access", { email: currentUser.email });
     return next(
@@ -70,7 +251,7 @@ export const protect = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // 5) If user changed password after token issued → block token
+  // 6) If user changed password after token issued → block token
   if (currentUser.changedPasswordAfter(decoded.iat)) {
     logger.warn("Token rejected: password changed after issue", {
       email: currentUser.email,
@@ -83,18 +264,59 @@ export const protect = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // 6) Attach user to request for use in next middlewares/controllers
+  // 7) Track session activity (throttled, best-effort)
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: new Date(), ip: req.ip } }
+    ).catch((err) => {
+      logger.warn("Failed to update session last-seen", {
+        sessionId: session._id.toString(),
+        message: err.message,
+      });
+    });
+  }
+
+  // 8) Attach user + session to request for use in next middlewares/controllers
   req.user = currentUser;
+  req.authSession = session;
   res.locals.user = currentUser;
 
+  // While impersonating, req.user is the customer and req.impersonator the staff member
+  if (impersonator) {
+    req.impersonator = impersonator;
+    res.locals.impersonator = impersonator;
+    auditImpersonatedRequest(req, res);
+  }
+
   logger.info("User authenticated", {
     email: currentUser.email,
     route: req.originalUrl,
+    impersonatorId: impersonator?.id,
   });
 
   next();
 });
 
+/* =======================================================================================
+   DENY-IMPERSONATION – Payment, password & account security are owner-only
+   ======================================================================================= */
+export const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    logger.warn("Blocked action while impersonating", {
+      impersonatorId: req.impersonator.id,
+      userId: req.user.id,
+      route: req.originalUrl,
+      method: req.method,
+    });
+    return next(
+      new AppError("This action is not available while impersonating a user", 403)
+    );
+  }
+
+  next();
+};
+
 /* =======================================================================================
    RESTRICT-TO – Authorize based on role
    ======================================================================================= */
@@ -122,6 +344,62 @@ export const restrictTo = (...allowedRoles) => {
   };
 };
 
+/* =======================================================================================
+   STAFF ONLY – Admins or users holding at least one role (gate for the admin API)
+   ======================================================================================= */
+export const requireStaff = asyncHandler(async (req, res, next) => {
+  if (!req.user) return next(new AppError("Not authenticated", 401));
+
+  // API keys were checked in `protect`; their scopes are already in req.permissions
+  if (req.apiKey) return next();
+
+  if (!req.user.isStaff()) {
+    logger.warn("Non-staff user attempted admin access", {
+      email: req.user.email,
+      route: req.originalUrl,
+    });
+    return next(
+      new AppError("You do not have permission to perform this action", 403)
+    );
+  }
+
+  req.permissions = await req.user.getPermissions();
+  next();
+});
+
+/* =======================================================================================
+   REQUIRE-PERMISSION – Authorize based on role permissions, e.g. "orders:refund"
+   ======================================================================================= */
+export const requirePermission = (...requiredPermissions) =>
+  asyncHandler(async (req, res, next) => {
+    if (!req.user) return next(new AppError("Not authenticated", 401));
+
+    // Resolved once per request
+    if (!req.permissions) {
+      req.permissions = await req.user.getPermissions();
+    }
+
+    const missing = requiredPermissions.filter(
+      (permission) => !hasPermission(req.permissions, permission)
+    );
+
+    if (missing.length > 0) {
+      logger.warn("Permission denied", {
+        email: req.user.email,
+        route: req.originalUrl,
+        method: req.method,
+        missing,
+      });
+      return next(
+        new AppError("You do not have permission to perform this action", 403, {
+          missing,
+        })
+      );
+    }
+
+    next();
+  });
+
 /* =======================================================================================
    VERIFIED EMAIL – Allow only verified users
    ======================================================================================= */
@@ -161,16 +439,16 @@ export const twoFactorAuth = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Verify token
-  const verified = verify2FAToken(req.user.twoFactorSecret, twoFactorToken);
+  // Verify token (TOTP code, or a one-time recovery code)
+  const method = await verifySecondFactor(req.user, twoFactorToken);
 
-  if (!verified) {
+  if (!method) {
     logger.warn("Invalid 2FA token", { email: req.user.email });
     return next(
       new AppError("Invalid two-factor authentication token.", 401)
     );
   }
 
-  logger.info("2FA verified", { email: req.user.email });
+  logger.info("2FA verified", { email: req.user.email, method });
   next();
 });
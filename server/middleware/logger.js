@@ -93,6 +93,21 @@ try {
   // ignore
 }
 
+/**
+ * Utility: mask an IP address according to LOG_MASK_IP.
+ */
+export const maskIp = (ipVal) => {
+  if (typeof ipVal !== "string") return ipVal;
+
+  if (CONFIG.MASK_IP === "hash") {
+    return crypto.createHash("sha256").update(ipVal).digest("hex");
+  }
+  if (CONFIG.MASK_IP === "last-octet") {
+    return ipVal.replace(/(\d+)$/, "***");
+  }
+  return ipVal;
+};
+
 /**
  * Utility: mask / sanitize sensitive data before logging.
  */
@@ -193,16 +208,7 @@ export const maskSensitiveData = (input, seen = new WeakSet()) => {
       ) {
         const ipVal = input[key];
         if (typeof ipVal === "string") {
-          if (CONFIG.MASK_IP === "hash") {
-            out[key] = crypto
-              .createHash("sha256")
-              .update(ipVal)
-              .digest("hex");
-          } else if (CONFIG.MASK_IP === "last-octet") {
-            out[key] = ipVal.replace(/(\d+)$/, "***");
-          } else {
-            out[key] = ipVal;
-          }
+          out[key] = maskIp(ipVal);
           continue;
         }
       }
@@ -491,6 +497,59 @@ export const securityLogger = {
     }));
   },
 
+  twoFactorReset: (adminId, userId, ip, reason) => {
+    logger.warn("Two-factor authentication reset by admin", maskSensitiveData({
+      event: "two_factor_reset",
+      adminId,
+      userId,
+      ip,
+      reason,
+      timestamp: new Date().toISOString(),
+    }));
+  },
+
+  impersonationStarted: (adminId, userId, ip, reason) => {
+    logger.warn("Admin started impersonating a user", maskSensitiveData({
+      event: "impersonation_started",
+      adminId,
+      userId,
+      ip,
+      reason,
+      timestamp: new Date().toISOString(),
+    }));
+  },
+
+  suspiciousLogin: (userId, ip, reasons, country) => {
+    logger.warn("Login from unrecognised device", maskSensitiveData({
+      event: "suspicious_login",
+      userId,
+      ip,
+      reasons,
+      country,
+      timestamp: new Date().toISOString(),
+    }));
+  },
+
+  loginReported: (userId, ip, revokedSessions) => {
+    logger.warn("Login reported as not the account owner", maskSensitiveData({
+      event: "login_reported",
+      userId,
+      ip,
+      revokedSessions,
+      timestamp: new Date().toISOString(),
+    }));
+  },
+
+  emailChangeReverted: (userId, ip, revokedSessions) => {
+    logger.warn("Email change reverted from the previous address", maskSensitiveData({
+      event: "email_change_reverted",
+      userId,
+      ip,
+      revokedSessions,
+      timestamp: new Date().toISOString(),
+    }));
+  },
+
   unauthorizedAccess: (route, method, ip, userId) => {
     logger.warn("Unauthorized access attempt", maskSensitiveData({
       event: "unauthorized_access",
@@ -20,4 +20,17 @@ const upload = multer({
   },
 });
 
+// Catalog import files (CSV or JSON), kept in memory for parsing
+export const catalogUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV or JSON files allowed"), false);
+    }
+  },
+});
+
 export default upload;
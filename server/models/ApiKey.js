@@ -0,0 +1,113 @@
+// File: server/models/ApiKey.js
+import mongoose from "mongoose";
+import { isDelegablePermission } from "../config/permissions.js";
+
+/**
+ * API Key Schema
+ *
+ * Admin-issued credentials for service-to-service integrations (warehouse,
+ * accounting, ...). Only the SHA-256 hash of the key is stored; the raw key
+ * is shown once on creation. Scopes use the same strings as role permissions.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+    // First characters of the key, safe to display ("gsk_AbCdEfGh")
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      validate: [
+        {
+          validator: (scopes) => scopes.length > 0,
+          message: "An API key needs at least one scope",
+        },
+        {
+          validator: (scopes) => scopes.every(isDelegablePermission),
+          message: (props) =>
+            `Invalid scope(s): ${props.value
+              .filter((s) => !isDelegablePermission(s))
+              .join(", ")}`,
+        },
+      ],
+    },
+    // Requests per rate-limit window; null → default from config/rateLimit.js
+    rateLimit: {
+      type: Number,
+      min: [1, "Rate limit must be at least 1"],
+      max: [100000, "Rate limit cannot exceed 100000"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "API key expiry is required"],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ createdBy: 1 });
+
+/* ---------------- Instance Methods ---------------- */
+
+/**
+ * Key is usable only if it has not been revoked and has not expired
+ */
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/* ---------------- Virtuals ---------------- */
+
+apiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+apiKeySchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
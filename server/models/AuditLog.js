@@ -0,0 +1,82 @@
+// File: server/models/AuditLog.js
+import mongoose from "mongoose";
+
+/**
+ * Audit Log Schema
+ *
+ * Append-only record of privileged (admin / API key) mutations and of every
+ * request made while impersonating a user. Written via utils/audit.js –
+ * never updated or deleted through the API.
+ */
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Audit entry must have an actor"],
+    },
+    // Denormalized so entries stay readable after the actor is deleted
+    actorEmail: {
+      type: String,
+      trim: true,
+    },
+    // Set when the actor was impersonating this user at the time
+    impersonatedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the request was authenticated with an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null,
+    },
+    // "<model>.<verb>", e.g. "product.update", "order.refund"
+    action: {
+      type: String,
+      required: [true, "Audit action is required"],
+      trim: true,
+    },
+    targetModel: {
+      type: String,
+      required: [true, "Audit target model is required"],
+      enum: ["User", "Product", "Bundle", "Sale", "Order", "Coupon", "Review", "Role", "ApiKey", "SpecTemplate"],
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Audit target ID is required"],
+    },
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+    // Free-form context (reason, refund amount, ...)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: String,
+    userAgent: String,
+    requestId: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
@@ -0,0 +1,220 @@
+// File: server/models/Bundle.js
+import mongoose from "mongoose";
+import validator from "validator";
+
+const BUNDLE_CONSTANTS = {
+  MIN_COMPONENTS: 2,
+  MAX_COMPONENTS: 10,
+  MAX_COMPONENT_QUANTITY: 10,
+};
+
+// Product fields needed to price and stock-check a component
+export const BUNDLE_COMPONENT_FIELDS =
+  "name sku finalPrice image images stock variants variantOptions activeSale isActive";
+
+const roundPrice = (value) => Number(Number(value).toFixed(2));
+
+/**
+ * Schema for one bundle component: a product (or one of its variants) and
+ * how many of it the bundle contains
+ */
+const bundleComponentSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: [true, "Bundle component must reference a product"],
+    },
+    // Required when the product is sold through variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, "Component quantity must be at least 1"],
+      max: [
+        BUNDLE_CONSTANTS.MAX_COMPONENT_QUANTITY,
+        `Component quantity cannot exceed ${BUNDLE_CONSTANTS.MAX_COMPONENT_QUANTITY}`,
+      ],
+      validate: {
+        validator: Number.isInteger,
+        message: "Component quantity must be an integer",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Bundle pricing rule: a fixed bundle price, or a percentage off the sum
+ * of the component prices
+ */
+const bundlePricingSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: ["fixed", "percent"],
+        message: "Pricing type must be fixed or percent",
+      },
+      required: [true, "Pricing type is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Pricing amount is required"],
+      min: [0, "Pricing amount cannot be negative"],
+      validate: {
+        validator: function (v) {
+          return this.type === "percent" ? v > 0 && v < 100 : v > 0;
+        },
+        message: "Percent off must be between 0 and 100; fixed price must be positive",
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Bundle schema: a kit of products sold together at a bundle price.
+ * Price and stock are always derived from the current components.
+ */
+const bundleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Bundle name is required"],
+      trim: true,
+      maxlength: [100, "Bundle name cannot exceed 100 characters"],
+    },
+    sku: {
+      type: String,
+      unique: true,
+      required: [true, "SKU is required"],
+      match: [/^[A-Z0-9-]+$/, "SKU must contain only uppercase letters, numbers and hyphens"],
+      maxlength: [50, "SKU too long"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Description cannot exceed 2000 characters"],
+    },
+    // Falls back to the first component's image when empty
+    images: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (images) =>
+          images.every(
+            (v) => validator.isURL(v) && /\.(jpg|jpeg|png|webp|avif)$/i.test(v)
+          ),
+        message: "Bundle images must be valid image URLs",
+      },
+    },
+    components: {
+      type: [bundleComponentSchema],
+      validate: {
+        validator: function (components) {
+          const keys = components.map((c) => `${c.product}:${c.variant || ""}`);
+          return (
+            components.length >= BUNDLE_CONSTANTS.MIN_COMPONENTS &&
+            components.length <= BUNDLE_CONSTANTS.MAX_COMPONENTS &&
+            new Set(keys).size === keys.length
+          );
+        },
+        message: `A bundle needs ${BUNDLE_CONSTANTS.MIN_COMPONENTS}-${BUNDLE_CONSTANTS.MAX_COMPONENTS} distinct components`,
+      },
+    },
+    pricing: {
+      type: bundlePricingSchema,
+      required: [true, "Bundle pricing is required"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+bundleSchema.index({ isActive: 1, createdAt: -1 });
+bundleSchema.index({ "components.product": 1 });
+
+/**
+ * Price, stock and component details of a bundle whose `components.product`
+ * is populated (with BUNDLE_COMPONENT_FIELDS).
+ *
+ * A component that is inactive, deleted or an unavailable variant makes the
+ * whole bundle unavailable (stock 0) and is listed in `problems`.
+ */
+bundleSchema.methods.summarize = function () {
+  const components = [];
+  const problems = [];
+  let componentsTotal = 0;
+  let stock = Infinity;
+
+  for (const component of this.components) {
+    const product = component.product;
+
+    if (!product || !product._id || product.isActive === false) {
+      problems.push({
+        productId: String(product?._id || product || ""),
+        message: "Product is no longer available",
+      });
+      continue;
+    }
+
+    const details = product.purchaseDetails(component.variant);
+    if (details.error) {
+      problems.push({ productId: String(product._id), message: details.error });
+      continue;
+    }
+
+    componentsTotal += details.unitPrice * component.quantity;
+    stock = Math.min(stock, Math.floor((details.stock || 0) / component.quantity));
+
+    components.push({
+      product: product._id,
+      variant: details.variant?._id || null,
+      sku: details.sku,
+      name: details.name,
+      variantLabel: details.variantLabel,
+      image: details.image,
+      quantity: component.quantity,
+      unitPrice: details.unitPrice,
+    });
+  }
+
+  const price =
+    this.pricing.type === "fixed"
+      ? this.pricing.amount
+      : componentsTotal * (1 - this.pricing.amount / 100);
+
+  if (problems.length > 0 || stock === Infinity) stock = 0;
+
+  return {
+    components,
+    componentsTotal: roundPrice(componentsTotal),
+    price: roundPrice(price),
+    savings: roundPrice(Math.max(0, componentsTotal - price)),
+    stock,
+    availability: stock > 0 ? "In Stock" : "Out of Stock",
+    image: this.images?.[0] || components[0]?.image,
+    problems,
+  };
+};
+
+/**
+ * Static: populate options for component products
+ */
+bundleSchema.statics.componentPopulate = function () {
+  return { path: "components.product", select: BUNDLE_COMPONENT_FIELDS };
+};
+
+const Bundle = mongoose.model("Bundle", bundleSchema);
+export default Bundle;
@@ -23,6 +23,11 @@ const cartItemSchema = new mongoose.Schema(
         message: "Invalid product ID",
       },
     },
+    // Selected variant (`Product.variants._id`); null for products without variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     quantity: {
       type: Number,
       required: [true, "Item quantity is required"],
@@ -43,6 +48,38 @@ const cartItemSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * Schema for bundles in the cart (priced and stock-checked from their components)
+ */
+const cartBundleSchema = new mongoose.Schema(
+  {
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+      required: [true, "Cart bundle must reference a bundle"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Bundle quantity is required"],
+      min: [1, "Quantity must be at least 1"],
+      max: [CART_CONSTANTS.MAX_QUANTITY, `Quantity cannot exceed ${CART_CONSTANTS.MAX_QUANTITY}`],
+      validate: {
+        validator: Number.isInteger,
+        message: "Quantity must be an integer",
+      },
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// One line per product + variant
+const itemKey = (item) => `${String(item.product?._id || item.product)}:${item.variant || ""}`;
+
 /**
  * Schema for the shopping cart
  */
@@ -65,14 +102,24 @@ const cartSchema = new mongoose.Schema(
       default: [],
       validate: {
         validator: function (items) {
-          // Ensure no duplicate products in cart
-          const productIds = items.map((item) => String(item.product));
-          const uniqueIds = new Set(productIds);
-          return productIds.length === uniqueIds.size;
+          // Ensure no duplicate products (or variants) in cart
+          const keys = items.map(itemKey);
+          return keys.length === new Set(keys).size;
         },
         message: "Cart cannot contain duplicate products",
       },
     },
+    bundles: {
+      type: [cartBundleSchema],
+      default: [],
+      validate: {
+        validator: function (bundles) {
+          const ids = bundles.map((b) => String(b.bundle?._id || b.bundle));
+          return ids.length === new Set(ids).size;
+        },
+        message: "Cart cannot contain duplicate bundles",
+      },
+    },
     // Only a reference to the coupon; all business validation is done at checkout.
     coupon: {
       type: mongoose.Schema.Types.ObjectId,
@@ -118,9 +165,8 @@ cartSchema.pre("save", function (next) {
       });
 
       // Re-check duplicates
-      const productIds = this.items.map((item) => String(item.product));
-      const uniqueIds = new Set(productIds);
-      if (productIds.length !== uniqueIds.size) {
+      const keys = this.items.map(itemKey);
+      if (keys.length !== new Set(keys).size) {
         // Let Mongoose validator handle the error message
         return next(new Error("Cart cannot contain duplicate products"));
       }
@@ -0,0 +1,105 @@
+// File: server/models/DataExport.js
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import { logger } from "../middleware/logger.js";
+
+/**
+ * Data Export Schema
+ *
+ * One document per GDPR export request. The archive is built in the
+ * background and written to EXPORT_DIR; the user receives an emailed link
+ * carrying a one-off token whose SHA-256 hash is stored here.
+ */
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Export must belong to a user"],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed", "expired"],
+      default: "pending",
+    },
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileSize: Number,
+    downloadToken: {
+      type: String,
+      select: false,
+      index: true,
+    },
+    expiresAt: Date,
+    completedAt: Date,
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    lastDownloadedAt: Date,
+    error: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// An export not finished by then is considered interrupted
+const EXPORT_TIMEOUT_MS = Number(process.env.DATA_EXPORT_TIMEOUT_MS) || 30 * 60 * 1000;
+
+/* ---------------- Instance Methods ---------------- */
+
+/**
+ * Archive can still be downloaded
+ */
+dataExportSchema.methods.isDownloadable = function () {
+  return this.status === "ready" && this.expiresAt > new Date();
+};
+
+/* ---------------- Static Methods ---------------- */
+
+/**
+ * Delete archives whose link has expired and mark them as such. Exports
+ * still pending or processing after EXPORT_TIMEOUT_MS were interrupted (the
+ * server restarted mid-export) and are marked failed so a new one can start.
+ */
+dataExportSchema.statics.purgeExpired = async function () {
+  await this.updateMany(
+    {
+      status: { $in: ["pending", "processing"] },
+      updatedAt: { $lte: new Date(Date.now() - EXPORT_TIMEOUT_MS) },
+    },
+    { $set: { status: "failed", error: "Export was interrupted" } }
+  );
+
+  const expired = await this.find({
+    status: "ready",
+    expiresAt: { $lte: new Date() },
+  }).select("+filePath");
+
+  for (const exp of expired) {
+    if (exp.filePath) {
+      await fs.unlink(exp.filePath).catch((err) => {
+        if (err.code !== "ENOENT") {
+          logger.warn("Failed to delete expired export", {
+            exportId: exp._id.toString(),
+            message: err.message,
+          });
+        }
+      });
+    }
+    exp.status = "expired";
+    exp.filePath = undefined;
+    await exp.save();
+  }
+
+  return expired.length;
+};
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+export default DataExport;
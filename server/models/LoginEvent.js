@@ -0,0 +1,78 @@
+// File: server/models/LoginEvent.js
+import mongoose from "mongoose";
+
+const RETENTION_SECONDS = 365 * 24 * 60 * 60; // 1 year
+
+/**
+ * Login Event Schema
+ *
+ * One document per successful login, keyed by a coarse fingerprint
+ * (user-agent family + IP prefix + country). A login whose fingerprint the
+ * user has never used before is flagged and triggers an alert email.
+ */
+const loginEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Login event must belong to a user"],
+    },
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    browser: String,
+    os: String,
+    ipPrefix: String,
+    country: {
+      type: String,
+      default: null,
+    },
+    ip: String,
+    userAgent: {
+      type: String,
+      maxlength: [500, "User agent too long"],
+    },
+    method: {
+      type: String,
+      default: "password",
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    flagReasons: {
+      type: [String],
+      enum: ["new_device", "new_country"],
+      default: [],
+    },
+    alertSentAt: Date,
+    // "This wasn't me" link
+    reportToken: {
+      type: String,
+      select: false,
+    },
+    reportTokenExpires: {
+      type: Date,
+      select: false,
+    },
+    reportedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginEventSchema.index({ user: 1, fingerprint: 1 });
+loginEventSchema.index({ user: 1, flagged: 1, createdAt: -1 });
+loginEventSchema.index({ reportToken: 1 }, { sparse: true });
+loginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_SECONDS }
+);
+
+const LoginEvent = mongoose.model("LoginEvent", loginEventSchema);
+export default LoginEvent;
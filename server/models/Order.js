@@ -10,15 +10,47 @@ const ORDER_CONSTANTS = {
   MAX_NOTES_LENGTH: 1000,
 };
 
+/**
+ * Snapshot of one component of a bundle order item (quantity per bundle)
+ */
+const orderBundleComponentSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: String,
+    name: String,
+    variantLabel: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Schema for order items with price snapshot
  */
 const orderItemSchema = new mongoose.Schema(
   {
+    // Either a product or a bundle
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Product",
-      required: [true, "Order item must reference a product"],
+      required: [
+        function () {
+          return !this.bundle;
+        },
+        "Order item must reference a product",
+      ],
       validate: {
         validator: function (v) {
           return mongoose.Types.ObjectId.isValid(v);
@@ -53,6 +85,42 @@ const orderItemSchema = new mongoose.Schema(
         message: "Quantity must be an integer",
       },
     },
+    // Variant bought (null for products without variants), with a snapshot
+    // of its SKU and options
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    variantLabel: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Variant label cannot exceed 200 characters"],
+    },
+    // Sale that set the price, if any
+    sale: {
+      type: new mongoose.Schema(
+        {
+          sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale" },
+          name: String,
+          discountPercentage: Number,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+      default: null,
+    },
+    components: {
+      type: [orderBundleComponentSchema],
+      default: undefined,
+    },
     // Store the price at time of order for audit purposes
     priceSnapshot: {
       type: Number,
@@ -0,0 +1,173 @@
+// File: server/models/PriceHistory.js
+import mongoose from "mongoose";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One price point of a product (variant: null) or of one of its variants.
+ * A point is written whenever the price changes and stays in effect until
+ * the next point for the same product/variant.
+ */
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    originalPrice: {
+      type: Number,
+      required: true,
+    },
+    // Discount actually applied (own discount or a bigger live sale)
+    discountPercentage: {
+      type: Number,
+      default: 0,
+    },
+    finalPrice: {
+      type: Number,
+      required: true,
+    },
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+      default: null,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false }
+);
+
+priceHistorySchema.index({ product: 1, variant: 1, recordedAt: -1 });
+
+const samePrice = (a, b) =>
+  a.originalPrice === b.originalPrice &&
+  a.discountPercentage === b.discountPercentage &&
+  a.finalPrice === b.finalPrice &&
+  String(a.sale || "") === String(b.sale || "");
+
+const variantKey = (variant) => (variant ? String(variant) : "product");
+
+/* ---------------- Static Methods ---------------- */
+
+/**
+ * Record the current prices of a product and its variants, skipping any
+ * that are unchanged since their last point
+ */
+priceHistorySchema.statics.recordPrices = async function (product) {
+  const sale = product.activeSale?.sale || null;
+  const current = [
+    {
+      variant: null,
+      originalPrice: product.originalPrice,
+      discountPercentage: product.effectiveDiscount(),
+      finalPrice: product.finalPrice,
+    },
+    ...(product.variants || []).map((v) => ({
+      variant: v._id,
+      originalPrice: v.originalPrice,
+      discountPercentage: product.effectiveDiscount(v.discountPercentage),
+      finalPrice: v.finalPrice,
+    })),
+  ].map((point) => ({ ...point, product: product._id, sale }));
+
+  const latest = await this.aggregate([
+    { $match: { product: product._id } },
+    { $sort: { recordedAt: -1 } },
+    { $group: { _id: "$variant", point: { $first: "$$ROOT" } } },
+  ]);
+  const latestByVariant = new Map(latest.map((l) => [variantKey(l._id), l.point]));
+
+  const changed = current.filter((point) => {
+    const last = latestByVariant.get(variantKey(point.variant));
+    return !last || !samePrice(last, point);
+  });
+
+  if (changed.length > 0) await this.insertMany(changed);
+  return changed.length;
+};
+
+/**
+ * Lowest final price of a product and each of its variants in the `days`
+ * days before their current price took effect (the prior price shown next to
+ * a reduction), including the price already in effect when that period began.
+ * Prices without an earlier point are left out.
+ * Returns { product: {price, recordedAt} | null, variants: { [id]: {...} } }
+ */
+priceHistorySchema.statics.lowestPrices = async function (
+  productId,
+  { days = 30, now = new Date() } = {}
+) {
+  const product = new mongoose.Types.ObjectId(String(productId));
+
+  // When the current price of each variant took effect
+  const current = await this.aggregate([
+    { $match: { product, recordedAt: { $lte: now } } },
+    { $sort: { recordedAt: -1 } },
+    { $group: { _id: "$variant", recordedAt: { $first: "$recordedAt" } } },
+  ]);
+
+  const lows = await Promise.all(
+    current.map(async ({ _id: variant, recordedAt: until }) => {
+      const since = new Date(until.getTime() - days * DAY_MS);
+      const filter = { product, variant };
+
+      const [inPeriod, carriedIn] = await Promise.all([
+        this.findOne({ ...filter, recordedAt: { $gte: since, $lt: until } })
+          .sort({ finalPrice: 1, recordedAt: -1 })
+          .lean(),
+        this.findOne({ ...filter, recordedAt: { $lt: since } })
+          .sort({ recordedAt: -1 })
+          .lean(),
+      ]);
+
+      const low = [inPeriod, carriedIn].reduce(
+        (best, point) => (point && (!best || point.finalPrice < best.finalPrice) ? point : best),
+        null
+      );
+      return [variantKey(variant), low && { price: low.finalPrice, recordedAt: low.recordedAt }];
+    })
+  );
+
+  const { product: productLow = null, ...variants } = Object.fromEntries(
+    lows.filter(([, low]) => low)
+  );
+  return { product: productLow, variants };
+};
+
+/**
+ * Price points of a product (or one variant) for charting. The first point
+ * is the price in effect at the start of the period, dated to that start.
+ */
+priceHistorySchema.statics.series = async function (
+  productId,
+  { variant = null, days = 90, now = new Date(), limit = 1000 } = {}
+) {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const filter = { product: productId, variant };
+  const fields = "-_id originalPrice discountPercentage finalPrice sale recordedAt";
+
+  const [carriedIn, points] = await Promise.all([
+    this.findOne({ ...filter, recordedAt: { $lt: since } })
+      .sort({ recordedAt: -1 })
+      .select(fields)
+      .lean(),
+    this.find({ ...filter, recordedAt: { $gte: since, $lte: now } })
+      .sort({ recordedAt: 1 })
+      .limit(limit)
+      .select(fields)
+      .lean(),
+  ]);
+
+  return carriedIn ? [{ ...carriedIn, recordedAt: since }, ...points] : points;
+};
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+export default PriceHistory;
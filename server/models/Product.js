@@ -1,6 +1,11 @@
 // File: server/models/Product.js
 import mongoose from "mongoose";
 import validator from 'validator';
+import PriceHistory from "./PriceHistory.js";
+import { logger } from "../middleware/logger.js";
+
+// Changes to these are recorded in PriceHistory
+const PRICE_PATHS = ["originalPrice", "discountPercentage", "finalPrice", "activeSale", "variants"];
 
 /**
  * Schema for product specifications (attributes)
@@ -19,6 +24,126 @@ const specificationSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, "Specification value too long"],
     },
+    // Set for numeric template fields (in the template's unit) for range filters
+    numericValue: {
+      type: Number,
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const MAX_VARIANT_OPTIONS = 3;
+const MAX_OPTION_VALUES = 30;
+const MAX_VARIANTS = 100;
+const SKU_PATTERN = /^[A-Z0-9-]+$/;
+const IMAGE_URL_PATTERN = /\.(jpg|jpeg|png|webp|avif)$/i;
+
+/**
+ * Option axis of a variant group, e.g. { name: "Color", values: ["Black", "White"] }
+ */
+const variantOptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Option name is required"],
+      trim: true,
+      maxlength: [30, "Option name too long"],
+    },
+    values: {
+      type: [{ type: String, trim: true, maxlength: [50, "Option value too long"] }],
+      validate: {
+        validator: (values) =>
+          values.length > 0 &&
+          values.length <= MAX_OPTION_VALUES &&
+          new Set(values).size === values.length,
+        message: `Options need 1-${MAX_OPTION_VALUES} distinct values`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One purchasable variant (one value per option axis) with its own SKU,
+ * price, stock and images. Carts and orders reference it by `_id`.
+ */
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+    match: [SKU_PATTERN, "SKU must contain only uppercase letters, numbers and hyphens"],
+    maxlength: [50, "SKU too long"],
+  },
+  options: {
+    type: Map,
+    of: String,
+    required: [true, "Variant options are required"],
+  },
+  originalPrice: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price cannot be negative"],
+    max: [1000000, "Price too high"],
+  },
+  discountPercentage: {
+    type: Number,
+    default: 0,
+    min: [0, "Discount cannot be negative"],
+    max: [100, "Discount cannot exceed 100%"],
+  },
+  finalPrice: {
+    type: Number,
+    min: [0, "Price cannot be negative"],
+  },
+  stock: {
+    type: Number,
+    required: [true, "Variant stock is required"],
+    min: [0, "Stock cannot be negative"],
+    max: [100000, "Stock quantity too high"],
+  },
+  availability: {
+    type: String,
+    enum: ["In Stock", "Out of Stock", "Preorder", "Discontinued"],
+    default: "In Stock",
+  },
+  // Falls back to the product images when empty
+  images: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (images) =>
+        images.every((v) => validator.isURL(v) && IMAGE_URL_PATTERN.test(v)),
+      message: "Variant images must be valid image URLs",
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+/**
+ * Sale currently applied to the product (set and cleared by the sale scheduler)
+ */
+const activeSaleSchema = new mongoose.Schema(
+  {
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sale",
+      required: true,
+    },
+    name: String,
+    discountPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    endsAt: Date,
   },
   { _id: false }
 );
@@ -159,6 +284,30 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    activeSale: {
+      type: activeSaleSchema,
+      default: null,
+    },
+    // Variant group: option axes and the purchasable combinations.
+    // With variants, the product's stock/price/availability are derived from them.
+    variantOptions: {
+      type: [variantOptionSchema],
+      default: [],
+      validate: {
+        validator: (options) =>
+          options.length <= MAX_VARIANT_OPTIONS &&
+          new Set(options.map((o) => o.name.toLowerCase())).size === options.length,
+        message: `Up to ${MAX_VARIANT_OPTIONS} distinct variant options are allowed`,
+      },
+    },
+    variants: {
+      type: [variantSchema],
+      default: [],
+      validate: {
+        validator: (variants) => variants.length <= MAX_VARIANTS,
+        message: `A product cannot have more than ${MAX_VARIANTS} variants`,
+      },
+    },
   },
   {
     timestamps: true,
@@ -172,6 +321,18 @@ productSchema.index({ name: "text", description: "text", brand: "text" });
 productSchema.index({ category: 1, "ratings.average": -1, isActive: 1 });
 productSchema.index({ isFeatured: 1, isActive: 1, category: 1 });
 productSchema.index({ sku: 1 }, { unique: true });
+// Faceted search (brand / price facets and specification facets)
+productSchema.index({ isActive: 1, brand: 1 });
+productSchema.index({ isActive: 1, finalPrice: 1 });
+productSchema.index({ "specifications.key": 1, "specifications.value": 1 });
+productSchema.index({ "specifications.key": 1, "specifications.numericValue": 1 });
+// Sale scheduler: products currently on sale
+productSchema.index({ "activeSale.sale": 1 }, { sparse: true });
+// Variant SKUs are unique across the catalogue
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
 
 /**
  * Virtual: Get all reviews for this product
@@ -206,13 +367,190 @@ productSchema.virtual("discountAmount").get(function () {
   return this.originalPrice - this.finalPrice;
 });
 
+/**
+ * Virtual: Whether this product is sold through variants
+ */
+productSchema.virtual("hasVariants").get(function () {
+  return (this.variants || []).some((v) => v.isActive);
+});
+
+const calculateFinalPrice = (originalPrice, discountPercentage = 0) =>
+  parseFloat((originalPrice * (1 - discountPercentage / 100)).toFixed(2));
+
+/**
+ * Method: Discount actually charged – the product's own discount or the
+ * live sale's, whichever is bigger (they never stack)
+ */
+productSchema.methods.effectiveDiscount = function (ownDiscount = this.discountPercentage) {
+  return Math.max(ownDiscount || 0, this.activeSale?.discountPercentage || 0);
+};
+
+const deriveAvailability = (stock, current) => {
+  if (stock > 0) return "In Stock";
+  if (current === "Preorder" || current === "Discontinued") return current;
+  return "Out of Stock";
+};
+
+/**
+ * Check the variants against the option axes: one known value per axis,
+ * no duplicate combinations, no duplicate SKUs
+ *
+ * @returns {string|null} error message
+ */
+productSchema.methods.validateVariants = function () {
+  const axes = this.variantOptions || [];
+  const seenCombinations = new Set();
+  const seenSkus = new Set([this.sku]);
+
+  if (this.variants.length > 0 && axes.length === 0) {
+    return "Define variant options before adding variants";
+  }
+
+  for (const variant of this.variants) {
+    const options = variant.options || new Map();
+
+    if (options.size !== axes.length) {
+      return `Variant ${variant.sku} must set exactly: ${axes.map((a) => a.name).join(", ")}`;
+    }
+    for (const axis of axes) {
+      const value = options.get(axis.name);
+      if (!axis.values.includes(value)) {
+        return `Variant ${variant.sku} has an invalid ${axis.name}: ${value}`;
+      }
+    }
+
+    const combination = axes.map((a) => options.get(a.name)).join("\u0000");
+    if (seenCombinations.has(combination)) {
+      return `Duplicate variant: ${this.constructor.variantLabel(variant, axes)}`;
+    }
+    seenCombinations.add(combination);
+
+    if (seenSkus.has(variant.sku)) {
+      return `Duplicate SKU: ${variant.sku}`;
+    }
+    seenSkus.add(variant.sku);
+  }
+
+  return null;
+};
+
+/**
+ * Find an active variant by id
+ */
+productSchema.methods.findVariant = function (variantId) {
+  if (!variantId) return null;
+  return (
+    (this.variants || []).find(
+      (v) => String(v._id) === String(variantId) && v.isActive
+    ) || null
+  );
+};
+
+/**
+ * What a cart line / order item for this product (and variant) sells:
+ * name, SKU, price, stock and image. Products with variants must be bought
+ * as one of them.
+ *
+ * @returns {{ error: string } | { variant: object|null, name: string,
+ *   variantLabel: string|null, sku: string, unitPrice: number, stock: number,
+ *   image: string|undefined, options: object|null, sale: object|null }}
+ */
+productSchema.methods.purchaseDetails = function (variantId) {
+  const image = this.images?.[0] || this.image;
+  const sale = this.activeSale?.sale
+    ? {
+        sale: this.activeSale.sale,
+        name: this.activeSale.name,
+        discountPercentage: this.activeSale.discountPercentage,
+      }
+    : null;
+
+  if (!this.hasVariants) {
+    if (variantId) return { error: "This product has no variants" };
+    return {
+      variant: null,
+      name: this.name,
+      variantLabel: null,
+      sku: this.sku,
+      unitPrice: Number(this.finalPrice || 0),
+      stock: this.stock,
+      image,
+      options: null,
+      sale,
+    };
+  }
+
+  if (!variantId) return { error: "Please select a variant of this product" };
+
+  const variant = this.findVariant(variantId);
+  if (!variant) return { error: "This variant is no longer available" };
+
+  return {
+    variant,
+    name: this.name,
+    variantLabel: this.constructor.variantLabel(variant, this.variantOptions),
+    sku: variant.sku,
+    unitPrice: Number(variant.finalPrice || 0),
+    stock: variant.stock,
+    image: variant.images?.[0] || image,
+    options: Object.fromEntries(variant.options),
+    sale,
+  };
+};
+
+/**
+ * "Color: Black, Capacity: 32GB" in option-axis order
+ */
+productSchema.statics.variantLabel = function (variant, axes = []) {
+  const options =
+    variant.options instanceof Map
+      ? variant.options
+      : new Map(Object.entries(variant.options || {}));
+  const names = axes.length ? axes.map((a) => a.name) : [...options.keys()];
+  return names
+    .filter((name) => options.has(name))
+    .map((name) => `${name}: ${options.get(name)}`)
+    .join(", ");
+};
+
+/**
+ * Middleware: Validate variants before saving
+ */
+productSchema.pre("validate", function (next) {
+  if (this.isModified("variants") || this.isModified("variantOptions")) {
+    const error = this.validateVariants();
+    if (error) this.invalidate("variants", error);
+  }
+  next();
+});
+
 /**
  * Middleware: Calculate final price and availability before saving
  */
 productSchema.pre("save", function (next) {
+  for (const variant of this.variants || []) {
+    variant.finalPrice = calculateFinalPrice(
+      variant.originalPrice,
+      this.effectiveDiscount(variant.discountPercentage)
+    );
+    variant.availability = deriveAvailability(variant.stock, variant.availability);
+  }
+
+  // With variants, the product shows the total stock and the lowest price
+  const activeVariants = (this.variants || []).filter((v) => v.isActive);
+  if (activeVariants.length > 0) {
+    const cheapest = activeVariants.reduce((min, v) =>
+      v.finalPrice < min.finalPrice ? v : min
+    );
+    this.stock = activeVariants.reduce((sum, v) => sum + v.stock, 0);
+    this.originalPrice = cheapest.originalPrice;
+    this.discountPercentage = cheapest.discountPercentage;
+  }
+
   // Calculate final price
-  this.finalPrice = parseFloat(
-    (this.originalPrice * (1 - this.discountPercentage / 100)).toFixed(2)
+  this.finalPrice = calculateFinalPrice(
+    this.originalPrice,
+    this.effectiveDiscount()
   );
 
   // Update availability based on stock
@@ -224,9 +562,44 @@ productSchema.pre("save", function (next) {
     this.availability = "Out of Stock";
   }
 
+  this.$locals.pricesChanged =
+    this.isNew || PRICE_PATHS.some((path) => this.isModified(path));
+
   next();
 });
 
+const recordPriceHistory = async (product) => {
+  try {
+    await PriceHistory.recordPrices(product);
+  } catch (err) {
+    // History must never block a product write
+    logger.error("Failed to record price history", {
+      productId: product._id.toString(),
+      message: err.message,
+    });
+  }
+};
+
+/**
+ * Middleware: Record price changes after saving
+ */
+productSchema.post("save", async function (doc) {
+  if (doc.$locals.pricesChanged) await recordPriceHistory(doc);
+});
+
+/**
+ * Middleware: Record price changes made through findByIdAndUpdate
+ */
+productSchema.post("findOneAndUpdate", async function (doc) {
+  const update = this.getUpdate() || {};
+  const touched = { ...update, ...update.$set };
+  if (!doc || !PRICE_PATHS.some((path) => path in touched)) return;
+
+  // `doc` may be the pre-update document, so read the stored prices
+  const product = await this.model.findById(doc._id);
+  if (product) await recordPriceHistory(product);
+});
+
 /**
  * Transaction helper for atomic operations
  */
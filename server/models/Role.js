@@ -0,0 +1,73 @@
+// File: server/models/Role.js
+import mongoose from "mongoose";
+import {
+  BUILT_IN_ROLES,
+  isValidPermission,
+} from "../config/permissions.js";
+
+/**
+ * Role Schema
+ * A named set of admin permissions that can be assigned to staff users.
+ */
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      minlength: [3, "Role name must be at least 3 characters"],
+      maxlength: [50, "Role name cannot exceed 50 characters"],
+      match: [
+        /^[a-z0-9-]+$/,
+        "Role name can only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (perms) => perms.every(isValidPermission),
+        message: (props) =>
+          `Unknown permission(s): ${props.value
+            .filter((p) => !isValidPermission(p))
+            .join(", ")}`,
+      },
+    },
+    // Built-in roles are defined in config/permissions.js (read-only via API)
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Static: Upsert built-in roles so their permissions always match config
+ */
+roleSchema.statics.syncBuiltInRoles = async function () {
+  const ops = BUILT_IN_ROLES.map(({ name, description, permissions }) => ({
+    updateOne: {
+      filter: { name },
+      update: {
+        $set: { description, permissions },
+        $setOnInsert: { name, isSystem: true },
+      },
+      upsert: true,
+    },
+  }));
+
+  return this.bulkWrite(ops);
+};
+
+const Role = mongoose.model("Role", roleSchema);
+export default Role;
@@ -0,0 +1,143 @@
+// File: server/models/Sale.js
+import mongoose from "mongoose";
+import Product from "./Product.js";
+
+const SALE_CONSTANTS = {
+  MAX_DISCOUNT: 90,
+  MAX_DURATION_DAYS: 60,
+  // Sales this short are shown as flash deals
+  FLASH_MAX_HOURS: 24,
+};
+
+/**
+ * Scheduled price event. jobs/saleScheduler.js applies it to the targeted
+ * products while it is live (startsAt ≤ now < endsAt) and reverts it
+ * afterwards; when sales overlap, a product gets the biggest discount.
+ */
+const saleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Sale name is required"],
+      trim: true,
+      maxlength: [100, "Sale name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    discountPercentage: {
+      type: Number,
+      required: [true, "Sale discount is required"],
+      min: [1, "Sale discount must be at least 1%"],
+      max: [
+        SALE_CONSTANTS.MAX_DISCOUNT,
+        `Sale discount cannot exceed ${SALE_CONSTANTS.MAX_DISCOUNT}%`,
+      ],
+    },
+    startsAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+      validate: {
+        validator: function (v) {
+          if (!this.startsAt || !v) return true;
+          const durationDays = (v - this.startsAt) / (24 * 60 * 60 * 1000);
+          return v > this.startsAt && durationDays <= SALE_CONSTANTS.MAX_DURATION_DAYS;
+        },
+        message: `End time must be after the start time and within ${SALE_CONSTANTS.MAX_DURATION_DAYS} days`,
+      },
+    },
+    // Targets: specific products and/or whole categories
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    categories: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function (categories) {
+          const allowed = Product.schema.path("category").enumValues;
+          return categories.every((c) => allowed.includes(c));
+        },
+        message: "Invalid category in sale targets",
+      },
+    },
+    // Cancelled sales are reverted by the scheduler on its next run
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Last state applied by the scheduler (scheduled → live → ended)
+    status: {
+      type: String,
+      enum: ["scheduled", "live", "ended", "cancelled"],
+      default: "scheduled",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+saleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+saleSchema.pre("validate", function (next) {
+  if (this.products.length === 0 && this.categories.length === 0) {
+    this.invalidate("products", "A sale must target at least one product or category");
+  }
+  next();
+});
+
+/**
+ * Virtual: Short sales are flash deals
+ */
+saleSchema.virtual("isFlash").get(function () {
+  return this.endsAt - this.startsAt <= SALE_CONSTANTS.FLASH_MAX_HOURS * 60 * 60 * 1000;
+});
+
+/**
+ * Method: Whether the sale should currently be applied
+ */
+saleSchema.methods.isLive = function (now = new Date()) {
+  return this.isActive && this.startsAt <= now && now < this.endsAt;
+};
+
+/**
+ * Method: Product filter for everything this sale targets
+ */
+saleSchema.methods.targetFilter = function () {
+  const or = [];
+  if (this.products.length) or.push({ _id: { $in: this.products } });
+  if (this.categories.length) or.push({ category: { $in: this.categories } });
+  return { $or: or };
+};
+
+/**
+ * Static: Sales that should currently be applied
+ */
+saleSchema.statics.findLive = function (now = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  });
+};
+
+export { SALE_CONSTANTS };
+
+const Sale = mongoose.model("Sale", saleSchema);
+export default Sale;
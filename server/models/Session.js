@@ -0,0 +1,129 @@
+// File: server/models/Session.js
+import mongoose from "mongoose";
+
+/**
+ * Session Schema
+ *
+ * One document per login (a refresh token "family"). Only the SHA-256 hash
+ * of the current refresh token is stored; every refresh rotates it. A refresh
+ * token that no longer matches the stored hash has already been used, which
+ * means it was stolen or replayed – the whole session is then revoked.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Session must belong to a user"],
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      // Impersonation sessions are access-token only and cannot be refreshed
+      required: [
+        function () {
+          return !this.impersonatedBy;
+        },
+        "Refresh token hash is required",
+      ],
+      select: false,
+    },
+    // Staff member acting as this user ("login as customer")
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, "User agent too long"],
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Session expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "reuse_detected",
+        "password_change",
+        "user_revoked",
+        "admin",
+        "login_reported",
+        "email_change_reverted",
+        "impersonation_ended",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are purged by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+/* ---------------- Instance Methods ---------------- */
+
+/**
+ * Session is usable only if it has not been revoked and has not expired
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoke this session (idempotent)
+ */
+sessionSchema.methods.revoke = async function (reason = "logout") {
+  if (this.revokedAt) return this;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save({ validateBeforeSave: false });
+  return this;
+};
+
+/* ---------------- Static Methods ---------------- */
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ */
+sessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  { reason = "user_revoked", except = null } = {}
+) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -0,0 +1,143 @@
+// File: server/models/SpecTemplate.js
+import mongoose from "mongoose";
+import Product from "./Product.js";
+import { isKnownUnit, normalizeSpecKey } from "../utils/productCompare.js";
+
+const SPEC_TYPES = ["text", "enum", "int", "number", "boolean"];
+const NUMERIC_TYPES = ["int", "number"];
+const MAX_FIELDS = 50;
+
+/**
+ * One specification of a category template, e.g.
+ * { key: "TDP", type: "int", unit: "W", min: 1, max: 500 }
+ */
+const specFieldSchema = new mongoose.Schema(
+  {
+    // Canonical key stored on products
+    key: {
+      type: String,
+      required: [true, "Specification key is required"],
+      trim: true,
+      maxlength: [100, "Specification key too long"],
+    },
+    // Other spellings mapped to `key` ("CPU Socket", "socket type")
+    aliases: {
+      type: [{ type: String, trim: true, maxlength: 100 }],
+      default: [],
+    },
+    type: {
+      type: String,
+      enum: {
+        values: SPEC_TYPES,
+        message: `Specification type must be one of: ${SPEC_TYPES.join(", ")}`,
+      },
+      default: "text",
+    },
+    // Numeric values are converted to and stored in this unit
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: 20,
+    },
+    // Allowed values of an enum
+    options: {
+      type: [{ type: String, trim: true, maxlength: 100 }],
+      default: [],
+    },
+    min: Number,
+    max: Number,
+    required: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Specification template of a product category. Product specifications are
+ * validated against it and numeric values stored typed (see utils/specTemplates.js).
+ */
+const specTemplateSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: [true, "Category is required"],
+      unique: true,
+      validate: {
+        validator: (category) =>
+          Product.schema.path("category").enumValues.includes(category),
+        message: "Invalid product category",
+      },
+    },
+    fields: {
+      type: [specFieldSchema],
+      validate: {
+        validator: (fields) => fields.length > 0 && fields.length <= MAX_FIELDS,
+        message: `A template needs 1-${MAX_FIELDS} fields`,
+      },
+    },
+    // Whether specifications outside the template are accepted as free text
+    allowExtra: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Middleware: Field definitions must be consistent
+ */
+specTemplateSchema.pre("validate", function (next) {
+  const seen = new Set();
+
+  this.fields.forEach((field, i) => {
+    const path = `fields.${i}`;
+
+    for (const name of [field.key, ...field.aliases]) {
+      const normalized = normalizeSpecKey(name || "");
+      if (seen.has(normalized)) {
+        this.invalidate(path, `"${name}" is used by more than one field`);
+      }
+      seen.add(normalized);
+    }
+
+    if (field.type === "enum" && field.options.length === 0) {
+      this.invalidate(path, `Enum field "${field.key}" needs options`);
+    }
+    const hasNumericRules = field.unit || field.min != null || field.max != null;
+    if (!NUMERIC_TYPES.includes(field.type) && hasNumericRules) {
+      this.invalidate(path, `Only numeric fields can have a unit, min or max ("${field.key}")`);
+    }
+    if (field.unit && !isKnownUnit(field.unit)) {
+      this.invalidate(path, `Unknown unit "${field.unit}" on "${field.key}"`);
+    }
+    if (field.min != null && field.max != null && field.min > field.max) {
+      this.invalidate(path, `min cannot exceed max on "${field.key}"`);
+    }
+  });
+
+  next();
+});
+
+/**
+ * Method: Field for a specification key (canonical key or alias)
+ */
+specTemplateSchema.methods.findField = function (key) {
+  const normalized = normalizeSpecKey(key);
+  return this.fields.find((field) =>
+    [field.key, ...field.aliases].some((name) => normalizeSpecKey(name) === normalized)
+  );
+};
+
+export { SPEC_TYPES, NUMERIC_TYPES };
+
+const SpecTemplate = mongoose.model("SpecTemplate", specTemplateSchema);
+export default SpecTemplate;
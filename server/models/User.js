@@ -2,6 +2,29 @@
 
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { WILDCARD } from "../config/permissions.js";
+import { PASSWORD_POLICY } from "../config/passwordPolicy.js";
+
+/**
+ * Account lockout policy (override via .env)
+ * After MAX_FAILED_ATTEMPTS failures the account is locked; every further
+ * lockout doubles the duration, up to MAX_LOCK_MS.
+ */
+export const LOCKOUT_POLICY = {
+  MAX_FAILED_ATTEMPTS: Number(process.env.LOGIN_LOCKOUT_MAX_ATTEMPTS) || 5,
+  BASE_LOCK_MS: Number(process.env.LOGIN_LOCKOUT_BASE_MS) || 5 * 60 * 1000, // 5 minutes
+  MAX_LOCK_MS: Number(process.env.LOGIN_LOCKOUT_MAX_MS) || 24 * 60 * 60 * 1000, // 24 hours
+};
+
+/**
+ * Self-service account deletion (override via .env)
+ * Deletion requests wait GRACE_PERIOD_MS; logging in during that window
+ * cancels the request. Afterwards jobs/accountDeletion.js anonymizes the data.
+ */
+export const ACCOUNT_DELETION_POLICY = {
+  GRACE_PERIOD_MS:
+    Number(process.env.ACCOUNT_DELETION_GRACE_MS) || 14 * 24 * 60 * 60 * 1000, // 14 days
+};
 
 /**
  * Embedded Address Schema
@@ -131,6 +154,13 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user",
     },
+    // Staff roles (see models/Role.js). Legacy `role: "admin"` keeps full access.
+    roles: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Role",
+      },
+    ],
     avatar: {
       type: String,
       default: "default.jpg",
@@ -170,6 +200,17 @@ const userSchema = new mongoose.Schema(
     },
 
     passwordChangedAt: Date,
+    // bcrypt hashes of previous passwords, newest first (see config/passwordPolicy.js)
+    passwordHistory: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    // Set when a login is reported as "not me"; blocks login until a reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
 
     twoFactorEnabled: {
       type: Boolean,
@@ -179,6 +220,96 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false,
     },
+    // SHA-256 hashes of unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    twoFactorRecoveryCodesGeneratedAt: Date,
+
+    // Persistent login lockout (survives restarts, keyed by account)
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+      select: false,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+      select: false,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      select: false,
+    },
+    accountUnlockToken: {
+      type: String,
+      select: false,
+    },
+    accountUnlockExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Passwordless sign-in link (hashed, single use)
+    magicLinkToken: {
+      type: String,
+      select: false,
+    },
+    magicLinkExpires: {
+      type: Date,
+      select: false,
+    },
+
+    // Linked OpenID Connect identities (see config/oidc.js)
+    identities: {
+      type: [
+        {
+          _id: false,
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          email: String,
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+
+    // Email change: nothing changes until the new address confirms.
+    // The revert link (sent to the old address) outlives the confirmation.
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      select: false,
+    },
+    emailChangeToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeExpires: {
+      type: Date,
+      select: false,
+    },
+    emailChangeRevertToken: {
+      type: String,
+      select: false,
+    },
+    emailChangeRevertExpires: {
+      type: Date,
+      select: false,
+    },
+    previousEmail: {
+      type: String,
+      select: false,
+    },
 
     active: {
       type: Boolean,
@@ -186,6 +317,20 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
 
+    // Self-service deletion (see ACCOUNT_DELETION_POLICY)
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    anonymizedAt: {
+      type: Date,
+      default: null,
+    },
+
     wishlist: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -206,18 +351,56 @@ const userSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 userSchema.index({ role: 1 });
+userSchema.index({ roles: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
 userSchema.index({ email: 1 });
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
 
 /* ---------------- Password hashing middleware ---------------- */
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
+  // Remember the hash being replaced; pushed onto passwordHistory after save
+  if (!this.isNew && PASSWORD_POLICY.historySize > 1) {
+    const stored = await this.collection.findOne(
+      { _id: this._id },
+      { projection: { password: 1 } }
+    );
+    this.$locals.previousPasswordHash = stored?.password;
+  }
+
   this.password = await bcrypt.hash(this.password, 12);
   // Keep passwordChangedAt in sync on direct password changes
   this.passwordChangedAt = new Date();
   next();
 });
 
+/* ---------------- Password history (the current hash is not included) ---------------- */
+userSchema.post("save", async function () {
+  const previous = this.$locals.previousPasswordHash;
+  if (!previous) return;
+  delete this.$locals.previousPasswordHash;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        passwordHistory: {
+          $each: [previous],
+          $position: 0,
+          $slice: PASSWORD_POLICY.historySize - 1,
+        },
+      },
+    }
+  );
+});
+
 /* ---------------- Validate single default address/payment ---------------- */
 userSchema.pre("save", function (next) {
   if (this.isModified("addresses") && Array.isArray(this.addresses)) {
@@ -310,6 +493,151 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   return false;
 };
 
+/**
+ * Resolve the admin permissions granted to this user through their roles
+ */
+userSchema.methods.getPermissions = async function () {
+  if (this.role === "admin") return [WILDCARD];
+  if (!this.roles?.length) return [];
+
+  const roles = await mongoose
+    .model("Role")
+    .find({ _id: { $in: this.roles } })
+    .select("permissions")
+    .lean();
+
+  return [...new Set(roles.flatMap((r) => r.permissions))];
+};
+
+/**
+ * Staff = legacy admins or anyone holding at least one role
+ */
+userSchema.methods.isStaff = function () {
+  return this.role === "admin" || this.roles?.length > 0;
+};
+
+/**
+ * Whether the account is currently locked out
+ */
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Lockout summary for admin views
+ */
+userSchema.methods.getLockoutState = function () {
+  return {
+    isLocked: this.isLocked(),
+    lockUntil: this.isLocked() ? this.lockUntil : null,
+    failedLoginAttempts: this.failedLoginAttempts || 0,
+    lockoutCount: this.lockoutCount || 0,
+    lastFailedLoginAt: this.lastFailedLoginAt || null,
+  };
+};
+
+/**
+ * Record a failed login atomically; locks the account with exponential
+ * backoff once the attempt limit is reached.
+ */
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor
+    .findOneAndUpdate(
+      { _id: this._id },
+      {
+        $inc: { failedLoginAttempts: 1 },
+        $set: { lastFailedLoginAt: new Date() },
+      },
+      { new: true }
+    )
+    .select("+failedLoginAttempts +lockoutCount +lockUntil");
+
+  if (!updated) return { locked: false, attemptsRemaining: 0 };
+
+  if (updated.failedLoginAttempts < LOCKOUT_POLICY.MAX_FAILED_ATTEMPTS) {
+    return {
+      locked: false,
+      attemptsRemaining:
+        LOCKOUT_POLICY.MAX_FAILED_ATTEMPTS - updated.failedLoginAttempts,
+    };
+  }
+
+  const lockMs = Math.min(
+    LOCKOUT_POLICY.BASE_LOCK_MS * 2 ** (updated.lockoutCount || 0),
+    LOCKOUT_POLICY.MAX_LOCK_MS
+  );
+  const lockUntil = new Date(Date.now() + lockMs);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { lockUntil, failedLoginAttempts: 0 },
+      $inc: { lockoutCount: 1 },
+    }
+  );
+
+  this.lockUntil = lockUntil;
+  this.lockoutCount = (updated.lockoutCount || 0) + 1;
+
+  return { locked: true, lockUntil, lockMs };
+};
+
+/**
+ * Clear all lockout state (successful login, email unlock or admin unlock)
+ */
+userSchema.methods.resetLoginFailures = async function () {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+      $unset: {
+        lockUntil: 1,
+        accountUnlockToken: 1,
+        accountUnlockExpires: 1,
+      },
+    }
+  );
+
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+};
+
+/**
+ * Schedule deletion: the account is deactivated now and anonymized once the
+ * grace period has passed, unless the user logs in before then.
+ */
+userSchema.methods.scheduleDeletion = async function () {
+  const now = Date.now();
+  this.active = false;
+  this.deletionRequestedAt = new Date(now);
+  this.deletionScheduledFor = new Date(
+    now + ACCOUNT_DELETION_POLICY.GRACE_PERIOD_MS
+  );
+  await this.save({ validateBeforeSave: false });
+  return this.deletionScheduledFor;
+};
+
+/**
+ * Whether the account is inside its deletion grace period
+ */
+userSchema.methods.isPendingDeletion = function () {
+  return !!(
+    this.deletionScheduledFor && this.deletionScheduledFor > new Date()
+  );
+};
+
+/**
+ * Cancel a scheduled deletion and reactivate the account
+ */
+userSchema.methods.cancelDeletion = async function () {
+  this.active = true;
+  this.deletionRequestedAt = null;
+  this.deletionScheduledFor = null;
+  await this.save({ validateBeforeSave: false });
+  return this;
+};
+
 /**
  * Clean output (remove sensitive info)
  */
@@ -323,6 +651,21 @@ userSchema.methods.toJSON = function () {
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
   delete user.twoFactorSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.accountUnlockToken;
+  delete user.accountUnlockExpires;
+  delete user.magicLinkToken;
+  delete user.magicLinkExpires;
+  delete user.pendingEmail;
+  delete user.emailChangeToken;
+  delete user.emailChangeExpires;
+  delete user.emailChangeRevertToken;
+  delete user.emailChangeRevertExpires;
+  delete user.previousEmail;
+  delete user.failedLoginAttempts;
+  delete user.lockoutCount;
+  delete user.lockUntil;
+  delete user.lastFailedLoginAt;
   delete user.active;
 
   // Mask card numbers before output
@@ -14,12 +14,19 @@ import {
   getUserById,
   deleteUser,
   updateUser,
+  resetUserTwoFactor,
+  unlockUser,
+  impersonateUser,
 
   // Product Management
   getAllProducts,
   createProduct,
   updateProduct,
   deleteProduct,
+  updateVariantOptions,
+  addProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
   getProductReviews,
   deleteProductReview,
 
@@ -43,9 +50,33 @@ import {
   protect,
   verifiedEmail,
   twoFactorAuth,
-  restrictTo
+  requireStaff,
+  requirePermission,
+  denyImpersonation
 } from "../middleware/authMiddleware.js";
 
+import {
+  getPermissionCatalog,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRoles
+} from "../controllers/roleController.js";
+
+import {
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} from "../controllers/apiKeyController.js";
+
+import { getAuditLogs, getAuditLog } from "../controllers/auditController.js";
+
+import { PERMISSIONS as P } from "../config/permissions.js";
+
 import {
   getAllLogs,
   getLogById,
@@ -54,9 +85,36 @@ import {
 } from "../controllers/logController.js";
 
 // Rate limiters (centralized config)
-import { adminLimiter, logRateLimiter } from "../config/rateLimit.js";
+import {
+  adminLimiter,
+  apiKeyLimiter,
+  logRateLimiter
+} from "../config/rateLimit.js";
 
-import upload from "../middleware/upload.js";
+import {
+  getAllBundles,
+  createBundle,
+  updateBundle,
+  deleteBundle,
+} from "../controllers/bundleController.js";
+import {
+  getAllSales,
+  createSale,
+  updateSale,
+  cancelSale,
+} from "../controllers/saleController.js";
+import {
+  getAllSpecTemplates,
+  upsertSpecTemplate,
+  deleteSpecTemplate,
+  applySpecTemplateToProducts,
+} from "../controllers/specTemplateController.js";
+import {
+  importProducts,
+  exportProducts,
+} from "../controllers/catalogController.js";
+
+import upload, { catalogUpload } from "../middleware/upload.js";
 
 const router = express.Router();
 
@@ -64,16 +122,21 @@ const router = express.Router();
    SECURITY & ACCESS CONTROL
    ========================================================================== */
 router.use(protect);
+router.use(denyImpersonation);
 router.use(verifiedEmail);
 // router.use(twoFactorAuth);
-router.use(restrictTo("admin"));
+// Admins and users holding a staff role; each route then checks its permission
+router.use(requireStaff);
 
-// Apply global admin-level rate limiting
+// Apply global admin-level rate limiting (API keys are limited per key)
 router.use(adminLimiter);
+router.use(apiKeyLimiter);
 
 /* ============================================================================
    ANALYTICS & DASHBOARD ROUTES
    ========================================================================== */
+router.use("/analytics", requirePermission(P.ANALYTICS_READ));
+
 router.get("/analytics/overview", getDashboardOverview);
 router.get("/analytics/sales", getSalesAnalytics);
 router.get("/analytics/products", getProductStats);
@@ -82,59 +145,195 @@ router.get("/analytics/inventory", getInventoryAnalytics);
 /* ============================================================================
    USER MANAGEMENT ROUTES
    ========================================================================== */
-router.post("/users", createUser);
-router.get("/users", getAllUsers);
+router.post("/users", requirePermission(P.USERS_CREATE), createUser);
+router.get("/users", requirePermission(P.USERS_READ), getAllUsers);
 
 router
   .route("/users/:id")
-  .get(getUserById)
-  .patch(updateUser)
-  .delete(deleteUser);
+  .get(requirePermission(P.USERS_READ), getUserById)
+  .patch(requirePermission(P.USERS_UPDATE), updateUser)
+  .delete(requirePermission(P.USERS_DELETE), deleteUser);
+
+router.post("/users/:id/unlock", requirePermission(P.USERS_UNLOCK), unlockUser);
+router.post(
+  "/users/:id/2fa/reset",
+  requirePermission(P.USERS_2FA_RESET),
+  resetUserTwoFactor
+);
+router.put("/users/:id/roles", requirePermission(P.ROLES_MANAGE), assignUserRoles);
+router.post(
+  "/users/:id/impersonate",
+  requirePermission(P.USERS_IMPERSONATE),
+  twoFactorAuth,
+  impersonateUser
+);
+
+/* ============================================================================
+   ROLE & PERMISSION MANAGEMENT ROUTES
+   ========================================================================== */
+router.get("/permissions", requirePermission(P.ROLES_READ), getPermissionCatalog);
+
+router
+  .route("/roles")
+  .get(requirePermission(P.ROLES_READ), getRoles)
+  .post(requirePermission(P.ROLES_MANAGE), createRole);
+
+router
+  .route("/roles/:id")
+  .get(requirePermission(P.ROLES_READ), getRole)
+  .patch(requirePermission(P.ROLES_MANAGE), updateRole)
+  .delete(requirePermission(P.ROLES_MANAGE), deleteRole);
+
+/* ============================================================================
+   API KEY MANAGEMENT ROUTES
+   ========================================================================== */
+router
+  .route("/api-keys")
+  .get(requirePermission(P.API_KEYS_READ), getApiKeys)
+  .post(requirePermission(P.API_KEYS_MANAGE), createApiKey);
+
+router
+  .route("/api-keys/:id")
+  .get(requirePermission(P.API_KEYS_READ), getApiKey)
+  .patch(requirePermission(P.API_KEYS_MANAGE), updateApiKey)
+  .delete(requirePermission(P.API_KEYS_MANAGE), revokeApiKey);
 
 /* ============================================================================
    PRODUCT MANAGEMENT ROUTES
    ========================================================================== */
-router.get("/products", getAllProducts);
-router.post("/products", upload.array("images", 10), createProduct);
+router.get("/products", requirePermission(P.PRODUCTS_READ), getAllProducts);
+router.post(
+  "/products",
+  requirePermission(P.PRODUCTS_WRITE),
+  upload.array("images", 10),
+  createProduct
+);
+
+router.post(
+  "/products/import",
+  requirePermission(P.PRODUCTS_WRITE),
+  catalogUpload.single("file"),
+  importProducts
+);
+router.get(
+  "/products/export",
+  requirePermission(P.PRODUCTS_READ),
+  exportProducts
+);
 
 router
   .route("/products/:id")
-  .patch(upload.array("images", 10), updateProduct)
-  .delete(deleteProduct);
+  .patch(
+    requirePermission(P.PRODUCTS_WRITE),
+    upload.array("images", 10),
+    updateProduct
+  )
+  .delete(requirePermission(P.PRODUCTS_DELETE), deleteProduct);
+
+router.put(
+  "/products/:id/variant-options",
+  requirePermission(P.PRODUCTS_WRITE),
+  updateVariantOptions
+);
+router.post(
+  "/products/:id/variants",
+  requirePermission(P.PRODUCTS_WRITE),
+  addProductVariant
+);
+router
+  .route("/products/:id/variants/:variantId")
+  .patch(requirePermission(P.PRODUCTS_WRITE), updateProductVariant)
+  .delete(requirePermission(P.PRODUCTS_DELETE), deleteProductVariant);
+
+router.get(
+  "/spec-templates",
+  requirePermission(P.PRODUCTS_READ),
+  getAllSpecTemplates
+);
+router
+  .route("/spec-templates/:category")
+  .put(requirePermission(P.PRODUCTS_WRITE), upsertSpecTemplate)
+  .delete(requirePermission(P.PRODUCTS_WRITE), deleteSpecTemplate);
+router.post(
+  "/spec-templates/:category/apply",
+  requirePermission(P.PRODUCTS_WRITE),
+  applySpecTemplateToProducts
+);
+
+router
+  .route("/bundles")
+  .get(requirePermission(P.PRODUCTS_READ), getAllBundles)
+  .post(requirePermission(P.PRODUCTS_WRITE), createBundle);
+router
+  .route("/bundles/:id")
+  .patch(requirePermission(P.PRODUCTS_WRITE), updateBundle)
+  .delete(requirePermission(P.PRODUCTS_DELETE), deleteBundle);
+
+router
+  .route("/sales")
+  .get(requirePermission(P.PRODUCTS_READ), getAllSales)
+  .post(requirePermission(P.PRODUCTS_WRITE), createSale);
+router
+  .route("/sales/:id")
+  .patch(requirePermission(P.PRODUCTS_WRITE), updateSale)
+  .delete(requirePermission(P.PRODUCTS_WRITE), cancelSale);
 
 router
   .route("/products/:id/reviews")
-  .get(getProductReviews)
-  .delete(deleteProductReview);
+  .get(requirePermission(P.REVIEWS_READ), getProductReviews)
+  .delete(requirePermission(P.REVIEWS_DELETE), deleteProductReview);
 
 /* ============================================================================
    ORDER MANAGEMENT ROUTES
    ========================================================================== */
-router.get("/orders", getOrders);
-router.put("/orders/:id/deliver", updateOrderToDelivered);
-router.put("/orders/:id/mark-paid", markOrderAsPaid);
-router.put("/orders/:id/status", updateOrderStatus);
-router.post("/orders/:id/refund", processRefund);
-router.put("/orders/:id/process-return", processReturn);
+router.get("/orders", requirePermission(P.ORDERS_READ), getOrders);
+router.put(
+  "/orders/:id/deliver",
+  requirePermission(P.ORDERS_UPDATE),
+  updateOrderToDelivered
+);
+router.put(
+  "/orders/:id/mark-paid",
+  requirePermission(P.ORDERS_MARK_PAID),
+  markOrderAsPaid
+);
+router.put(
+  "/orders/:id/status",
+  requirePermission(P.ORDERS_UPDATE),
+  updateOrderStatus
+);
+router.post("/orders/:id/refund", requirePermission(P.ORDERS_REFUND), processRefund);
+router.put(
+  "/orders/:id/process-return",
+  requirePermission(P.ORDERS_REFUND),
+  processReturn
+);
 
 /* ============================================================================
    COUPON MANAGEMENT ROUTES
    ========================================================================== */
 router
   .route("/coupons")
-  .post(createCoupon)
-  .get(getCoupons);
+  .post(requirePermission(P.COUPONS_WRITE), createCoupon)
+  .get(requirePermission(P.COUPONS_READ), getCoupons);
 
 router
   .route("/coupons/:id")
-  .get(getCoupon)
-  .patch(updateCoupon)
-  .delete(deleteCoupon);
+  .get(requirePermission(P.COUPONS_READ), getCoupon)
+  .patch(requirePermission(P.COUPONS_WRITE), updateCoupon)
+  .delete(requirePermission(P.COUPONS_DELETE), deleteCoupon);
+
+/* ============================================================================
+   AUDIT TRAIL ROUTES
+   ========================================================================== */
+router.get("/audit", requirePermission(P.AUDIT_READ), getAuditLogs);
+router.get("/audit/:id", requirePermission(P.AUDIT_READ), getAuditLog);
 
 /* ============================================================================
    SYSTEM & LOG MANAGEMENT ROUTES (with logRateLimiter)
    ========================================================================== */
 router.use("/logs", logRateLimiter); // Apply ONLY to /logs routes
+router.use("/logs", requirePermission(P.LOGS_READ));
 
 router.get("/logs", getAllLogs);
 router.get("/logs/:id", getLogById);
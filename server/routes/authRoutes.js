@@ -5,6 +5,22 @@ import {
   signup,
   login,
   logout,
+  refreshAccessToken,
+  showUnlockAccount,
+  unlockAccount,
+  showReportSuspiciousLogin,
+  reportSuspiciousLogin,
+  requestMagicLink,
+  showMagicLink,
+  redeemMagicLink,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  requestEmailChange,
+  showConfirmEmailChange,
+  confirmEmailChange,
+  showRevertEmailChange,
+  revertEmailChange,
   forgotPassword,
   resetPassword,
   verifyEmail,
@@ -12,6 +28,8 @@ import {
   enableTwoFactor,
   verifyTwoFactor,
   disableTwoFactor,
+  regenerateRecoveryCodes,
+  endImpersonation,
 } from "../controllers/authController.js";
 
 import { loginLimiter } from "../controllers/authController.js";
@@ -20,6 +38,7 @@ import {
   protect,
   verifiedEmail,
   twoFactorAuth,
+  denyImpersonation,
 } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -29,9 +48,39 @@ const router = express.Router();
    ============================ */
 router.post("/register", signup);
 router.post("/login", loginLimiter, login);
+
+// Passwordless sign-in: request a link, then redeem it. The GET only shows a
+// sign-in page (mail scanners must not use up the link); its POST signs in
+// and carries the 2FA code
+router.post("/magic-link", loginLimiter, requestMagicLink);
+router
+  .route("/magic-link/:token")
+  .get(showMagicLink)
+  .post(loginLimiter, redeemMagicLink);
+
+// Social sign-in via any configured OpenID Connect issuer
+router.get("/oidc", getOidcProviders);
+router.get("/oidc/:provider", startOidcLogin);
+router.get("/oidc/:provider/callback", loginLimiter, oidcCallback);
+
 router.get("/logout", logout);
+router.post("/refresh", refreshAccessToken);
 
 router.get("/verify-email/:token", verifyEmail);
+// Emailed links that change the account: the GET only shows a confirmation
+// page, its form POSTs back to act (link scanners must not trigger them)
+router.route("/unlock-account/:token").get(showUnlockAccount).post(unlockAccount);
+router.route("/not-me/:token").get(showReportSuspiciousLogin).post(reportSuspiciousLogin);
+
+// Email change links (new address confirms, old address can revert)
+router
+  .route("/confirm-email-change/:token")
+  .get(showConfirmEmailChange)
+  .post(confirmEmailChange);
+router
+  .route("/revert-email-change/:token")
+  .get(showRevertEmailChange)
+  .post(revertEmailChange);
 
 router.post("/forgot-password", forgotPassword);
 router.patch("/reset-password/:token", resetPassword);
@@ -40,13 +89,27 @@ router.patch("/reset-password/:token", resetPassword);
    PROTECTED ROUTES – Must be logged in + verified email
    ============================ */
 router.use(protect);
+
+// Support staff leave a customer's account with the impersonation token itself
+router.delete("/impersonation", endImpersonation);
+
 router.use(verifiedEmail);
 
+/* ============================
+   ACCOUNT SECURITY – never while impersonating
+   ============================ */
+router.use(denyImpersonation);
+
 /* ============================
    PASSWORD UPDATE (must have 2FA if enabled)
    ============================ */
 router.patch("/update-password", twoFactorAuth, updatePassword);
 
+/* ============================
+   EMAIL CHANGE (must have 2FA if enabled)
+   ============================ */
+router.post("/change-email", twoFactorAuth, requestEmailChange);
+
 /* ============================
    2FA SETUP FLOW
    ============================ */
@@ -60,4 +123,7 @@ router.post("/2fa/verify", verifyTwoFactor);
 // STEP 3 - Disable 2FA (YES 2FA REQUIRED)
 router.delete("/2fa/disable", twoFactorAuth, disableTwoFactor);
 
+// Replace recovery codes (YES 2FA REQUIRED)
+router.post("/2fa/recovery-codes", twoFactorAuth, regenerateRecoveryCodes);
+
 export default router;
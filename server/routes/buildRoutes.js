@@ -0,0 +1,13 @@
+// File: server/routes/buildRoutes.js
+import express from "express";
+import { validateBuild } from "../controllers/buildController.js";
+
+const router = express.Router();
+
+/**
+ * PC BUILDER
+ * POST /api/builds/validate → compatibility errors and warnings for a set of parts
+ */
+router.post("/validate", validateBuild);
+
+export default router;
@@ -0,0 +1,15 @@
+// File: server/routes/bundleRoutes.js
+import express from "express";
+import { getBundles, getBundle } from "../controllers/bundleController.js";
+
+const router = express.Router();
+
+/**
+ * PUBLIC BUNDLES (management lives under /api/admin/bundles)
+ * GET /api/bundles     → active bundles with price & availability
+ * GET /api/bundles/:id → single bundle
+ */
+router.get("/", getBundles);
+router.get("/:id", getBundle);
+
+export default router;
@@ -7,7 +7,10 @@ import {
   removeFromCart,
   clearCart,
   applyCoupon,
-  removeCoupon
+  removeCoupon,
+  addBundleToCart,
+  updateCartBundle,
+  removeBundleFromCart
 } from "../controllers/cartController.js";
 import { protect } from "../middleware/authMiddleware.js";
 
@@ -36,13 +39,28 @@ router.route("/coupon")
 .post(applyCoupon)
 .delete(removeCoupon);
 
+/**
+ * BUNDLES (before /:productId/:variantId so "bundles" is not taken for a product ID)
+ * POST   /api/cart/bundles           → add bundle
+ * PATCH  /api/cart/bundles/:bundleId → update qty
+ * DELETE /api/cart/bundles/:bundleId → remove bundle
+ */
+router.post("/bundles", addBundleToCart);
+router.route("/bundles/:bundleId")
+  .patch(updateCartBundle)
+  .delete(removeBundleFromCart);
+
 /**
  * ITEM-LEVEL OPERATIONS
- * PATCH  /api/cart/:productId → update qty
- * DELETE /api/cart/:productId → remove item
+ * PATCH  /api/cart/:productId[/:variantId] → update qty
+ * DELETE /api/cart/:productId[/:variantId] → remove item
  */
 router.route("/:productId")
   .patch(updateCartItem)
   .delete(removeFromCart);
 
+router.route("/:productId/:variantId")
+  .patch(updateCartItem)
+  .delete(removeFromCart);
+
 export default router;
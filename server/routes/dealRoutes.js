@@ -0,0 +1,13 @@
+// File: server/routes/dealRoutes.js
+import express from "express";
+import { getDeals } from "../controllers/saleController.js";
+
+const router = express.Router();
+
+/**
+ * PUBLIC DEALS (sales are scheduled under /api/admin/sales)
+ * GET /api/deals → live and upcoming deals with countdowns
+ */
+router.get("/", getDeals);
+
+export default router;
@@ -6,12 +6,13 @@ import {
   getPaymentMethods,
   savePaymentMethod
 } from "../controllers/paymentController.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, denyImpersonation } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// All payment routes require authentication
+// All payment routes require authentication (and the real account owner)
 router.use(protect);
+router.use(denyImpersonation);
 
 /**
  * PROCESS PAYMENT (STRIPE / PAYPAL / COD)
@@ -6,7 +6,11 @@ import {
   getProduct,
   getTopProducts,
   getRelatedProducts,
+  compareProducts,
+  getPriceHistory,
   searchProducts,
+  facetedSearch,
+  suggestProducts,
   getCategories,
   getFeaturedProducts,
   getProductsByCategory,
@@ -16,8 +20,10 @@ import {
   addToWishlist,
   removeFromWishlist,
 } from "../controllers/productController.js";
+import { getSpecTemplate } from "../controllers/specTemplateController.js";
 
 import { protect, restrictTo } from "../middleware/authMiddleware.js";
+import { suggestLimiter } from "../config/rateLimit.js";
 
 const router = express.Router();
 
@@ -30,10 +36,15 @@ router.post("/:id/reviews", protect, restrictTo('user', 'admin'), createProductR
 router.get("/", getAllProducts);
 router.get("/top", getTopProducts);
 router.get("/search", searchProducts);
+router.get("/search/faceted", facetedSearch);
+router.get("/suggest", suggestLimiter, suggestProducts);
+router.get("/compare", compareProducts);
 router.get("/categories", getCategories);
+router.get("/spec-templates/:category", getSpecTemplate);
 router.get("/featured", getFeaturedProducts);
 router.get("/category/:category", getProductsByCategory);
 router.get("/:id", getProduct);
 router.get("/:id/related", getRelatedProducts);
+router.get("/:id/price-history", getPriceHistory);
 
 export default router;
\ No newline at end of file
@@ -7,16 +7,30 @@ import {
   deleteMe,
   getWishlist,
   getUserOrders,
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
 } from "../controllers/userController.js";
 
 import {
   protect,
   verifiedEmail,
   twoFactorAuth,
+  denyImpersonation,
 } from "../middleware/authMiddleware.js";
 
+import { dataExportLimiter } from "../config/rateLimit.js";
+
 const router = express.Router();
 
+/* ============================
+   PUBLIC – token-protected data export download (link from email)
+   ============================ */
+router.get("/export/download/:token", downloadDataExport);
+
 /* ============================
    ALL ROUTES REQUIRE LOGIN + VERIFIED EMAIL
    ============================ */
@@ -34,7 +48,36 @@ router.get("/me", getMe);
 router.patch("/update-me", twoFactorAuth, updateMe);
 
 // Deactivate account (HIGH-RISK → require 2FA)
-router.delete("/delete-me", twoFactorAuth, deleteMe);
+router.delete("/delete-me", denyImpersonation, twoFactorAuth, deleteMe);
+
+/* ============================
+   SESSIONS & DEVICES
+   ============================ */
+
+// List where the account is logged in
+router.get("/me/sessions", denyImpersonation, getMySessions);
+
+// Log out every other device
+router.delete("/me/sessions", denyImpersonation, revokeOtherSessions);
+
+// Log out a single device
+router.delete("/me/sessions/:id", denyImpersonation, revokeMySession);
+
+/* ============================
+   PERSONAL DATA EXPORT (GDPR)
+   ============================ */
+
+// Status of recent export requests
+router.get("/me/export", getDataExports);
+
+// Request a new export – archive is built in the background and emailed
+router.post(
+  "/me/export",
+  denyImpersonation,
+  twoFactorAuth,
+  dataExportLimiter,
+  requestDataExport
+);
 
 /* ============================
    WISHLIST & ORDERS
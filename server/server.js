@@ -7,7 +7,12 @@ import mongoSanitize from "express-mongo-sanitize";
 import xss from "xss-clean";
 import hpp from "hpp";
 import compression from "compression";
+import cookieParser from "cookie-parser";
 import connectDB from "./config/db.js";
+import Role from "./models/Role.js";
+import { startAccountDeletionJob } from "./jobs/accountDeletion.js";
+import { startSaleScheduler } from "./jobs/saleScheduler.js";
+import { startDataExportCleanup } from "./jobs/dataExportCleanup.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import {
@@ -31,6 +36,9 @@ import productRoutes from "./routes/productRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js";
+import bundleRoutes from "./routes/bundleRoutes.js";
+import dealRoutes from "./routes/dealRoutes.js";
+import buildRoutes from "./routes/buildRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
@@ -46,6 +54,9 @@ dotenv.config({ path: "./config/config.env" });
 // Connect to MongoDB
 await connectDB();
 
+// Keep built-in staff roles in sync with config/permissions.js
+await Role.syncBuiltInRoles();
+
 // ES Module fix for __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -82,7 +93,7 @@ app.use(
     origin: process.env.CLIENT_URL,
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
   })
 );
 
@@ -101,6 +112,7 @@ app.post(
 // ----------------------------
 app.use(express.json({ limit: "10kb" }));
 app.use(express.urlencoded({ extended: true, limit: "10kb" }));
+app.use(cookieParser());
 app.use(mongoSanitize());
 app.use(xss());
 app.use(
@@ -144,6 +156,9 @@ app.use("/uploads", express.static(path.join(__dirname, "public/uploads")));
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/admin", adminRoutes);
 app.use("/api/v1/products", productRoutes);
+app.use("/api/v1/bundles", bundleRoutes);
+app.use("/api/v1/deals", dealRoutes);
+app.use("/api/v1/builds", buildRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/cart", cartRoutes);
 app.use("/api/v1/orders", orderRoutes);
@@ -196,6 +211,13 @@ const server = app.listen(PORT, () => {
   logger.info(`🔗 API Base URL: http://localhost:${PORT}/api/v1`);
 });
 
+// ----------------------------
+// ⏱️  Scheduled Jobs
+// ----------------------------
+startAccountDeletionJob();
+startSaleScheduler();
+startDataExportCleanup();
+
 // ----------------------------
 // 🧯  Graceful Shutdown
 // ----------------------------
@@ -0,0 +1,106 @@
+// server/utils/audit.js
+
+import AuditLog from "../models/AuditLog.js";
+import { logger } from "../middleware/logger.js";
+
+// Bookkeeping fields that never make a meaningful diff
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Values of these fields are never written to the audit trail
+const SENSITIVE_FIELD = /password|secret|token|hash|recoverycodes/i;
+const REDACTED = "[REDACTED]";
+
+/**
+ * Convert a mongoose document (or plain object) to JSON-safe plain data
+ */
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+/**
+ * Top-level field diff between two snapshots.
+ * Creates pass `before = null`, deletes pass `after = null`.
+ *
+ * @returns {{ field: string, before: *, after: * }[]}
+ */
+export const diffDocuments = (before, after) => {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+
+    const redact = SENSITIVE_FIELD.test(field);
+    changes.push({
+      field,
+      before: a[field] === undefined ? null : redact ? REDACTED : a[field],
+      after: b[field] === undefined ? null : redact ? REDACTED : b[field],
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Record a privileged mutation.
+ *
+ * Outside a transaction the write is best-effort: a failure is logged but
+ * never fails the admin request. Inside a transaction (`session`) errors
+ * propagate so the mutation and its audit entry commit or abort together.
+ *
+ * @param {import("express").Request} req
+ * @param {object} entry
+ * @param {string} entry.action        e.g. "product.update"
+ * @param {string} entry.targetModel   e.g. "Product"
+ * @param {*}      entry.targetId
+ * @param {object} [entry.before]      snapshot before the change
+ * @param {object} [entry.after]       snapshot after the change
+ * @param {object} [entry.metadata]    extra context (reason, amount, ...)
+ * @param {import("mongoose").ClientSession} [entry.session]
+ */
+export const recordAudit = async (
+  req,
+  { action, targetModel, targetId, before = null, after = null, metadata, session }
+) => {
+  // While impersonating, the staff member is the actor – not the customer
+  const actor = req.impersonator || req.user;
+
+  const entry = {
+    actor: actor?._id,
+    actorEmail: actor?.email,
+    impersonatedUser: req.impersonator ? req.user._id : null,
+    apiKey: req.apiKey?._id || null,
+    action,
+    targetModel,
+    targetId,
+    changes: diffDocuments(before, after),
+    metadata,
+    ip: req.ip,
+    userAgent: req.get?.("user-agent"),
+    requestId: req.requestId,
+  };
+
+  if (session) {
+    await AuditLog.create([entry], { session });
+    return;
+  }
+
+  try {
+    await AuditLog.create(entry);
+  } catch (err) {
+    logger.error("Failed to write audit log", {
+      action,
+      targetModel,
+      targetId: String(targetId),
+      requestId: req.requestId,
+      message: err.message,
+    });
+  }
+};
+
+export default recordAudit;
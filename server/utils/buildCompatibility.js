@@ -0,0 +1,384 @@
+// server/utils/buildCompatibility.js
+
+import { convertToUnit, normalizeSpecKey, parseLeadingSpecValue } from "./productCompare.js";
+
+/**
+ * PC build compatibility checks, run from the components' `specifications`.
+ *
+ * Each check reports "pass", "warning" (could not be verified, or close to a
+ * limit), "error" (the parts do not work together) or "skipped" (the build
+ * lacks the parts it needs). Spec keys are matched case-insensitively and
+ * through the aliases below, so both template keys (models/SpecTemplate.js)
+ * and free-form spellings work.
+ */
+
+export const MAX_BUILD_COMPONENTS = 20;
+
+// Spec keys (normalized) read for each property
+const SPEC_KEYS = {
+  socket: ["socket", "cpu socket", "socket type"],
+  memoryType: ["memory type", "ram type", "type"],
+  memorySlots: ["memory slots", "ram slots", "dimm slots"],
+  modules: ["modules", "module count", "kit"],
+  formFactor: ["form factor", "motherboard form factor"],
+  caseSupport: [
+    "motherboard support",
+    "supported motherboards",
+    "motherboard compatibility",
+    "form factor support",
+  ],
+  power: ["tdp", "power draw", "power consumption", "tgp", "total board power", "board power"],
+  wattage: ["wattage", "output", "max power", "power"],
+  gpuLength: ["length", "card length", "gpu length"],
+  gpuClearance: ["max gpu length", "gpu clearance", "max graphics card length"],
+};
+
+// Single parts of a build: more than one is an error
+const SINGLE_PARTS = ["CPU", "Motherboard", "Case", "Power Supply"];
+
+// Motherboard form factors, smallest first
+const FORM_FACTORS = ["Mini-ITX", "Micro-ATX", "ATX", "E-ATX"];
+// Most specific first ("E-ATX" and "Micro-ATX" also contain "ATX")
+const FORM_FACTOR_PATTERNS = [
+  [/\b(e-?atx|extended[\s-]?atx)\b/i, "E-ATX"],
+  [/\b(micro[\s-]?atx|[mu]-?atx)\b/i, "Micro-ATX"],
+  [/\b(mini[\s-]?itx|itx)\b/i, "Mini-ITX"],
+  [/\batx\b/i, "ATX"],
+];
+
+// Estimated draw (W) of parts that rarely list one
+const DEFAULT_POWER = {
+  CPU: 95,
+  GPU: 200,
+  Motherboard: 50,
+  RAMModule: 5,
+  Storage: 8,
+  Cooler: 10,
+  Case: 10, // fans
+};
+
+// Recommended headroom over the estimated draw
+const PSU_HEADROOM = 1.25;
+const PSU_WARNING_LOAD = 0.8;
+
+/* ---------------- Spec readers ---------------- */
+
+const findSpec = (product, property) => {
+  const keys = SPEC_KEYS[property];
+  return (product?.specifications || []).find((spec) =>
+    keys.includes(normalizeSpecKey(spec.key))
+  );
+};
+
+const specText = (product, property) => findSpec(product, property)?.value?.trim() || null;
+
+/**
+ * Numeric spec in `unit` (null for a plain count): the typed value when the
+ * template stored one, otherwise parsed from the text. A number without a
+ * known unit is taken to be in `unit`.
+ */
+const specNumber = (product, property, unit = null) => {
+  const spec = findSpec(product, property);
+  if (!spec) return null;
+  if (typeof spec.numericValue === "number" && (!spec.unit || spec.unit === unit)) {
+    return spec.numericValue;
+  }
+
+  // "850W 80+ Gold", "1,000 W", "300 mm (max)", "4 slots": the leading number and unit
+  const parsed = parseLeadingSpecValue(spec.value);
+  if (parsed.value === null) return null;
+  if (!parsed.unit) return parsed.number;
+  return unit ? convertToUnit(parsed, unit) : parsed.number;
+};
+
+const memoryType = (product) =>
+  specText(product, "memoryType")?.toUpperCase().match(/DDR\d/)?.[0] || null;
+
+// "ATX Mid Tower" → "ATX", "mATX" → "Micro-ATX"
+const normalizeFormFactor = (text) =>
+  FORM_FACTOR_PATTERNS.find(([pattern]) => pattern.test(String(text || "")))?.[1] || null;
+
+// "ATX, Micro-ATX / Mini-ITX" → ["ATX", "Micro-ATX", "Mini-ITX"]
+const formFactorList = (text) =>
+  [...new Set(String(text || "").split(/[,/;|]| and /i).map(normalizeFormFactor))].filter(
+    Boolean
+  );
+
+// RAM modules per kit: "Modules: 2", "2x16GB", "Kit: 2 x 8GB"
+const modulesPerKit = (product) => {
+  const modules = specText(product, "modules");
+  const fromModules = modules?.match(/^(\d+)/)?.[1];
+  if (fromModules) return Number(fromModules);
+
+  const kit = (product.specifications || [])
+    .map((spec) => String(spec.value).match(/(\d+)\s*x\s*\d+\s*gb/i)?.[1])
+    .find(Boolean);
+  return kit ? Number(kit) : 1;
+};
+
+/* ---------------- Checks ---------------- */
+
+const ids = (...parts) => parts.filter(Boolean).map((part) => part.product._id);
+
+const checkSocket = ({ cpu, motherboard }) => {
+  if (!cpu || !motherboard) return { status: "skipped" };
+
+  const cpuSocket = specText(cpu.product, "socket");
+  const boardSocket = specText(motherboard.product, "socket");
+  if (!cpuSocket || !boardSocket) {
+    return {
+      status: "warning",
+      message: `Could not verify the CPU socket (${!cpuSocket ? cpu.product.name : motherboard.product.name} lists none)`,
+      components: ids(cpu, motherboard),
+    };
+  }
+
+  const sameSocket = (a, b) =>
+    a.toUpperCase().replace(/[\s-]/g, "") === b.toUpperCase().replace(/[\s-]/g, "");
+  return sameSocket(cpuSocket, boardSocket)
+    ? { status: "pass", message: `CPU and motherboard both use ${boardSocket}` }
+    : {
+        status: "error",
+        message: `${cpu.product.name} (${cpuSocket}) does not fit the ${boardSocket} socket of ${motherboard.product.name}`,
+        components: ids(cpu, motherboard),
+      };
+};
+
+const checkMemory = ({ motherboard, ram }) => {
+  if (!motherboard || ram.length === 0) return { status: "skipped" };
+
+  const boardType = memoryType(motherboard.product);
+  const slots = specNumber(motherboard.product, "memorySlots");
+  const issues = [];
+  const warnings = [];
+
+  for (const kit of ram) {
+    const kitType = memoryType(kit.product);
+    if (!kitType || !boardType) {
+      warnings.push(`Could not verify the memory type of ${kit.product.name}`);
+    } else if (kitType !== boardType) {
+      issues.push(`${kit.product.name} is ${kitType} but ${motherboard.product.name} takes ${boardType}`);
+    }
+  }
+
+  const modules = ram.reduce((sum, kit) => sum + modulesPerKit(kit.product) * kit.quantity, 0);
+  if (slots === null) {
+    warnings.push(`Could not verify memory slots (${motherboard.product.name} lists none)`);
+  } else if (modules > slots) {
+    issues.push(`${modules} memory modules do not fit in ${slots} slots`);
+  }
+
+  if (issues.length) {
+    return { status: "error", message: issues.join("; "), components: ids(motherboard, ...ram) };
+  }
+  if (warnings.length) {
+    return { status: "warning", message: warnings.join("; "), components: ids(motherboard, ...ram) };
+  }
+  return { status: "pass", message: `${modules} × ${boardType} module(s) in ${slots} slots` };
+};
+
+const checkFormFactor = ({ motherboard, pcCase }) => {
+  if (!motherboard || !pcCase) return { status: "skipped" };
+
+  const board = normalizeFormFactor(specText(motherboard.product, "formFactor"));
+  if (!board) {
+    return {
+      status: "warning",
+      message: `Could not verify the form factor of ${motherboard.product.name}`,
+      components: ids(motherboard),
+    };
+  }
+
+  // Cases list the boards they take, or a form factor that takes it and smaller ones
+  let supported = formFactorList(specText(pcCase.product, "caseSupport"));
+  if (supported.length === 0) {
+    const largest = normalizeFormFactor(specText(pcCase.product, "formFactor"));
+    if (largest) supported = FORM_FACTORS.slice(0, FORM_FACTORS.indexOf(largest) + 1);
+  }
+  if (supported.length === 0) {
+    return {
+      status: "warning",
+      message: `Could not verify which motherboards ${pcCase.product.name} supports`,
+      components: ids(pcCase),
+    };
+  }
+
+  return supported.includes(board)
+    ? { status: "pass", message: `${pcCase.product.name} supports ${board} motherboards` }
+    : {
+        status: "error",
+        message: `${motherboard.product.name} (${board}) does not fit in ${pcCase.product.name} (supports ${supported.join(", ")})`,
+        components: ids(motherboard, pcCase),
+      };
+};
+
+/**
+ * Estimated peak draw of the build (W) and the parts whose draw was assumed
+ */
+export const estimatePower = ({ cpu, motherboard, gpus, ram, storage, coolers, pcCase }) => {
+  const assumed = [];
+  const draw = (part, fallback) => {
+    const watts = specNumber(part.product, "power", "W");
+    if (watts === null) assumed.push(part.product.name);
+    return (watts ?? fallback) * part.quantity;
+  };
+
+  let total = 0;
+  if (cpu) total += draw(cpu, DEFAULT_POWER.CPU);
+  gpus.forEach((gpu) => (total += draw(gpu, DEFAULT_POWER.GPU)));
+  if (motherboard) total += DEFAULT_POWER.Motherboard;
+  ram.forEach((kit) => (total += modulesPerKit(kit.product) * kit.quantity * DEFAULT_POWER.RAMModule));
+  storage.forEach((drive) => (total += DEFAULT_POWER.Storage * drive.quantity));
+  coolers.forEach((cooler) => (total += DEFAULT_POWER.Cooler * cooler.quantity));
+  if (pcCase) total += DEFAULT_POWER.Case;
+
+  return { watts: Math.round(total), assumed };
+};
+
+const checkPower = (parts, estimate) => {
+  const { psu } = parts;
+  if (!psu) return { status: "skipped" };
+
+  const wattage = specNumber(psu.product, "wattage", "W");
+  if (wattage === null) {
+    return {
+      status: "warning",
+      message: `Could not verify the wattage of ${psu.product.name}`,
+      components: ids(psu),
+    };
+  }
+
+  if (estimate.watts > wattage) {
+    return {
+      status: "error",
+      message: `Estimated draw of ${estimate.watts} W exceeds the ${wattage} W power supply`,
+      components: ids(psu),
+    };
+  }
+  if (estimate.watts > wattage * PSU_WARNING_LOAD) {
+    return {
+      status: "warning",
+      message: `Estimated draw of ${estimate.watts} W leaves little headroom on the ${wattage} W power supply`,
+      components: ids(psu),
+    };
+  }
+  if (estimate.assumed.length) {
+    return {
+      status: "warning",
+      message: `${wattage} W should be enough, but the draw of ${estimate.assumed.join(", ")} was estimated`,
+      components: ids(psu),
+    };
+  }
+  return { status: "pass", message: `${wattage} W covers the estimated ${estimate.watts} W` };
+};
+
+const checkGpuClearance = ({ gpus, pcCase }) => {
+  if (gpus.length === 0 || !pcCase) return { status: "skipped" };
+
+  const clearance = specNumber(pcCase.product, "gpuClearance", "mm");
+  if (clearance === null) {
+    return {
+      status: "warning",
+      message: `Could not verify the GPU clearance of ${pcCase.product.name}`,
+      components: ids(pcCase),
+    };
+  }
+
+  const tooLong = [];
+  const unknown = [];
+  for (const gpu of gpus) {
+    const length = specNumber(gpu.product, "gpuLength", "mm");
+    if (length === null) unknown.push(gpu.product.name);
+    else if (length > clearance) tooLong.push(`${gpu.product.name} (${length} mm)`);
+  }
+
+  if (tooLong.length) {
+    return {
+      status: "error",
+      message: `${tooLong.join(", ")} ${tooLong.length > 1 ? "are" : "is"} longer than the ${clearance} mm clearance of ${pcCase.product.name}`,
+      components: ids(pcCase, ...gpus),
+    };
+  }
+  if (unknown.length) {
+    return {
+      status: "warning",
+      message: `Could not verify the length of ${unknown.join(", ")}`,
+      components: ids(...gpus),
+    };
+  }
+  return { status: "pass", message: `GPU fits the ${clearance} mm clearance` };
+};
+
+const CHECKS = {
+  socket: checkSocket,
+  memory: checkMemory,
+  formFactor: checkFormFactor,
+  power: checkPower,
+  gpuClearance: checkGpuClearance,
+};
+
+/**
+ * Validate a build.
+ *
+ * @param {{ product: object, quantity: number }[]} components  products (lean,
+ *        with name, category and specifications) and how many of each
+ */
+export const validateBuild = (components) => {
+  const byCategory = (category) => components.filter((c) => c.product.category === category);
+
+  const errors = [];
+  const warnings = [];
+
+  for (const category of SINGLE_PARTS) {
+    const parts = byCategory(category);
+    const count = parts.reduce((sum, part) => sum + part.quantity, 0);
+    if (count > 1) {
+      errors.push({
+        check: "parts",
+        message: `A build takes one ${category}, got ${count}`,
+        components: ids(...parts),
+      });
+    }
+  }
+  if (byCategory("Prebuilt PCs").length) {
+    warnings.push({
+      check: "parts",
+      message: "Prebuilt PCs are complete systems and are not checked",
+      components: ids(...byCategory("Prebuilt PCs")),
+    });
+  }
+
+  const parts = {
+    cpu: byCategory("CPU")[0],
+    motherboard: byCategory("Motherboard")[0],
+    pcCase: byCategory("Case")[0],
+    psu: byCategory("Power Supply")[0],
+    gpus: byCategory("GPU"),
+    ram: byCategory("RAM"),
+    storage: byCategory("Storage"),
+    coolers: byCategory("Cooler"),
+  };
+  const power = estimatePower(parts);
+
+  const checks = Object.entries(CHECKS).map(([check, run]) => {
+    const result = run(parts, power);
+    const issue = { check, message: result.message, components: result.components };
+    if (result.status === "error") errors.push(issue);
+    if (result.status === "warning") warnings.push(issue);
+    return { check, ...result };
+  });
+
+  return {
+    compatible: errors.length === 0,
+    errors,
+    warnings,
+    checks,
+    power: {
+      estimatedWatts: power.watts,
+      recommendedPsuWatts: Math.ceil((power.watts * PSU_HEADROOM) / 50) * 50,
+      assumed: power.assumed,
+    },
+  };
+};
+
+export default validateBuild;
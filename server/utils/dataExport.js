@@ -0,0 +1,203 @@
+// server/utils/dataExport.js
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import User from "../models/User.js";
+import Order from "../models/Order.js";
+import Review from "../models/Review.js";
+import Cart from "../models/Cart.js";
+import DataExport from "../models/DataExport.js";
+import Email from "./email.js";
+import { createZip } from "./zip.js";
+import { generateDataExportToken } from "./generateToken.js";
+import { logger } from "../middleware/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(__dirname, "../../exports");
+
+/* ------------------------------- CSV helpers -------------------------------- */
+
+const ORDER_CSV_COLUMNS = [
+  "orderId",
+  "createdAt",
+  "status",
+  "items",
+  "itemsPrice",
+  "discountAmount",
+  "shippingPrice",
+  "taxPrice",
+  "totalPrice",
+  "isPaid",
+  "paidAt",
+  "isDelivered",
+  "deliveredAt",
+  "returnStatus",
+];
+
+// Quote when needed and neutralise spreadsheet formulas (=, +, -, @)
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const ordersToCsv = (orders) => {
+  const rows = orders.map((order) =>
+    [
+      order._id,
+      order.createdAt,
+      order.status,
+      (order.orderItems || [])
+        .map((item) => `${item.name} x${item.quantity}`)
+        .join("; "),
+      order.itemsPrice,
+      order.discountAmount,
+      order.shippingPrice,
+      order.taxPrice,
+      order.totalPrice,
+      order.isPaid,
+      order.paidAt,
+      order.isDelivered,
+      order.deliveredAt,
+      order.returnStatus,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+
+  return [ORDER_CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+};
+
+/* ------------------------------ Data collection ----------------------------- */
+
+/**
+ * Gather everything we hold about a user, split by category.
+ * Card numbers are masked by User#toJSON; secrets are never included.
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("+paymentMethods.cardNumber")
+    .populate("wishlist", "name brand category finalPrice");
+
+  if (!user) throw new Error("User not found");
+
+  const { addresses, paymentMethods, wishlist, ...profile } = user.toJSON();
+  delete profile.roles;
+
+  const [orders, reviews, cart] = await Promise.all([
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Review.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Cart.findOne({ user: userId })
+      .populate("items.product", "name brand finalPrice")
+      .lean(),
+  ]);
+
+  return {
+    profile,
+    addresses: addresses || [],
+    paymentMethods: paymentMethods || [],
+    orders,
+    reviews: reviews.map(({ user: _user, ...review }) => review),
+    cart: cart ? { items: cart.items, updatedAt: cart.updatedAt } : null,
+    wishlist: wishlist || [],
+  };
+};
+
+const buildArchive = (data, generatedAt) => {
+  const json = (value) => JSON.stringify(value, null, 2);
+
+  return createZip(
+    [
+      {
+        name: "README.txt",
+        content:
+          `GameShop personal data export\r\nGenerated: ${generatedAt.toISOString()}\r\n\r\n` +
+          "All files are UTF-8. Card numbers are masked; passwords and security secrets are never exported.\r\n",
+      },
+      { name: "profile.json", content: json(data.profile) },
+      { name: "addresses.json", content: json(data.addresses) },
+      { name: "payment-methods.json", content: json(data.paymentMethods) },
+      { name: "orders.json", content: json(data.orders) },
+      { name: "orders.csv", content: ordersToCsv(data.orders) },
+      { name: "reviews.json", content: json(data.reviews) },
+      { name: "cart.json", content: json(data.cart) },
+      { name: "wishlist.json", content: json(data.wishlist) },
+    ],
+    generatedAt
+  );
+};
+
+/* -------------------------------- Processing -------------------------------- */
+
+/**
+ * Build the archive for an export request and email the download link.
+ * Runs in the background – never throws; failures are stored on the export.
+ *
+ * @param {string} exportId
+ * @param {string} downloadBaseUrl  e.g. "https://host/api/v1/users/export/download"
+ */
+export const processDataExport = async (exportId, downloadBaseUrl) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  let filePath;
+  try {
+    const user = await User.findById(dataExport.user);
+    if (!user) throw new Error("User not found");
+
+    const generatedAt = new Date();
+    const archive = buildArchive(
+      await collectUserData(dataExport.user),
+      generatedAt
+    );
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`);
+    await fs.writeFile(filePath, archive, { mode: 0o600 });
+
+    const { token, hashedToken, expires } = generateDataExportToken();
+
+    dataExport.status = "ready";
+    dataExport.filePath = filePath;
+    dataExport.fileSize = archive.length;
+    dataExport.downloadToken = hashedToken;
+    dataExport.expiresAt = new Date(expires);
+    dataExport.completedAt = generatedAt;
+    await dataExport.save();
+
+    await new Email(user, `${downloadBaseUrl}/${token}`, {
+      expiresAt: dataExport.expiresAt,
+    }).sendDataExport();
+
+    logger.info("Data export ready", {
+      exportId: dataExport._id.toString(),
+      userId: user._id.toString(),
+      bytes: archive.length,
+    });
+  } catch (err) {
+    logger.error("Data export failed", {
+      exportId: dataExport._id.toString(),
+      message: err.message,
+    });
+
+    // Without the email the user has no way to fetch the archive
+    if (filePath) await fs.unlink(filePath).catch(() => {});
+
+    dataExport.status = "failed";
+    dataExport.error = err.message;
+    dataExport.filePath = undefined;
+    dataExport.downloadToken = undefined;
+    await dataExport.save().catch(() => {});
+  }
+};
+
+export default processDataExport;
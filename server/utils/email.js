@@ -118,6 +118,49 @@ export default class Email {
     });
   }
 
+  async sendAccountLocked() {
+    await this.send(
+      "accountLocked",
+      "Your GameShop account has been temporarily locked"
+    );
+  }
+
+  async sendTwoFactorReset() {
+    await this.send(
+      "twoFactorReset",
+      "Two-factor authentication was reset on your GameShop account"
+    );
+  }
+
+  async sendMagicLink() {
+    await this.send(
+      "magicLink",
+      "Your GameShop sign-in link (valid for 15 minutes)"
+    );
+  }
+
+  async sendEmailChangeConfirmation() {
+    await this.send(
+      "emailChangeConfirm",
+      "Confirm your new GameShop email address"
+    );
+  }
+
+  async sendEmailChangeNotice() {
+    await this.send(
+      "emailChangeNotice",
+      "Your GameShop email address is being changed"
+    );
+  }
+
+  async sendNewDeviceLogin() {
+    await this.send("newDeviceLogin", "New sign-in to your GameShop account");
+  }
+
+  async sendDataExport() {
+    await this.send("dataExport", "Your GameShop data export is ready");
+  }
+
   async sendVerificationEmail() {
     await this.send("emailVerification", "Verify your GameShop account email");
   }
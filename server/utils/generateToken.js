@@ -22,17 +22,29 @@ const JWT_CONFIG = {
     process.env.JWT_REFRESH_EXPIRES_IN ||
     process.env.JWT_EXPIRES_IN ||
     "30d",
+  impersonationExpires: process.env.JWT_IMPERSONATION_EXPIRES_IN || "15m",
 };
 
 const TOKEN_EXPIRY = {
   EMAIL_VERIFICATION: 24 * 60 * 60 * 1000, // 24 hours
   PASSWORD_RESET: 10 * 60 * 1000, // 10 minutes
+  ACCOUNT_UNLOCK: 60 * 60 * 1000, // 1 hour
+  DATA_EXPORT: 48 * 60 * 60 * 1000, // 48 hours
+  LOGIN_REPORT: 7 * 24 * 60 * 60 * 1000, // 7 days
+  MAGIC_LINK: 15 * 60 * 1000, // 15 minutes
+  EMAIL_CHANGE: 24 * 60 * 60 * 1000, // 24 hours
+  EMAIL_CHANGE_REVERT: 7 * 24 * 60 * 60 * 1000, // 7 days
 };
 
 // Core JWT Functions
-export const signToken = (userId, role = "user", expiresIn = null) => {
+export const signToken = (
+  userId,
+  role = "user",
+  expiresIn = null,
+  extraClaims = {}
+) => {
   try {
-    return jwt.sign({ userId, role }, process.env.JWT_SECRET, {
+    return jwt.sign({ ...extraClaims, userId, role }, process.env.JWT_SECRET, {
       algorithm: JWT_CONFIG.algorithm,
       expiresIn: expiresIn || JWT_CONFIG.expiresIn,
     });
@@ -73,11 +85,42 @@ export const generateEmailVerificationToken = () =>
 export const generatePasswordResetToken = () =>
   generateGenericToken(TOKEN_EXPIRY.PASSWORD_RESET);
 
+export const generateAccountUnlockToken = () =>
+  generateGenericToken(TOKEN_EXPIRY.ACCOUNT_UNLOCK);
+
+export const generateDataExportToken = () =>
+  generateGenericToken(TOKEN_EXPIRY.DATA_EXPORT);
+
+export const generateLoginReportToken = () =>
+  generateGenericToken(TOKEN_EXPIRY.LOGIN_REPORT);
+
+export const generateMagicLinkToken = () =>
+  generateGenericToken(TOKEN_EXPIRY.MAGIC_LINK);
+
+export const generateEmailChangeToken = () =>
+  generateGenericToken(TOKEN_EXPIRY.EMAIL_CHANGE);
+
+export const generateEmailChangeRevertToken = () =>
+  generateGenericToken(TOKEN_EXPIRY.EMAIL_CHANGE_REVERT);
+
 // Token Hashing Utility
 export const hashToken = (token) => {
   return crypto.createHash("sha256").update(token).digest("hex");
 };
 
+// API Keys (service-to-service). Only the hash is stored; the prefix is
+// kept in clear so admins can tell keys apart.
+const API_KEY_PREFIX = "gsk_";
+
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    hashedKey: hashToken(key),
+  };
+};
+
 // Token Verification Utility
 export const verifyTokenAndFindUser = async (
   token,
@@ -115,6 +158,58 @@ export const verifyPasswordResetToken = async (token) => {
   );
 };
 
+// Does NOT consume the token – call consumeMagicLinkToken once sign-in succeeds
+export const verifyMagicLinkToken = async (token) => {
+  const user = await verifyTokenAndFindUser(
+    token,
+    "magicLinkToken",
+    "magicLinkExpires"
+  );
+
+  // Reload with the 2FA + lockout state the login flow needs
+  return await User.findById(user._id).select(
+    "+twoFactorSecret +failedLoginAttempts +lockoutCount +lockUntil"
+  );
+};
+
+/**
+ * Atomically burn a magic-link token. Returns false if it was already used
+ * (e.g. two tabs redeeming the same link at once).
+ */
+export const consumeMagicLinkToken = async (userId, token) => {
+  const result = await User.updateOne(
+    { _id: userId, magicLinkToken: hashToken(token) },
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+export const verifyEmailChangeToken = async (token) => {
+  const user = await verifyTokenAndFindUser(
+    token,
+    "emailChangeToken",
+    "emailChangeExpires"
+  );
+  return await User.findById(user._id).select("+pendingEmail");
+};
+
+export const verifyEmailChangeRevertToken = async (token) => {
+  const user = await verifyTokenAndFindUser(
+    token,
+    "emailChangeRevertToken",
+    "emailChangeRevertExpires"
+  );
+  return await User.findById(user._id).select("+pendingEmail +previousEmail");
+};
+
+export const verifyAccountUnlockToken = async (token) => {
+  return await verifyTokenAndFindUser(
+    token,
+    "accountUnlockToken",
+    "accountUnlockExpires"
+  );
+};
+
 // Two-Factor Authentication
 export const generate2FASecret = (email) => {
   return speakeasy.generateSecret({
@@ -132,14 +227,87 @@ export const verify2FAToken = (secret, token) => {
   });
 };
 
+// Recovery codes: 10 codes of 10 base32 chars ("ABCDE-FGHIJ"), stored hashed
+const RECOVERY_CODE_CONFIG = {
+  count: 10,
+  alphabet: "ABCDEFGHJKLMNPQRSTUVWXYZ23456789", // no 0/O/1/I look-alikes
+  length: 10,
+};
+
+export const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+export const generateRecoveryCodes = (count = RECOVERY_CODE_CONFIG.count) => {
+  const { alphabet, length } = RECOVERY_CODE_CONFIG;
+  const codes = [];
+
+  while (codes.length < count) {
+    const bytes = crypto.randomBytes(length);
+    const raw = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("");
+    const code = `${raw.slice(0, length / 2)}-${raw.slice(length / 2)}`;
+    if (!codes.includes(code)) codes.push(code);
+  }
+
+  return {
+    codes,
+    hashedCodes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
 // Token Pair Generation
-export const generateTokenPair = (userId, role) => {
+// Both tokens carry the session id (`sid`) so they can be revoked server-side.
+// The refresh token gets a random `jti` so every rotation yields a new hash.
+export const generateTokenPair = (userId, role, sessionId) => {
+  const sid = String(sessionId);
+
+  const accessToken = signToken(userId, role, JWT_CONFIG.shortExpires, {
+    sid,
+    type: "access",
+  });
+  const refreshToken = signToken(userId, role, JWT_CONFIG.refreshExpires, {
+    sid,
+    type: "refresh",
+    jti: crypto.randomBytes(16).toString("hex"),
+  });
+
+  const { exp } = jwt.decode(refreshToken);
+
   return {
-    accessToken: signToken(userId, role, JWT_CONFIG.shortExpires),
-    refreshToken: signToken(userId, role, JWT_CONFIG.refreshExpires),
+    accessToken,
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    refreshExpiresAt: new Date(exp * 1000),
   };
 };
 
+/**
+ * Short-lived access token for a staff member acting as `userId`.
+ * Tagged with both identities; there is no refresh token.
+ */
+export const generateImpersonationToken = (
+  userId,
+  role,
+  sessionId,
+  impersonatorId
+) => {
+  const accessToken = signToken(
+    userId,
+    role,
+    JWT_CONFIG.impersonationExpires,
+    {
+      sid: String(sessionId),
+      type: "impersonation",
+      imp: String(impersonatorId),
+    }
+  );
+
+  const { exp } = jwt.decode(accessToken);
+
+  return { accessToken, expiresAt: new Date(exp * 1000) };
+};
+
 // User Model Helpers
 export const assignEmailVerificationToUser = async (user) => {
   const { token, hashedToken, expires } = generateEmailVerificationToken();
@@ -157,18 +325,113 @@ export const assignPasswordResetToUser = async (user) => {
   return token;
 };
 
+export const assignMagicLinkToUser = async (user) => {
+  const { token, hashedToken, expires } = generateMagicLinkToken();
+  user.magicLinkToken = hashedToken;
+  user.magicLinkExpires = expires;
+  await user.save({ validateBeforeSave: false });
+  return token;
+};
+
+/**
+ * Start an email change: one link for the new address (confirm) and one for
+ * the current address (revert). Returns both raw tokens.
+ */
+export const assignEmailChangeToUser = async (user, newEmail) => {
+  const confirm = generateEmailChangeToken();
+  const revert = generateEmailChangeRevertToken();
+
+  user.pendingEmail = newEmail;
+  user.emailChangeToken = confirm.hashedToken;
+  user.emailChangeExpires = confirm.expires;
+  user.emailChangeRevertToken = revert.hashedToken;
+  user.emailChangeRevertExpires = revert.expires;
+  user.previousEmail = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return { confirmToken: confirm.token, revertToken: revert.token };
+};
+
+export const assignAccountUnlockToUser = async (user) => {
+  const { token, hashedToken, expires } = generateAccountUnlockToken();
+  user.accountUnlockToken = hashedToken;
+  user.accountUnlockExpires = expires;
+  await user.save({ validateBeforeSave: false });
+  return token;
+};
+
+/**
+ * Atomically consume a recovery code – each code works exactly once.
+ */
+export const consumeRecoveryCode = async (userId, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== RECOVERY_CODE_CONFIG.length) return false;
+
+  const hashed = hashToken(normalized);
+  const result = await User.updateOne(
+    { _id: userId, twoFactorRecoveryCodes: hashed },
+    { $pull: { twoFactorRecoveryCodes: hashed } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Verify a second factor: a TOTP code, or failing that a recovery code.
+ * Returns the method used, or null when neither matches.
+ */
+export const verifySecondFactor = async (user, token) => {
+  if (!token) return null;
+
+  if (/^\d{6}$/.test(String(token).trim())) {
+    return verify2FAToken(user.twoFactorSecret, String(token).trim())
+      ? "totp"
+      : null;
+  }
+
+  return (await consumeRecoveryCode(user._id, token)) ? "recovery_code" : null;
+};
+
+export const assignRecoveryCodesToUser = async (user) => {
+  const { codes, hashedCodes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashedCodes;
+  user.twoFactorRecoveryCodesGeneratedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+  return codes;
+};
+
 export default {
   signToken,
   verifyJWT,
   generateEmailVerificationToken,
   generatePasswordResetToken,
+  generateAccountUnlockToken,
+  generateDataExportToken,
+  generateLoginReportToken,
+  generateMagicLinkToken,
+  generateEmailChangeToken,
+  generateEmailChangeRevertToken,
+  generateApiKey,
   generate2FASecret,
   verify2FAToken,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  verifySecondFactor,
   generateTokenPair,
+  generateImpersonationToken,
   assignEmailVerificationToUser,
   assignPasswordResetToUser,
+  assignRecoveryCodesToUser,
+  assignAccountUnlockToUser,
+  assignMagicLinkToUser,
+  assignEmailChangeToUser,
+  consumeMagicLinkToken,
   hashToken,
   verifyTokenAndFindUser,
   verifyEmailToken,
   verifyPasswordResetToken,
+  verifyAccountUnlockToken,
+  verifyMagicLinkToken,
+  verifyEmailChangeToken,
+  verifyEmailChangeRevertToken,
 };
@@ -0,0 +1,93 @@
+// server/utils/geoip.js
+
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../middleware/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Offline IPv4 → country lookup.
+ *
+ * Reads a CSV range file once (GEOIP_DB_PATH). Both common free formats work:
+ *   DB-IP lite:        1.0.0.0,1.0.0.255,AU
+ *   IP2Location LITE:  "16777216","16777471","AU","Australia"
+ * IPv6 rows are skipped. Without a file every lookup returns null.
+ */
+const GEOIP_DB_PATH =
+  process.env.GEOIP_DB_PATH || path.join(__dirname, "../data/geoip-country.csv");
+
+let rangesPromise = null;
+
+const ipv4ToInt = (ip) =>
+  ip.split(".").reduce((acc, octet) => acc * 256 + Number(octet), 0);
+
+const parseBound = (value) => {
+  const v = value.replace(/"/g, "").trim();
+  if (/^\d+$/.test(v)) return Number(v);
+  return net.isIPv4(v) ? ipv4ToInt(v) : null;
+};
+
+const loadRanges = async () => {
+  let raw;
+  try {
+    raw = await fs.readFile(GEOIP_DB_PATH, "utf8");
+  } catch (err) {
+    logger.warn("GeoIP database not available; countries will be unknown", {
+      path: GEOIP_DB_PATH,
+      message: err.message,
+    });
+    return { starts: [], ends: [], countries: [] };
+  }
+
+  const rows = [];
+  for (const line of raw.split(/\r?\n/)) {
+    const [from, to, country] = line.split(",");
+    if (!country) continue;
+
+    const start = parseBound(from);
+    const end = parseBound(to);
+    const code = country.replace(/"/g, "").trim().toUpperCase();
+    if (start === null || end === null || !/^[A-Z]{2}$/.test(code)) continue;
+
+    rows.push([start, end, code]);
+  }
+  rows.sort((a, b) => a[0] - b[0]);
+
+  logger.info("GeoIP database loaded", { ranges: rows.length });
+
+  return {
+    starts: rows.map((r) => r[0]),
+    ends: rows.map((r) => r[1]),
+    countries: rows.map((r) => r[2]),
+  };
+};
+
+/**
+ * @param {string} ip
+ * @returns {Promise<string|null>} ISO 3166-1 alpha-2 code, e.g. "DE"
+ */
+export const lookupCountry = async (ip) => {
+  const addr = String(ip || "").replace(/^::ffff:/, "");
+  if (!net.isIPv4(addr)) return null;
+
+  rangesPromise ||= loadRanges();
+  const { starts, ends, countries } = await rangesPromise;
+  const value = ipv4ToInt(addr);
+
+  // Binary search for the last range starting at or before the address
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (starts[mid] <= value) lo = mid + 1;
+    else hi = mid - 1;
+  }
+
+  return hi >= 0 && value <= ends[hi] ? countries[hi] : null;
+};
+
+export default lookupCountry;
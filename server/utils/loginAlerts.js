@@ -0,0 +1,141 @@
+// server/utils/loginAlerts.js
+
+import net from "net";
+import LoginEvent from "../models/LoginEvent.js";
+import Email from "./email.js";
+import { parseUserAgent } from "./userAgent.js";
+import { lookupCountry } from "./geoip.js";
+import { hashToken, generateLoginReportToken } from "./generateToken.js";
+import { logger, maskIp, securityLogger } from "../middleware/logger.js";
+
+/**
+ * Network prefix of an IP: /24 for IPv4, /48 for IPv6.
+ * Coarse enough that DHCP churn inside one network does not count as new.
+ */
+export const getIpPrefix = (ip) => {
+  const addr = String(ip || "").replace(/^::ffff:/, "");
+
+  if (net.isIPv4(addr)) {
+    return `${addr.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+
+  if (net.isIPv6(addr)) {
+    const [head, tail = ""] = addr.split("::");
+    const headParts = head ? head.split(":") : [];
+    const tailParts = tail ? tail.split(":") : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const full = [...headParts, ...Array(Math.max(0, missing)).fill("0"), ...tailParts];
+    return `${full.slice(0, 3).join(":")}::/48`;
+  }
+
+  return "unknown";
+};
+
+/**
+ * Coarse login fingerprint: user-agent family + IP prefix + country
+ */
+export const buildLoginFingerprint = async (req) => {
+  const userAgent = req.get("user-agent") || "";
+  const { browser, os } = parseUserAgent(userAgent);
+  const ipPrefix = getIpPrefix(req.ip);
+  const country = await lookupCountry(req.ip);
+
+  return {
+    fingerprint: hashToken([browser, os, ipPrefix, country || "??"].join("|")),
+    browser,
+    os,
+    ipPrefix,
+    country,
+    userAgent: userAgent.slice(0, 500),
+  };
+};
+
+/**
+ * Email the account owner about a flagged login with a "this wasn't me" link
+ */
+const sendLoginAlert = async (user, event, req) => {
+  const { token, hashedToken, expires } = generateLoginReportToken();
+
+  await LoginEvent.updateOne(
+    { _id: event._id },
+    {
+      $set: {
+        reportToken: hashedToken,
+        reportTokenExpires: new Date(expires),
+        alertSentAt: new Date(),
+      },
+    }
+  );
+
+  const reportURL = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/auth/not-me/${token}`;
+
+  await new Email(user, reportURL, {
+    device: `${event.browser} on ${event.os}`,
+    country: event.country,
+    ip: maskIp(event.ip),
+    loginAt: event.createdAt,
+  }).sendNewDeviceLogin();
+};
+
+/**
+ * Record a successful login and alert the user if it came from a
+ * fingerprint they have not used before. Never throws – a failure here
+ * must not block the login itself.
+ *
+ * @returns {Promise<object|null>} the LoginEvent, or null on failure
+ */
+export const recordLogin = async (user, req, { method = "password" } = {}) => {
+  try {
+    const fp = await buildLoginFingerprint(req);
+    const known = { user: user._id, reportedAt: null };
+
+    const [hasHistory, seenFingerprint, seenCountry] = await Promise.all([
+      LoginEvent.exists({ user: user._id }),
+      LoginEvent.exists({ ...known, fingerprint: fp.fingerprint }),
+      fp.country ? LoginEvent.exists({ ...known, country: fp.country }) : true,
+    ]);
+
+    // The very first recorded login has nothing to compare against
+    const flagReasons = [];
+    if (hasHistory && !seenFingerprint) flagReasons.push("new_device");
+    if (hasHistory && !seenCountry) flagReasons.push("new_country");
+
+    const event = await LoginEvent.create({
+      ...fp,
+      user: user._id,
+      ip: req.ip,
+      method,
+      flagged: flagReasons.length > 0,
+      flagReasons,
+    });
+
+    if (event.flagged) {
+      securityLogger.suspiciousLogin(
+        user._id.toString(),
+        req.ip,
+        flagReasons,
+        fp.country
+      );
+
+      sendLoginAlert(user, event, req).catch((err) => {
+        logger.error("Login alert email failed", {
+          userId: user._id.toString(),
+          eventId: event._id.toString(),
+          message: err.message,
+        });
+      });
+    }
+
+    return event;
+  } catch (err) {
+    logger.error("Failed to record login event", {
+      userId: user._id?.toString(),
+      message: err.message,
+    });
+    return null;
+  }
+};
+
+export default recordLogin;
@@ -0,0 +1,321 @@
+// server/utils/oidc.js
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AppError from "./appError.js";
+import { logger } from "../middleware/logger.js";
+
+/**
+ * Minimal OpenID Connect relying party: discovery, authorization code +
+ * PKCE (S256), token exchange and ID token validation against the issuer's
+ * JWKS. Works with any standards-compliant issuer, including local mocks.
+ */
+
+const HTTP_TIMEOUT_MS = 5000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFRESH_MS = 30 * 1000; // unknown `kid` → refetch at most every 30s
+const CLOCK_TOLERANCE_S = 60;
+
+// Asymmetric algorithms only – "none" and HMAC are never accepted
+const ALLOWED_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+const discoveryCache = new Map(); // issuer → { doc, fetchedAt }
+const jwksCache = new Map(); // jwks_uri → { keys, fetchedAt }
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+/* ---------------------------------- HTTP ----------------------------------- */
+
+const fetchJson = async (url, options = {}, context = "request") => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...options.headers },
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+  } catch (err) {
+    logger.error(`OIDC ${context} failed`, { url, message: err.message });
+    throw new AppError("Sign-in provider is unreachable", 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    logger.warn(`OIDC ${context} rejected`, {
+      url,
+      status: response.status,
+      error: body?.error,
+      errorDescription: body?.error_description,
+    });
+    throw new AppError("Sign-in provider rejected the request", 502);
+  }
+
+  return body;
+};
+
+/* -------------------------------- Discovery -------------------------------- */
+
+/**
+ * Fetch (and cache) the issuer's /.well-known/openid-configuration
+ */
+export const getDiscovery = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+    return cached.doc;
+  }
+
+  const doc = await fetchJson(
+    `${provider.issuer}/.well-known/openid-configuration`,
+    {},
+    "discovery"
+  );
+
+  // The document must describe the issuer we were configured with
+  if (doc.issuer?.replace(/\/+$/, "") !== provider.issuer) {
+    logger.error("OIDC discovery issuer mismatch", {
+      provider: provider.id,
+      expected: provider.issuer,
+      received: doc.issuer,
+    });
+    throw new AppError("Sign-in provider is misconfigured", 502);
+  }
+
+  for (const field of ["authorization_endpoint", "token_endpoint", "jwks_uri"]) {
+    if (!doc[field]) {
+      logger.error("OIDC discovery document incomplete", {
+        provider: provider.id,
+        missing: field,
+      });
+      throw new AppError("Sign-in provider is misconfigured", 502);
+    }
+  }
+
+  discoveryCache.set(provider.issuer, { doc, fetchedAt: Date.now() });
+  return doc;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) =>
+    keys.find((k) => (kid ? k.kid === kid : true) && k.use !== "enc");
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && findKey(cached.keys);
+
+  // Key rotation: refetch when the kid is unknown (throttled)
+  if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_MIN_REFRESH_MS)) {
+    const { keys = [] } = await fetchJson(jwksUri, {}, "JWKS fetch");
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new AppError("ID token signed with an unknown key", 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/* ---------------------------------- PKCE ----------------------------------- */
+
+/**
+ * Per-login secrets: state (CSRF), nonce (replay) and the PKCE verifier
+ */
+export const createAuthorizationRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    ),
+  };
+};
+
+export const buildAuthorizationUrl = async (
+  provider,
+  { redirectUri, state, nonce, codeChallenge }
+) => {
+  const { authorization_endpoint: endpoint } = await getDiscovery(provider);
+
+  const url = new URL(endpoint);
+  url.search = new URLSearchParams({
+    ...Object.fromEntries(url.searchParams),
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes.join(" "),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * The per-login secrets travel in a short-lived signed cookie between the
+ * redirect to the issuer and the callback – nothing is stored server-side.
+ */
+export const OIDC_STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+export const sealAuthorizationRequest = (payload) =>
+  jwt.sign({ ...payload, purpose: "oidc_login" }, process.env.JWT_SECRET, {
+    algorithm: "HS256",
+    expiresIn: OIDC_STATE_TTL_MS / 1000,
+  });
+
+export const openAuthorizationRequest = (sealed) => {
+  try {
+    const payload = jwt.verify(sealed, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+    return payload.purpose === "oidc_login" ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/* ------------------------------ Token exchange ------------------------------ */
+
+const exchangeCode = async (provider, { code, redirectUri, codeVerifier }) => {
+  const doc = await getDiscovery(provider);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+  // client_secret_basic is the spec default; fall back to _post if that's all it takes
+  const methods = doc.token_endpoint_auth_methods_supported;
+  if (
+    Array.isArray(methods) &&
+    !methods.includes("client_secret_basic") &&
+    methods.includes("client_secret_post")
+  ) {
+    params.set("client_id", provider.clientId);
+    params.set("client_secret", provider.clientSecret);
+  } else {
+    const encode = (v) => encodeURIComponent(v);
+    headers.Authorization = `Basic ${Buffer.from(
+      `${encode(provider.clientId)}:${encode(provider.clientSecret)}`
+    ).toString("base64")}`;
+  }
+
+  const tokens = await fetchJson(
+    doc.token_endpoint,
+    { method: "POST", headers, body: params },
+    "token exchange"
+  );
+
+  if (!tokens.id_token) {
+    throw new AppError("Sign-in provider did not return an ID token", 502);
+  }
+
+  return tokens;
+};
+
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const doc = await getDiscovery(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new AppError("Invalid ID token", 401);
+  }
+
+  const key = await getSigningKey(doc.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: doc.issuer,
+      audience: provider.clientId,
+      clockTolerance: CLOCK_TOLERANCE_S,
+    });
+  } catch (err) {
+    logger.warn("OIDC ID token rejected", {
+      provider: provider.id,
+      reason: err.message,
+    });
+    throw new AppError("Invalid ID token", 401);
+  }
+
+  const multipleAudiences = Array.isArray(claims.aud) && claims.aud.length > 1;
+  if (
+    !claims.sub ||
+    claims.nonce !== nonce ||
+    ((multipleAudiences || claims.azp) && claims.azp !== provider.clientId)
+  ) {
+    throw new AppError("Invalid ID token", 401);
+  }
+
+  return claims;
+};
+
+const fetchUserInfo = async (provider, accessToken) => {
+  const doc = await getDiscovery(provider);
+  if (!doc.userinfo_endpoint || !accessToken) return {};
+
+  return await fetchJson(
+    doc.userinfo_endpoint,
+    { headers: { Authorization: `Bearer ${accessToken}` } },
+    "userinfo"
+  );
+};
+
+/**
+ * Finish the authorization-code flow and return the verified identity.
+ *
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>}
+ */
+export const completeAuthorization = async (
+  provider,
+  { code, redirectUri, codeVerifier, nonce }
+) => {
+  const tokens = await exchangeCode(provider, {
+    code,
+    redirectUri,
+    codeVerifier,
+  });
+  let claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  // Some issuers keep email/profile claims out of the ID token
+  if (!claims.email) {
+    const userInfo = await fetchUserInfo(provider, tokens.access_token);
+    if (userInfo.sub === claims.sub) claims = { ...userInfo, ...claims };
+  }
+
+  const name =
+    claims.name ||
+    [claims.given_name, claims.family_name].filter(Boolean).join(" ") ||
+    claims.preferred_username ||
+    null;
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+    // Some issuers send the string "true"
+    emailVerified: claims.email_verified === true || claims.email_verified === "true",
+    name,
+  };
+};
+
+export default completeAuthorization;
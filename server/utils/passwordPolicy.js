@@ -0,0 +1,235 @@
+// server/utils/passwordPolicy.js
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import bcrypt from "bcryptjs";
+import AppError from "./appError.js";
+import User from "../models/User.js";
+import { PASSWORD_POLICY } from "../config/passwordPolicy.js";
+import { logger } from "../middleware/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Offline breached-password list, same k-anonymity layout as the
+ * Pwned Passwords range API: SHA-1 of the password, split into a 5-char
+ * prefix (bucket) and the remaining suffix, lines "SUFFIX:COUNT".
+ *
+ *   Directory:   <prefix>.txt per bucket (e.g. 5BAA6.txt) – read on demand
+ *   Single file: "FULLHASH:COUNT" lines – loaded into memory once, so keep
+ *                it to a curated list (e.g. the top million)
+ *
+ * Without either every check passes (with a warning at first use).
+ */
+const BREACHED_PASSWORDS_PATH =
+  PASSWORD_POLICY.breachedListPath ||
+  path.join(__dirname, "../data/breached-passwords");
+
+const BUCKET_CACHE_SIZE = 256;
+
+let sourcePromise = null;
+const bucketCache = new Map(); // prefix → Map(suffix → count), oldest first
+
+const parseBucket = (raw) => {
+  const bucket = new Map();
+  for (const line of raw.split(/\r?\n/)) {
+    const [hash, count] = line.trim().split(":");
+    if (!hash) continue;
+    bucket.set(hash.toUpperCase(), Number(count) || 1);
+  }
+  return bucket;
+};
+
+const loadSource = async () => {
+  try {
+    const stat = await fs.stat(BREACHED_PASSWORDS_PATH);
+
+    if (stat.isDirectory()) {
+      logger.info("Breached password list: range directory", {
+        path: BREACHED_PASSWORDS_PATH,
+      });
+      return { type: "directory" };
+    }
+
+    // Single file: group the full hashes into in-memory buckets
+    const buckets = new Map();
+    const raw = await fs.readFile(BREACHED_PASSWORDS_PATH, "utf8");
+    for (const [hash, count] of parseBucket(raw)) {
+      const prefix = hash.slice(0, 5);
+      if (!buckets.has(prefix)) buckets.set(prefix, new Map());
+      buckets.get(prefix).set(hash.slice(5), count);
+    }
+
+    logger.info("Breached password list loaded", { buckets: buckets.size });
+    return { type: "file", buckets };
+  } catch (err) {
+    logger.warn("Breached password list not available; check skipped", {
+      path: BREACHED_PASSWORDS_PATH,
+      message: err.message,
+    });
+    return { type: "none" };
+  }
+};
+
+const getBucket = async (prefix) => {
+  sourcePromise ||= loadSource();
+  const source = await sourcePromise;
+
+  if (source.type === "file") return source.buckets.get(prefix) || null;
+  if (source.type !== "directory") return null;
+
+  if (bucketCache.has(prefix)) return bucketCache.get(prefix);
+
+  let bucket;
+  try {
+    bucket = parseBucket(
+      await fs.readFile(path.join(BREACHED_PASSWORDS_PATH, `${prefix}.txt`), "utf8")
+    );
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logger.error("Breached password bucket unreadable", {
+        prefix,
+        message: err.message,
+      });
+    }
+    bucket = new Map();
+  }
+
+  bucketCache.set(prefix, bucket);
+  if (bucketCache.size > BUCKET_CACHE_SIZE) {
+    bucketCache.delete(bucketCache.keys().next().value);
+  }
+  return bucket;
+};
+
+/**
+ * How often the password appears in the breached list (0 = not found)
+ */
+export const breachedCount = async (password) => {
+  const hash = crypto
+    .createHash("sha1")
+    .update(String(password))
+    .digest("hex")
+    .toUpperCase();
+
+  const bucket = await getBucket(hash.slice(0, 5));
+  return bucket?.get(hash.slice(5)) || 0;
+};
+
+/* ---------------------------------- Rules ----------------------------------- */
+
+const CHARACTER_RULES = [
+  {
+    rule: "lowercase",
+    flag: "requireLowercase",
+    test: /[a-z]/,
+    message: "must contain a lowercase letter",
+  },
+  {
+    rule: "uppercase",
+    flag: "requireUppercase",
+    test: /[A-Z]/,
+    message: "must contain an uppercase letter",
+  },
+  {
+    rule: "number",
+    flag: "requireNumber",
+    test: /[0-9]/,
+    message: "must contain a number",
+  },
+  {
+    rule: "symbol",
+    flag: "requireSymbol",
+    test: /[^A-Za-z0-9]/,
+    message: "must contain a symbol",
+  },
+];
+
+/**
+ * Rules that only need the password itself
+ *
+ * @returns {{ rule: string, message: string }[]} failed rules
+ */
+export const checkPasswordRules = (password, policy = PASSWORD_POLICY) => {
+  const failures = [];
+  const value = String(password ?? "");
+
+  if (value.length < policy.minLength) {
+    failures.push({
+      rule: "min-length",
+      message: `must be at least ${policy.minLength} characters`,
+    });
+  }
+  if (Buffer.byteLength(value) > policy.maxLength) {
+    failures.push({
+      rule: "max-length",
+      message: `must be at most ${policy.maxLength} bytes`,
+    });
+  }
+
+  for (const { rule, flag, test, message } of CHARACTER_RULES) {
+    if (policy[flag] && !test.test(value)) failures.push({ rule, message });
+  }
+
+  return failures;
+};
+
+const policyError = (failures) =>
+  new AppError(
+    `Password does not meet the password policy: ${failures
+      .map((f) => `[${f.rule}] ${f.message}`)
+      .join("; ")}`,
+    400,
+    { rules: failures.map((f) => f.rule) },
+    true,
+    "PASSWORD_POLICY"
+  );
+
+/**
+ * Enforce the full password policy; throws a 400 AppError naming every
+ * failed rule. Pass `userId` when changing an existing password so the
+ * history rule can apply.
+ */
+export const enforcePasswordPolicy = async (password, { userId } = {}) => {
+  const policy = PASSWORD_POLICY;
+
+  const failures = checkPasswordRules(password, policy);
+  if (failures.length > 0) throw policyError(failures);
+
+  const count = await breachedCount(password);
+  if (count >= policy.breachedMinCount) {
+    throw policyError([
+      {
+        rule: "breached",
+        message: "has appeared in a known data breach; choose a different one",
+      },
+    ]);
+  }
+
+  if (userId && policy.historySize > 0) {
+    const user = await User.findOne({
+      _id: userId,
+      active: { $in: [true, false] },
+    }).select("+password +passwordHistory");
+
+    const hashes = [user?.password, ...(user?.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.historySize);
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(String(password), hash)) {
+        throw policyError([
+          {
+            rule: "history",
+            message: `must not match any of your last ${policy.historySize} passwords`,
+          },
+        ]);
+      }
+    }
+  }
+};
+
+export default enforcePasswordPolicy;
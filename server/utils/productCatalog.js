@@ -0,0 +1,266 @@
+// server/utils/productCatalog.js
+
+/**
+ * Product catalog import/export format (CSV and JSON).
+ *
+ * Both formats use the same fields. In CSV:
+ * - `images` and `features` are "|"-separated lists
+ * - `specifications`, `variantOptions` and `variants` are JSON
+ * - `dimensions` is split into dimensions.length / .width / .height
+ * - an empty cell leaves the field unset (unchanged on upsert)
+ * - cells starting with = + - @ are exported with a leading "'"
+ */
+
+export const CATALOG_COLUMNS = [
+  "sku",
+  "name",
+  "category",
+  "brand",
+  "description",
+  "originalPrice",
+  "discountPercentage",
+  "stock",
+  "availability",
+  "images",
+  "features",
+  "specifications",
+  "warranty",
+  "weight",
+  "dimensions.length",
+  "dimensions.width",
+  "dimensions.height",
+  "isActive",
+  "isFeatured",
+  "variantOptions",
+  "variants",
+];
+
+const LIST_COLUMNS = ["images", "features"];
+const JSON_COLUMNS = ["specifications", "variantOptions", "variants"];
+const LIST_SEPARATOR = "|";
+
+// Fields read from the database for an export
+export const CATALOG_SELECT = [
+  ...new Set(CATALOG_COLUMNS.map((column) => column.split(".")[0])),
+].join(" ");
+
+/* ---------------- CSV ---------------- */
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, escaped quotes, CRLF, UTF-8 BOM).
+ *
+ * @returns {{ line: number, cells: string[] }[]} non-empty records with
+ *          the line they start on
+ */
+export const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== "") {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (cell !== "" || cells.length > 0) endRecord();
+
+  return records;
+};
+
+// Cells a spreadsheet would run as a formula get a leading "'" (stripped on
+// import). Numbers such as "-5" are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const FORMULA_ESCAPE = "'";
+const NUMERIC_TEXT = /^-?\d+(?:\.\d+)?$/;
+
+const escapeFormula = (text) =>
+  FORMULA_START.test(text) && !NUMERIC_TEXT.test(text) ? `${FORMULA_ESCAPE}${text}` : text;
+
+const unescapeFormula = (text) =>
+  text.startsWith(FORMULA_ESCAPE) && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+
+const escapeCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "string" ? escapeFormula(value) : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+export const toCsvLine = (values) => `${values.map(escapeCsvCell).join(",")}\r\n`;
+
+export const csvHeader = () => toCsvLine(CATALOG_COLUMNS);
+
+/* ---------------- Records ---------------- */
+
+/**
+ * Product (lean) → catalog record; the inverse of `recordToProductData`
+ */
+export const productToRecord = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  category: product.category,
+  brand: product.brand,
+  description: product.description,
+  originalPrice: product.originalPrice,
+  discountPercentage: product.discountPercentage,
+  stock: product.stock,
+  availability: product.availability,
+  images: product.images || [],
+  features: product.features || [],
+  specifications: (product.specifications || []).map(({ key, value }) => ({ key, value })),
+  warranty: product.warranty,
+  weight: product.weight,
+  dimensions: product.dimensions,
+  isActive: product.isActive,
+  isFeatured: product.isFeatured,
+  variantOptions: (product.variantOptions || []).map(({ name, values }) => ({ name, values })),
+  variants: (product.variants || []).map((v) => ({
+    sku: v.sku,
+    options: v.options instanceof Map ? Object.fromEntries(v.options) : v.options,
+    originalPrice: v.originalPrice,
+    discountPercentage: v.discountPercentage,
+    stock: v.stock,
+    availability: v.availability,
+    images: v.images || [],
+    isActive: v.isActive,
+  })),
+});
+
+/**
+ * Catalog record → CSV line
+ */
+export const recordToCsvLine = (record) =>
+  toCsvLine(
+    CATALOG_COLUMNS.map((column) => {
+      const [field, sub] = column.split(".");
+      const value = sub ? record[field]?.[sub] : record[field];
+      if (LIST_COLUMNS.includes(column)) return (value || []).join(LIST_SEPARATOR);
+      if (JSON_COLUMNS.includes(column)) return value?.length ? JSON.stringify(value) : "";
+      return value;
+    })
+  );
+
+/**
+ * CSV records (first one is the header) → catalog records.
+ * Unknown columns are rejected so a typo never silently drops a field.
+ *
+ * @returns {{ row: number, record?: object, errors?: string[] }[]}
+ */
+export const csvToRecords = (csvRecords) => {
+  const [header, ...rows] = csvRecords;
+  if (!header) return [];
+
+  const columns = header.cells.map((c) => c.trim());
+  const unknown = columns.filter((c) => c && !CATALOG_COLUMNS.includes(c));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV columns: ${unknown.join(", ")}`);
+  }
+  if (!columns.includes("sku")) {
+    throw new Error("CSV header must include a sku column");
+  }
+
+  return rows.map(({ line, cells }) => {
+    const record = {};
+    const errors = [];
+
+    columns.forEach((column, i) => {
+      const cell = unescapeFormula((cells[i] ?? "").trim());
+      if (!column || cell === "") return;
+
+      const [field, sub] = column.split(".");
+      let value = cell;
+      if (LIST_COLUMNS.includes(column)) {
+        value = cell.split(LIST_SEPARATOR).map((v) => v.trim()).filter(Boolean);
+      } else if (JSON_COLUMNS.includes(column)) {
+        try {
+          value = JSON.parse(cell);
+        } catch {
+          errors.push(`${column}: invalid JSON`);
+          return;
+        }
+      }
+
+      if (sub) {
+        record[field] = { ...record[field], [sub]: value };
+      } else {
+        record[field] = value;
+      }
+    });
+
+    return errors.length ? { row: line, errors } : { row: line, record };
+  });
+};
+
+/**
+ * JSON catalog (an array, or { products: [...] }) → catalog records
+ */
+export const jsonToRecords = (text) => {
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.products;
+  if (!Array.isArray(items)) {
+    throw new Error("JSON must be an array of products or { products: [...] }");
+  }
+
+  return items.map((item, i) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? { row: i + 1, record: item }
+      : { row: i + 1, errors: ["Row must be an object"] }
+  );
+};
+
+/**
+ * Catalog record → fields for `Product#set`. Values are left for mongoose to
+ * cast so type errors surface as validation errors.
+ */
+export const recordToProductData = (record) => {
+  const data = {};
+  for (const column of CATALOG_COLUMNS) {
+    const [field, sub] = column.split(".");
+    const value = sub ? record[field]?.[sub] : record[field];
+    if (value === undefined || value === null || value === "") continue;
+
+    // Dotted paths so an upsert only replaces the given dimensions
+    data[column] = typeof value === "string" ? value.trim() : value;
+  }
+  return data;
+};
@@ -0,0 +1,305 @@
+// server/utils/productCompare.js
+
+/**
+ * Product comparison: aligns the `specifications` of a few products into one
+ * matrix (one row per spec key, one column per product) and marks the best
+ * value of each row when it is known whether higher or lower is better.
+ *
+ * Values such as "16 GB", "16GB" and "16384 MB" are parsed into a number in a
+ * base unit so they compare (and display) the same way.
+ */
+
+export const MAX_COMPARE_PRODUCTS = 4;
+export const MIN_COMPARE_PRODUCTS = 2;
+
+// Unit aliases → [dimension, factor to the base unit, display symbol]
+const UNITS = {
+  b: ["data", 1 / 1024 ** 3, "B"],
+  kb: ["data", 1 / 1024 ** 2, "KB"],
+  mb: ["data", 1 / 1024, "MB"],
+  gb: ["data", 1, "GB"],
+  tb: ["data", 1024, "TB"],
+  "mb/s": ["throughput", 1, "MB/s"],
+  "gb/s": ["throughput", 1000, "GB/s"],
+  hz: ["frequency", 1e-6, "Hz"],
+  khz: ["frequency", 1e-3, "kHz"],
+  mhz: ["frequency", 1, "MHz"],
+  ghz: ["frequency", 1000, "GHz"],
+  "mt/s": ["transfers", 1, "MT/s"],
+  w: ["power", 1, "W"],
+  watt: ["power", 1, "W"],
+  watts: ["power", 1, "W"],
+  kw: ["power", 1000, "kW"],
+  ns: ["time", 1e-6, "ns"],
+  ms: ["time", 1, "ms"],
+  s: ["time", 1000, "s"],
+  mm: ["length", 1, "mm"],
+  cm: ["length", 10, "cm"],
+  m: ["length", 1000, "m"],
+  in: ["length", 25.4, "in"],
+  inch: ["length", 25.4, "in"],
+  inches: ["length", 25.4, "in"],
+  '"': ["length", 25.4, "in"],
+  g: ["mass", 1, "g"],
+  kg: ["mass", 1000, "kg"],
+  lb: ["mass", 453.592, "lb"],
+  lbs: ["mass", 453.592, "lb"],
+  rpm: ["rotation", 1, "RPM"],
+  db: ["loudness", 1, "dB"],
+  dba: ["loudness", 1, "dBA"],
+  cfm: ["airflow", 1, "CFM"],
+  mah: ["charge", 1, "mAh"],
+  mp: ["resolution", 1, "MP"],
+  dpi: ["sensitivity", 1, "DPI"],
+  core: ["count", 1, "cores"],
+  cores: ["count", 1, "cores"],
+  thread: ["count", 1, "threads"],
+  threads: ["count", 1, "threads"],
+};
+
+// Rows where higher/lower is better. Matched against the normalized key.
+const DIRECTIONS = [
+  [/\b(tdp|power (draw|consumption)|latency|cas|response time|noise|weight)\b/, "lower"],
+  [
+    /\b(vram|memory|ram|capacity|storage|cache|cores?|threads?|clock|frequency|speed|boost|refresh|bandwidth|wattage|read|write|dpi|resolution|airflow|warranty|mp)\b/,
+    "higher",
+  ],
+];
+
+// Display symbol → factor to the base unit
+const SYMBOL_FACTORS = Object.fromEntries(
+  Object.values(UNITS).map(([, factor, symbol]) => [symbol, factor])
+);
+
+// A comma followed by exactly three digits groups thousands ("1,000 W"),
+// otherwise it is a decimal mark ("1,5 GHz")
+const NUMBER = String.raw`-?(?:\d{1,3}(?:,\d{3})+(?!\d)(?:\.\d+)?|\d+(?:[.,]\d+)?)`;
+const GROUPED_NUMBER = /^-?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+const NUMBER_WITH_UNIT = new RegExp(`^(${NUMBER})\\s*([a-z/"]+)?$`, "i");
+const LEADING_NUMBER_WITH_UNIT = new RegExp(`^\\s*(${NUMBER})\\s*([a-z/"]+)?`, "i");
+
+// Drops floating point noise (3.2 GHz = 3200 MHz) but keeps small values
+// such as 144 Hz in MHz
+const round = (value) => Number(value.toPrecision(12));
+
+// Shown values: three decimals, or three significant digits below 1
+const displayNumber = (value) =>
+  Math.abs(value) >= 1 ? Math.round(value * 1000) / 1000 : Number(value.toPrecision(3));
+
+const parseNumber = (text) =>
+  Number(GROUPED_NUMBER.test(text) ? text.replace(/,/g, "") : text.replace(",", "."));
+
+/**
+ * Spec keys match case- and whitespace-insensitively ("VRAM" = "vram ")
+ */
+export const normalizeSpecKey = (key) =>
+  String(key).trim().toLowerCase().replace(/[\s_-]+/g, " ");
+
+/**
+ * Parse a spec value. Numeric values (optionally with a known unit) get a
+ * `value` in the base unit of their `dimension` and the `number` as written;
+ * anything else is text.
+ *
+ * @returns {{ raw: string, display: string, value: number|null, number: number|null,
+ *            dimension: string|null, unit: string|null }}
+ */
+export const parseSpecValue = (raw) => {
+  const text = String(raw ?? "").trim();
+  const match = text.match(NUMBER_WITH_UNIT);
+  const plainText = {
+    raw: text,
+    display: text,
+    value: null,
+    number: null,
+    dimension: null,
+    unit: null,
+  };
+  if (!match) return plainText;
+
+  const number = parseNumber(match[1]);
+  const unit = match[2] ? UNITS[match[2].toLowerCase()] : ["number", 1, ""];
+  if (!unit) return plainText;
+
+  const [dimension, factor, symbol] = unit;
+  return {
+    raw: text,
+    display: symbol ? `${number} ${symbol}` : String(number),
+    value: round(number * factor),
+    number,
+    dimension,
+    unit: symbol,
+  };
+};
+
+/**
+ * Parse the number (and unit) a spec value starts with: "850W 80+ Gold",
+ * "300 mm (max)", "4 slots" (an unknown unit leaves the plain number)
+ */
+export const parseLeadingSpecValue = (raw) => {
+  const match = String(raw ?? "").match(LEADING_NUMBER_WITH_UNIT);
+  if (!match) return parseSpecValue(raw);
+  const parsed = parseSpecValue(match[0]);
+  return parsed.value !== null ? parsed : parseSpecValue(match[1]);
+};
+
+/**
+ * A parsed spec value expressed in another unit of the same dimension
+ * (null when the units are unknown or measure different things)
+ */
+export const convertToUnit = (parsed, symbol) => {
+  const target = Object.values(UNITS).find(([, , s]) => s === symbol);
+  if (!target || parsed.value === null || parsed.dimension !== target[0]) return null;
+  return round(parsed.value / target[1]);
+};
+
+/**
+ * Whether a unit symbol is one the parser understands ("GB", "W", "GHz")
+ */
+export const isKnownUnit = (symbol) => symbol in SYMBOL_FACTORS;
+
+/**
+ * Show every numeric cell of a row in the row's most used unit
+ * ("20480 MB" next to "16 GB" becomes "20 GB")
+ */
+const harmonizeUnits = (cells) => {
+  const numeric = cells.filter((cell) => cell?.unit);
+  if (new Set(numeric.map((cell) => cell.dimension)).size !== 1) return cells;
+
+  const counts = new Map();
+  numeric.forEach((cell) => counts.set(cell.unit, (counts.get(cell.unit) || 0) + 1));
+  const [unit] = [...counts].reduce((a, b) => (b[1] > a[1] ? b : a));
+
+  return cells.map((cell) =>
+    cell?.unit && cell.unit !== unit
+      ? { ...cell, display: `${displayNumber(cell.value / SYMBOL_FACTORS[unit])} ${unit}`, unit }
+      : cell
+  );
+};
+
+/**
+ * Whether higher or lower values of a row are better (null when unknown)
+ */
+export const specDirection = (normalizedKey) =>
+  DIRECTIONS.find(([pattern]) => pattern.test(normalizedKey))?.[1] || null;
+
+/**
+ * Warranty text ("2 years limited warranty", "36 months") → months
+ */
+export const parseWarrantyMonths = (warranty) => {
+  const match = String(warranty || "").match(/(\d+(?:\.\d+)?)\s*(year|yr|month|mo)/i);
+  if (!match) return null;
+  const amount = Number(match[1]);
+  return /^y/i.test(match[2]) ? amount * 12 : amount;
+};
+
+/**
+ * Indexes of the best cells of a row: only when the direction is known, at
+ * least two cells are numeric in the same dimension and they differ
+ */
+const bestCells = (cells, direction) => {
+  if (!direction) return [];
+
+  const numeric = cells
+    .map((cell, index) => ({ cell, index }))
+    .filter(({ cell }) => cell?.value !== null && cell?.value !== undefined);
+  if (numeric.length < 2) return [];
+  if (new Set(numeric.map(({ cell }) => cell.dimension)).size > 1) return [];
+
+  const values = numeric.map(({ cell }) => cell.value);
+  const best = direction === "higher" ? Math.max(...values) : Math.min(...values);
+  if (values.every((v) => v === best)) return [];
+
+  return numeric.filter(({ cell }) => cell.value === best).map(({ index }) => index);
+};
+
+const buildRow = (key, label, cells, direction, group) => {
+  const isNumeric = cells.some((cell) => cell?.value !== null && cell?.value !== undefined);
+  const texts = cells.map((cell) => (cell ? cell.display.toLowerCase() : null));
+  return {
+    key,
+    label,
+    group,
+    direction: isNumeric ? direction : null,
+    cells,
+    best: bestCells(cells, direction),
+    differs: new Set(texts).size > 1,
+  };
+};
+
+/**
+ * Build the comparison matrix of products (in column order).
+ * Summary rows (price, rating, warranty) come first, then one row per spec
+ * key in order of first appearance.
+ */
+export const buildComparison = (products) => {
+  const rows = [
+    buildRow(
+      "price",
+      "Price",
+      products.map((p) => ({
+        raw: String(p.finalPrice),
+        display: String(p.finalPrice),
+        value: p.finalPrice,
+        dimension: "money",
+      })),
+      "lower",
+      "summary"
+    ),
+    buildRow(
+      "rating",
+      "Rating",
+      products.map((p) =>
+        p.ratings?.totalReviews
+          ? {
+              raw: String(p.ratings.average),
+              display: `${p.ratings.average} (${p.ratings.totalReviews} reviews)`,
+              value: p.ratings.average,
+              dimension: "rating",
+            }
+          : null
+      ),
+      "higher",
+      "summary"
+    ),
+    buildRow(
+      "warranty",
+      "Warranty",
+      products.map((p) => {
+        if (!p.warranty) return null;
+        const months = parseWarrantyMonths(p.warranty);
+        return {
+          raw: p.warranty,
+          display: p.warranty,
+          value: months,
+          dimension: months === null ? null : "months",
+        };
+      }),
+      "higher",
+      "summary"
+    ),
+  ];
+
+  // Align specifications by normalized key
+  const specRows = new Map();
+  products.forEach((product, column) => {
+    for (const spec of product.specifications || []) {
+      const key = normalizeSpecKey(spec.key);
+      if (!specRows.has(key)) {
+        specRows.set(key, { label: spec.key.trim(), cells: products.map(() => null) });
+      }
+      const row = specRows.get(key);
+      // First value wins if a product repeats a key
+      if (!row.cells[column]) row.cells[column] = parseSpecValue(spec.value);
+    }
+  });
+
+  for (const [key, { label, cells }] of specRows) {
+    rows.push(
+      buildRow(key, label, harmonizeUnits(cells), specDirection(key), "specifications")
+    );
+  }
+
+  return rows;
+};
+
+export default buildComparison;
@@ -0,0 +1,329 @@
+// server/utils/productSearch.js
+
+/**
+ * Faceted product search: one `$facet` aggregation returns the page of
+ * products, the total and the counts for every facet.
+ *
+ * Facet counts are "disjunctive": each facet is counted with every filter
+ * applied except its own, so picking "ASUS" still shows how many MSI
+ * products there are. Values inside one facet are OR-ed, facets are AND-ed.
+ */
+
+// Range facets: lower bounds. Labels are "min-max"; the last range is
+// open-ended and labelled "min-" ("2000-", "4-")
+export const PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000, 2000];
+export const RATING_BANDS = [0, 1, 2, 3, 4];
+export const AVAILABILITY_VALUES = [
+  "In Stock",
+  "Out of Stock",
+  "Preorder",
+  "Discontinued",
+];
+
+// Specification keys offered as facets unless the request names its own (`specKeys`)
+export const DEFAULT_SPEC_FACETS = [
+  "Socket",
+  "Chipset",
+  "VRAM",
+  "Memory Type",
+  "Capacity",
+  "Form Factor",
+];
+
+const MAX_VALUES_PER_FACET = 20;
+const MAX_SPEC_FACETS = 10;
+const MAX_FACET_BUCKETS = 50;
+const MAX_VALUE_LENGTH = 100;
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  price: { finalPrice: 1, _id: 1 },
+  "-price": { finalPrice: -1, _id: 1 },
+  rating: { "ratings.average": -1, "ratings.totalReviews": -1 },
+  popular: { salesCount: -1 },
+};
+
+const PRODUCT_FIELDS = {
+  name: 1,
+  category: 1,
+  brand: 1,
+  finalPrice: 1,
+  originalPrice: 1,
+  discountPercentage: 1,
+  images: 1,
+  ratings: 1,
+  stock: 1,
+  availability: 1,
+};
+
+/* ------------------------------ Query parsing ------------------------------- */
+
+/**
+ * "a,b" or ["a", "b"] → ["a", "b"] (trimmed, de-duplicated, capped)
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null) return [];
+  const raw = Array.isArray(value) ? value : String(value).split(",");
+
+  return [
+    ...new Set(
+      raw
+        .map((v) => String(v).trim().slice(0, MAX_VALUE_LENGTH))
+        .filter(Boolean)
+    ),
+  ].slice(0, MAX_VALUES_PER_FACET);
+};
+
+const rangeLabel = (boundaries, index) => {
+  const min = boundaries[index];
+  const max = boundaries[index + 1];
+  return max === undefined ? `${min}-` : `${min}-${max}`;
+};
+
+// Free numeric range for typed specs: "8-16", "8-" or "-16" → { $gte, $lte }
+const parseNumericRange = (label) => {
+  const match = String(label).trim().match(/^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+  const range = {};
+  if (match[1] !== undefined) range.$gte = Number(match[1]);
+  if (match[2] !== undefined) range.$lte = Number(match[2]);
+  return range;
+};
+
+// "100-250" / "2000-" → { $gte, $lt } if it is one of the known ranges
+const parseRange = (label, boundaries) => {
+  const index = boundaries.findIndex(
+    (_, i) => rangeLabel(boundaries, i) === label
+  );
+  if (index === -1) return null;
+
+  const range = { $gte: boundaries[index] };
+  if (boundaries[index + 1] !== undefined) range.$lt = boundaries[index + 1];
+  return range;
+};
+
+/**
+ * Turn req.query into per-facet filter clauses.
+ *
+ *   ?q=rtx&brand=ASUS,MSI&category=GPU&price=250-500,500-1000
+ *   &rating=4-&availability=In Stock&spec[VRAM]=12GB,16GB&specKeys=VRAM,Chipset
+ *   &specRange[Cores]=8-16&specRange[TDP]=-125
+ *
+ * `specRange` filters typed specifications (see models/SpecTemplate.js) by
+ * their numeric value, in the unit of the category template.
+ *
+ * @returns {{ base: object, filters: Object<string, object>, selected: object, specKeys: string[] }}
+ */
+export const parseSearchQuery = (query = {}) => {
+  const base = { isActive: true };
+  const text = typeof query.q === "string" ? query.q.trim().slice(0, 200) : "";
+  if (text) base.$text = { $search: text };
+
+  const selected = {
+    brand: parseList(query.brand),
+    category: parseList(query.category),
+    price: parseList(query.price).filter((l) => parseRange(l, PRICE_BUCKETS)),
+    rating: parseList(query.rating).filter((l) => parseRange(l, RATING_BANDS)),
+    availability: parseList(query.availability).filter((v) =>
+      AVAILABILITY_VALUES.includes(v)
+    ),
+    specs: {},
+    specRanges: {},
+  };
+
+  const filters = {};
+  if (selected.brand.length) filters.brand = { brand: { $in: selected.brand } };
+  if (selected.category.length) {
+    filters.category = { category: { $in: selected.category } };
+  }
+  if (selected.price.length) {
+    filters.price = {
+      $or: selected.price.map((l) => ({
+        finalPrice: parseRange(l, PRICE_BUCKETS),
+      })),
+    };
+  }
+  if (selected.rating.length) {
+    filters.rating = {
+      $or: selected.rating.map((l) => ({
+        "ratings.average": parseRange(l, RATING_BANDS),
+      })),
+    };
+  }
+  if (selected.availability.length) {
+    filters.availability = { availability: { $in: selected.availability } };
+  }
+
+  const specQuery = query.spec && typeof query.spec === "object" ? query.spec : {};
+  for (const [key, value] of Object.entries(specQuery).slice(0, MAX_SPEC_FACETS)) {
+    const values = parseList(value);
+    if (!values.length) continue;
+
+    selected.specs[key] = values;
+    filters[`spec:${key}`] = {
+      specifications: { $elemMatch: { key, value: { $in: values } } },
+    };
+  }
+
+  const rangeQuery =
+    query.specRange && typeof query.specRange === "object" ? query.specRange : {};
+  for (const [key, value] of Object.entries(rangeQuery).slice(0, MAX_SPEC_FACETS)) {
+    const range = parseNumericRange(value);
+    if (!range) continue;
+
+    selected.specRanges[key] = String(value).trim();
+    filters[`specRange:${key}`] = {
+      specifications: { $elemMatch: { key, numericValue: range } },
+    };
+  }
+
+  const requestedKeys = parseList(query.specKeys);
+  const specKeys = [
+    ...new Set([
+      ...(requestedKeys.length ? requestedKeys : DEFAULT_SPEC_FACETS),
+      ...Object.keys(selected.specs),
+    ]),
+  ].slice(0, MAX_SPEC_FACETS);
+
+  return { base, text, filters, selected, specKeys };
+};
+
+/* --------------------------------- Pipeline --------------------------------- */
+
+// Every active filter except the facet's own
+const matchExcept = (filters, facet) => {
+  const clauses = Object.entries(filters)
+    .filter(([name]) => name !== facet)
+    .map(([, clause]) => clause);
+  return clauses.length ? [{ $match: { $and: clauses } }] : [];
+};
+
+const bucketBy = (field, boundaries) => ({
+  $bucket: {
+    groupBy: field,
+    boundaries: boundaries.concat(Number.MAX_SAFE_INTEGER),
+    default: "other",
+    output: { count: { $sum: 1 } },
+  },
+});
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_BUCKETS },
+];
+
+/**
+ * Build the single aggregation behind the faceted search endpoint
+ */
+export const buildFacetedSearchPipeline = (query = {}) => {
+  const parsed = parseSearchQuery(query);
+  const { base, text, filters, specKeys } = parsed;
+
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+  );
+
+  const sort =
+    SORTS[query.sort] ||
+    (text ? { score: { $meta: "textScore" } } : SORTS.newest);
+
+  const facet = {
+    products: [
+      ...matchExcept(filters, null),
+      { $sort: sort },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: PRODUCT_FIELDS },
+    ],
+    total: [...matchExcept(filters, null), { $count: "count" }],
+    brand: [...matchExcept(filters, "brand"), ...countBy("$brand")],
+    category: [...matchExcept(filters, "category"), ...countBy("$category")],
+    availability: [
+      ...matchExcept(filters, "availability"),
+      ...countBy("$availability"),
+    ],
+    price: [
+      ...matchExcept(filters, "price"),
+      bucketBy("$finalPrice", PRICE_BUCKETS),
+    ],
+    rating: [
+      ...matchExcept(filters, "rating"),
+      bucketBy("$ratings.average", RATING_BANDS),
+    ],
+  };
+
+  specKeys.forEach((key, i) => {
+    facet[`spec${i}`] = [
+      ...matchExcept(filters, `spec:${key}`),
+      { $unwind: "$specifications" },
+      { $match: { "specifications.key": key } },
+      ...countBy("$specifications.value"),
+    ];
+  });
+
+  return {
+    pipeline: [{ $match: base }, { $facet: facet }],
+    parsed,
+    page,
+    limit,
+  };
+};
+
+/* --------------------------------- Results ---------------------------------- */
+
+const withSelection = (buckets, selectedValues) =>
+  buckets.map(({ _id, count }) => ({
+    value: _id,
+    count,
+    selected: selectedValues.includes(_id),
+  }));
+
+// Every range is listed (zero counts included) so the UI can render a fixed list
+const rangeFacet = (buckets, boundaries, selectedValues) =>
+  boundaries.map((min, i) => {
+    const value = rangeLabel(boundaries, i);
+    return {
+      value,
+      min,
+      max: boundaries[i + 1] ?? null,
+      count: buckets.find((b) => b._id === min)?.count || 0,
+      selected: selectedValues.includes(value),
+    };
+  });
+
+/**
+ * Shape the raw `$facet` output for the API response
+ */
+export const formatFacetedSearchResult = (result, { parsed }) => {
+  const { selected, specKeys } = parsed;
+
+  const specs = {};
+  specKeys.forEach((key, i) => {
+    const buckets = result[`spec${i}`] || [];
+    if (buckets.length) {
+      specs[key] = withSelection(buckets, selected.specs[key] || []);
+    }
+  });
+
+  return {
+    products: result.products,
+    total: result.total[0]?.count || 0,
+    facets: {
+      brand: withSelection(result.brand, selected.brand),
+      category: withSelection(result.category, selected.category),
+      price: rangeFacet(result.price, PRICE_BUCKETS, selected.price),
+      rating: rangeFacet(result.rating, RATING_BANDS, selected.rating),
+      availability: withSelection(result.availability, selected.availability),
+      specs,
+      specRanges: selected.specRanges,
+    },
+  };
+};
+
+export default buildFacetedSearchPipeline;
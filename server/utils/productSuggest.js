@@ -0,0 +1,393 @@
+// server/utils/productSuggest.js
+
+import Product from "../models/Product.js";
+import { logger } from "../middleware/logger.js";
+
+/**
+ * Typeahead suggestions for product names, game titles, brands and
+ * categories.
+ *
+ * The catalogue is small enough to keep in memory, so every keystroke is
+ * answered without touching MongoDB. Names are split into normalised
+ * tokens; a query token matches a catalogue token exactly, as a prefix
+ * ("407" → "4070") or within a small edit distance ("ryzn" → "ryzen").
+ * Candidates come from a trigram index over the token vocabulary, so only
+ * a handful of tokens are ever compared per keystroke.
+ */
+
+export const GAME_CATEGORIES = ["Games", "PCGames", "ConsoleGames", "VRGames"];
+
+const INDEX_TTL_MS = 5 * 60 * 1000; // rebuilt at most every 5 minutes
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TOKENS = 6;
+const MAX_TOKEN_CANDIDATES = 200; // vocabulary tokens compared per query token
+export const DEFAULT_SUGGEST_LIMIT = 8;
+export const MAX_SUGGEST_LIMIT = 20;
+
+// Token match scores
+const SCORE_EXACT = 1;
+const SCORE_PREFIX = 0.85;
+const SCORE_TYPO = [0.7, 0.5]; // 1 and 2 edits
+
+// Small per-type nudge so "asus" ranks the brand above an ASUS product
+const TYPE_BOOST = { brand: 0.08, category: 0.06, game: 0.02, product: 0 };
+
+/* ------------------------------ Normalisation ------------------------------- */
+
+/**
+ * "Ryzen™ 7 7800X3D (AM5)" → ["ryzen", "7", "7800x3d", "am5"]
+ */
+export const tokenize = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const trigrams = (token) => {
+  const padded = `^${token}$`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+};
+
+// Edits tolerated for a query token of this length
+const maxEditsFor = (length) => (length >= 8 ? 2 : length >= 3 ? 1 : 0);
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions),
+ * giving up as soon as it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * How well query token `q` matches catalogue token `token` (0 = not at all).
+ * Only the last query token is still being typed, so only it may match a
+ * prefix of a longer word.
+ */
+const scoreToken = (q, token, isPartial) => {
+  if (q === token) return SCORE_EXACT;
+  if (isPartial && token.startsWith(q)) return SCORE_PREFIX;
+
+  const maxEdits = maxEditsFor(q.length);
+  if (maxEdits === 0) return 0;
+
+  let distance = editDistance(q, token, maxEdits);
+  if (isPartial && token.length > q.length) {
+    // "ryz3" is a typo of the start of "ryzen"
+    distance = Math.min(
+      distance,
+      editDistance(q, token.slice(0, q.length), maxEdits)
+    );
+  }
+
+  return distance <= maxEdits ? SCORE_TYPO[distance - 1] : 0;
+};
+
+/* ---------------------------------- Index ----------------------------------- */
+
+/**
+ * @typedef {object} SuggestEntry
+ * @property {"product"|"game"|"brand"|"category"} type
+ * @property {string} text
+ * @property {string[]} tokens
+ * @property {number} popularity  0..1
+ * @property {object} [product]   id, category, price, image (product/game only)
+ * @property {number} [count]     active products (brand/category only)
+ */
+
+const buildIndex = async () => {
+  const startedAt = Date.now();
+
+  const products = await Product.find({ isActive: true })
+    .select("name brand category finalPrice images salesCount ratings")
+    .lean();
+
+  const entries = [];
+  const brands = new Map(); // lowercased → { text, count, sales }
+  const categories = new Map();
+
+  const maxSales = products.reduce((max, p) => Math.max(max, p.salesCount || 0), 1);
+  const popularity = (sales, rating = 0) =>
+    0.8 * (Math.log1p(sales) / Math.log1p(maxSales)) + 0.2 * (rating / 5);
+
+  for (const p of products) {
+    entries.push({
+      type: GAME_CATEGORIES.includes(p.category) ? "game" : "product",
+      text: p.name,
+      tokens: tokenize(p.name),
+      popularity: popularity(p.salesCount || 0, p.ratings?.average),
+      product: {
+        id: p._id,
+        category: p.category,
+        brand: p.brand,
+        price: p.finalPrice,
+        image: p.images?.[0] || null,
+      },
+    });
+
+    for (const [map, value] of [
+      [brands, p.brand],
+      [categories, p.category],
+    ]) {
+      const key = value.toLowerCase();
+      const group = map.get(key) || { text: value, count: 0, sales: 0 };
+      group.count += 1;
+      group.sales += p.salesCount || 0;
+      map.set(key, group);
+    }
+  }
+
+  const maxGroupSales = [...brands.values(), ...categories.values()].reduce(
+    (max, g) => Math.max(max, g.sales),
+    1
+  );
+  for (const [type, map] of [
+    ["brand", brands],
+    ["category", categories],
+  ]) {
+    for (const { text, count, sales } of map.values()) {
+      entries.push({
+        type,
+        text,
+        tokens: tokenize(text),
+        popularity: Math.log1p(sales) / Math.log1p(maxGroupSales),
+        count,
+      });
+    }
+  }
+
+  // Vocabulary: token → entry indexes; trigram → tokens; sorted for prefix scans
+  const postings = new Map();
+  entries.forEach((entry, i) => {
+    for (const token of new Set(entry.tokens)) {
+      if (!postings.has(token)) postings.set(token, []);
+      postings.get(token).push(i);
+    }
+  });
+
+  const grams = new Map();
+  for (const token of postings.keys()) {
+    for (const gram of new Set(trigrams(token))) {
+      if (!grams.has(gram)) grams.set(gram, []);
+      grams.get(gram).push(token);
+    }
+  }
+
+  const vocabulary = [...postings.keys()].sort();
+
+  logger.info("Product suggestion index built", {
+    entries: entries.length,
+    tokens: vocabulary.length,
+    ms: Date.now() - startedAt,
+  });
+
+  return { entries, postings, grams, vocabulary, builtAt: Date.now() };
+};
+
+let index = null;
+let building = null;
+
+/**
+ * Current index; rebuilt in the background once stale so keystrokes never
+ * wait on MongoDB after the first build
+ */
+const getIndex = async () => {
+  const stale = !index || Date.now() - index.builtAt > INDEX_TTL_MS;
+
+  if (stale && !building) {
+    building = buildIndex()
+      .then((built) => {
+        index = built;
+        return built;
+      })
+      .catch((err) => {
+        logger.error("Product suggestion index build failed", {
+          message: err.message,
+        });
+        if (!index) throw err;
+        return index;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return index || building;
+};
+
+/**
+ * Drop the index so the next request rebuilds it (call after catalogue writes)
+ */
+export const invalidateSuggestionIndex = () => {
+  if (index) index.builtAt = 0;
+};
+
+/* --------------------------------- Matching --------------------------------- */
+
+// Vocabulary tokens starting with `prefix` (binary search on the sorted list)
+const prefixScan = (vocabulary, prefix, limit) => {
+  let lo = 0;
+  let hi = vocabulary.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (vocabulary[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+
+  const found = [];
+  for (let i = lo; i < vocabulary.length && found.length < limit; i++) {
+    if (!vocabulary[i].startsWith(prefix)) break;
+    found.push(vocabulary[i]);
+  }
+  return found;
+};
+
+/**
+ * Vocabulary tokens that match query token `q`, with their scores
+ *
+ * @returns {Map<string, number>}
+ */
+const matchQueryToken = ({ postings, grams, vocabulary }, q, isPartial) => {
+  const candidates = new Set(
+    isPartial ? prefixScan(vocabulary, q, MAX_TOKEN_CANDIDATES) : []
+  );
+
+  if (maxEditsFor(q.length) > 0) {
+    // Rank by shared trigrams and only compare the most promising tokens
+    const shared = new Map();
+    for (const gram of trigrams(q)) {
+      for (const token of grams.get(gram) || []) {
+        shared.set(token, (shared.get(token) || 0) + 1);
+      }
+    }
+    [...shared.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_TOKEN_CANDIDATES)
+      .forEach(([token]) => candidates.add(token));
+  } else if (!isPartial && postings.has(q)) {
+    candidates.add(q);
+  }
+
+  const matches = new Map();
+  for (const token of candidates) {
+    const score = scoreToken(q, token, isPartial);
+    if (score > 0) matches.set(token, score);
+  }
+  return matches;
+};
+
+/**
+ * Ranked suggestions for a (partial) search query.
+ *
+ * Every query token must match some token of a suggestion. Ties on match
+ * quality are broken by popularity (sales, rating).
+ *
+ * @param {string} query
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<Array<{type: string, text: string, score: number}>>}
+ */
+export const suggest = async (query, { limit = DEFAULT_SUGGEST_LIMIT } = {}) => {
+  const raw = String(query ?? "").slice(0, MAX_QUERY_LENGTH);
+  const queryTokens = tokenize(raw).slice(0, MAX_QUERY_TOKENS);
+  if (queryTokens.length === 0) return [];
+
+  const idx = await getIndex();
+
+  // The last token is still being typed unless the query ends in a separator
+  const lastIsPartial = !/[^a-z0-9]$/i.test(raw);
+
+  // entry index → summed token scores (entries must match every query token)
+  let scores = null;
+
+  for (const [i, q] of queryTokens.entries()) {
+    const isPartial = lastIsPartial && i === queryTokens.length - 1;
+    const tokenMatches = matchQueryToken(idx, q, isPartial);
+
+    const entryScores = new Map();
+    for (const [token, score] of tokenMatches) {
+      for (const entryIdx of idx.postings.get(token)) {
+        if (scores && !scores.has(entryIdx)) continue;
+        if (score > (entryScores.get(entryIdx) || 0)) {
+          entryScores.set(entryIdx, score);
+        }
+      }
+    }
+
+    for (const [entryIdx, score] of entryScores) {
+      entryScores.set(entryIdx, (scores?.get(entryIdx) || 0) + score);
+    }
+    scores = entryScores;
+    if (scores.size === 0) return [];
+  }
+
+  const ranked = [...scores.entries()].map(([entryIdx, total]) => {
+    const entry = idx.entries[entryIdx];
+    const match = total / queryTokens.length;
+    // Prefer suggestions whose words the query covers ("rtx 4070" over "rtx 4070 ti super")
+    const coverage = queryTokens.length / Math.max(entry.tokens.length, queryTokens.length);
+
+    return {
+      entry,
+      score: match * 0.75 + coverage * 0.1 + entry.popularity * 0.15 + TYPE_BOOST[entry.type],
+    };
+  });
+
+  ranked.sort((a, b) => b.score - a.score || a.entry.text.localeCompare(b.entry.text));
+
+  const seen = new Set();
+  const suggestions = [];
+  for (const { entry, score } of ranked) {
+    const key = `${entry.type}:${entry.text.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    suggestions.push({
+      type: entry.type,
+      text: entry.text,
+      score: Math.round(score * 1000) / 1000,
+      ...(entry.product && { product: entry.product }),
+      ...(entry.count !== undefined && { count: entry.count }),
+    });
+    if (suggestions.length >= limit) break;
+  }
+
+  return suggestions;
+};
+
+export default suggest;
@@ -0,0 +1,18 @@
+// server/utils/renderPage.js
+import pug from "pug";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Send one of the small HTML pages in views/pages (for links opened from an
+ * email, where there is no client app to show the result)
+ */
+export const renderPage = (res, template, locals = {}, status = 200) => {
+  const html = pug.renderFile(path.join(__dirname, `../views/pages/${template}.pug`), locals);
+  res.status(status).type("html").send(html);
+};
+
+export default renderPage;
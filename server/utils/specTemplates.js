@@ -0,0 +1,139 @@
+// server/utils/specTemplates.js
+
+import SpecTemplate from "../models/SpecTemplate.js";
+import { convertToUnit, parseSpecValue } from "./productCompare.js";
+
+const TRUE_VALUES = ["yes", "true", "1", "y"];
+const FALSE_VALUES = ["no", "false", "0", "n"];
+
+const formatNumber = (number, unit) => (unit ? `${number} ${unit}` : String(number));
+
+/**
+ * Parse one value for a template field.
+ *
+ * @returns {{ value: string, numericValue?: number, unit?: string } | { error: string }}
+ */
+const parseFieldValue = (field, raw) => {
+  const text = String(raw ?? "").trim();
+
+  switch (field.type) {
+    case "enum": {
+      const option = field.options.find((o) => o.toLowerCase() === text.toLowerCase());
+      return option
+        ? { value: option }
+        : { error: `must be one of: ${field.options.join(", ")}` };
+    }
+
+    case "boolean": {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: "Yes" };
+      if (FALSE_VALUES.includes(lower)) return { value: "No" };
+      return { error: "must be yes or no" };
+    }
+
+    case "int":
+    case "number": {
+      const parsed = parseSpecValue(text);
+      if (parsed.value === null) {
+        return { error: `must be a number${field.unit ? ` in ${field.unit}` : ""}` };
+      }
+
+      // "3.2GHz" and "3200 MHz" are both 3.2 for a GHz field; a bare number
+      // is taken to be in the field's unit
+      const converted =
+        field.unit && parsed.unit ? convertToUnit(parsed, field.unit) : parsed.number;
+      if (converted === null) return { error: `must be in ${field.unit}` };
+
+      // Values are stored with three decimals; anything finer would be lost
+      const number = Math.round(converted * 1000) / 1000;
+      if (number !== converted) {
+        return number === 0
+          ? { error: `is too small to store${field.unit ? ` in ${field.unit}` : ""}` }
+          : { error: `has more than 3 decimals${field.unit ? ` in ${field.unit}` : ""}` };
+      }
+
+      if (field.type === "int" && !Number.isInteger(number)) {
+        return { error: "must be a whole number" };
+      }
+      if (field.min != null && number < field.min) {
+        return { error: `must be at least ${formatNumber(field.min, field.unit)}` };
+      }
+      if (field.max != null && number > field.max) {
+        return { error: `must be at most ${formatNumber(field.max, field.unit)}` };
+      }
+
+      return {
+        value: formatNumber(number, field.unit),
+        numericValue: number,
+        ...(field.unit && { unit: field.unit }),
+      };
+    }
+
+    default:
+      return text ? { value: text } : { error: "is required" };
+  }
+};
+
+/**
+ * Validate specifications against a category template: keys and aliases are
+ * mapped to the canonical key, values are checked and numeric ones stored
+ * typed (`numericValue` in the field's unit) so they can be range-filtered.
+ *
+ * @returns {{ specifications: object[], errors: string[] }}
+ */
+export const applySpecTemplate = (template, specifications = []) => {
+  const errors = [];
+  const result = [];
+  const seen = new Set();
+
+  for (const spec of specifications) {
+    const key = String(spec?.key ?? "").trim();
+    if (!key) {
+      errors.push("Every specification needs a key");
+      continue;
+    }
+
+    const field = template.findField(key);
+    if (!field) {
+      if (template.allowExtra) {
+        result.push({ key, value: String(spec.value ?? "").trim() });
+      } else {
+        errors.push(`"${key}" is not a specification of ${template.category}`);
+      }
+      continue;
+    }
+
+    if (seen.has(field.key)) {
+      errors.push(`${field.key} is specified more than once`);
+      continue;
+    }
+    seen.add(field.key);
+
+    const parsed = parseFieldValue(field, spec.value);
+    if (parsed.error) {
+      errors.push(`${field.key} ${parsed.error}`);
+    } else {
+      result.push({ key: field.key, ...parsed });
+    }
+  }
+
+  for (const field of template.fields) {
+    if (field.required && !seen.has(field.key)) {
+      errors.push(`${field.key} is required`);
+    }
+  }
+
+  return { specifications: result, errors };
+};
+
+/**
+ * Apply the template of a category, if it has one. Without a template the
+ * specifications are returned unchanged (free-form).
+ */
+export const normalizeSpecifications = async (category, specifications = []) => {
+  const template = await SpecTemplate.findOne({ category });
+  if (!template) return { specifications, errors: [] };
+  return applySpecTemplate(template, specifications);
+};
+
+export default normalizeSpecifications;
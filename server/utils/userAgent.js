@@ -0,0 +1,63 @@
+// server/utils/userAgent.js
+
+// Ordered: more specific tokens must come first (Edge/Opera also say "Chrome")
+const BROWSERS = [
+  { name: "Edge", pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: "Opera", pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: "Samsung Internet", pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: "Firefox", pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: "Chrome", pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: "Safari", pattern: /Version\/([\d.]+).*Safari/ },
+  { name: "Postman", pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: "curl", pattern: /curl\/([\d.]+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "Windows", pattern: /Windows NT/ },
+  { name: "iOS", pattern: /iPhone|iPad|iPod/ },
+  { name: "Android", pattern: /Android/ },
+  { name: "macOS", pattern: /Mac OS X|Macintosh/ },
+  { name: "ChromeOS", pattern: /CrOS/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+/**
+ * Best-effort, dependency-free user-agent parser.
+ * Only the family is reported – never rely on it for security decisions.
+ *
+ * @param {string} [userAgent]
+ * @returns {{ browser: string, browserVersion: string|null, os: string, type: string, label: string }}
+ */
+export const parseUserAgent = (userAgent = "") => {
+  const ua = String(userAgent || "");
+
+  let browser = "Unknown browser";
+  let browserVersion = null;
+  for (const { name, pattern } of BROWSERS) {
+    const match = ua.match(pattern);
+    if (match) {
+      browser = name;
+      browserVersion = match[1]?.split(".")[0] || null;
+      break;
+    }
+  }
+
+  const os =
+    OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(ua))?.name ||
+    "Unknown OS";
+
+  let type = "desktop";
+  if (/iPad|Tablet/i.test(ua)) type = "tablet";
+  else if (/Mobi|iPhone|Android/i.test(ua)) type = "mobile";
+  else if (!ua || /curl|Postman|bot|crawler/i.test(ua)) type = "other";
+
+  return {
+    browser,
+    browserVersion,
+    os,
+    type,
+    label: `${browser} on ${os}`,
+  };
+};
+
+export default parseUserAgent;